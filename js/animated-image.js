@@ -0,0 +1,573 @@
+// animated-image.js - Resizes animated GIF and WebP files frame by frame (main thread and workers)
+// GIFs are decoded here; animated WebP needs the browser's ImageDecoder. Output is an animated GIF
+// (median-cut palette, see ColorQuantizer) or an animated WebP put together from still WebP frames
+const AnimatedImage = {
+    outputFormats: {
+        gif: { mimeType: 'image/gif', extension: 'gif' },
+        webp: { mimeType: 'image/webp', extension: 'webp' }
+    },
+    
+    // Browsers play GIF delays under 20ms at 100ms
+    minDelay: 20,
+    defaultDelay: 100,
+    
+    // 'gif' or 'webp' for files with more than one frame we can decode, otherwise null
+    async detect(file) {
+        const head = new Uint8Array(await file.slice(0, 21).arrayBuffer());
+        const text = (start, length) => String.fromCharCode(...head.subarray(start, start + length));
+        
+        if (text(0, 4) === 'GIF8') {
+            return this.countGifFrames(new Uint8Array(await file.arrayBuffer()), 2) > 1 ? 'gif' : null;
+        }
+        // VP8X header with the animation flag
+        if (text(0, 4) === 'RIFF' && text(8, 4) === 'WEBP' && text(12, 4) === 'VP8X' && head[20] & 0x02) {
+            return typeof ImageDecoder !== 'undefined' ? 'webp' : null;
+        }
+        return null;
+    },
+    
+    // Image descriptors in a GIF, counting no further than limit
+    countGifFrames(bytes, limit = Infinity) {
+        let pos = 13 + (bytes[10] & 0x80 ? 3 << ((bytes[10] & 7) + 1) : 0);
+        let frames = 0;
+        
+        while (pos < bytes.length && frames < limit) {
+            const block = bytes[pos++];
+            if (block === 0x21) {
+                pos = this.skipSubBlocks(bytes, pos + 1);
+            } else if (block === 0x2C) {
+                frames++;
+                const flags = bytes[pos + 8];
+                pos += 9 + (flags & 0x80 ? 3 << ((flags & 7) + 1) : 0);
+                pos = this.skipSubBlocks(bytes, pos + 1);
+            } else {
+                break;
+            }
+        }
+        return frames;
+    },
+    
+    // Position after a run of data sub-blocks
+    skipSubBlocks(bytes, pos) {
+        while (pos < bytes.length && bytes[pos] !== 0) pos += bytes[pos] + 1;
+        return pos + 1;
+    },
+    
+    // Resize an animation, frame by frame
+    // options: { kind ('gif' | 'webp'), format ('gif' | 'webp'), render(canvas) -> canvas,
+    //            quality (WebP), colors (GIF palette, 2-256), frameStep (keep every Nth frame), targetSize (bytes) }
+    // Resolves with { blob, width, height, quality, colors, size, fits, frames, loop, originalWidth, originalHeight }
+    async convert(file, options) {
+        const { kind, format = 'gif', render, frameStep = 1, targetSize = null } = options;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const frames = []; // { image: ImageData, delay }
+        let loop = 0;
+        let originalWidth = 0;
+        let originalHeight = 0;
+        let index = 0;
+        
+        for await (const frame of this.decodeFrames(bytes, kind)) {
+            loop = frame.loop;
+            originalWidth = frame.canvas.width;
+            originalHeight = frame.canvas.height;
+            
+            // Dropped frames add their time to the frame before, so playback speed is unchanged
+            if (index++ % frameStep !== 0) {
+                frames[frames.length - 1].delay += frame.delay;
+                continue;
+            }
+            
+            const canvas = render(frame.canvas);
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            frames.push({ image: ctx.getImageData(0, 0, canvas.width, canvas.height), delay: frame.delay });
+        }
+        if (frames.length === 0) throw new Error('No frames found in animation');
+        
+        const { width, height } = frames[0].image;
+        let quality = options.quality || 0.8;
+        let colors = Math.min(256, Math.max(2, options.colors || 256));
+        let blob;
+        
+        // A target size lowers WebP quality or the GIF palette until the file fits
+        for (;;) {
+            blob = format === 'webp'
+                ? await this.encodeWebP(frames, width, height, { quality, loop })
+                : this.encodeGif(frames, width, height, { colors, loop });
+            
+            if (!targetSize || blob.size <= targetSize) break;
+            if (format === 'webp' ? quality <= 0.3 : colors <= 16) break;
+            if (format === 'webp') quality = Math.max(0.3, Math.round((quality - 0.1) * 100) / 100);
+            else colors = Math.max(16, colors >> 1);
+        }
+        
+        return {
+            blob,
+            width,
+            height,
+            quality,
+            colors: format === 'gif' ? colors : null,
+            size: blob.size,
+            fits: !targetSize || blob.size <= targetSize,
+            frames: frames.length,
+            loop,
+            originalWidth,
+            originalHeight
+        };
+    },
+    
+    // Full frames as { canvas, delay (ms), loop (plays, 0 = forever) }
+    // The canvas is reused - draw it before asking for the next frame
+    async *decodeFrames(bytes, kind) {
+        if (kind === 'gif') {
+            yield* this.decodeGif(bytes);
+        } else {
+            yield* this.decodeWithImageDecoder(bytes, `image/${kind}`);
+        }
+    },
+    
+    // Frames composited the way browsers play them, honouring disposal and transparency
+    *decodeGif(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const width = view.getUint16(6, true);
+        const height = view.getUint16(8, true);
+        const canvas = ImageProcessing.createCanvas(width, height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const screen = new ImageData(width, height);
+        const pixels = screen.data;
+        
+        let pos = 13;
+        let globalPalette = null;
+        if (bytes[10] & 0x80) {
+            globalPalette = bytes.subarray(pos, pos + (3 << ((bytes[10] & 7) + 1)));
+            pos += globalPalette.length;
+        }
+        
+        let loop = 1; // no NETSCAPE block: play once
+        let control = null; // graphic control extension for the next image
+        
+        while (pos < bytes.length) {
+            const block = bytes[pos++];
+            if (block === 0x3B) break;
+            
+            if (block === 0x21) {
+                const label = bytes[pos++];
+                if (label === 0xF9 && bytes[pos] >= 4) {
+                    const flags = bytes[pos + 1];
+                    control = {
+                        disposal: (flags >> 2) & 7,
+                        transparent: flags & 1 ? bytes[pos + 4] : -1,
+                        delay: view.getUint16(pos + 2, true) * 10
+                    };
+                } else if (label === 0xFF && bytes[pos] === 11 &&
+                    String.fromCharCode(...bytes.subarray(pos + 1, pos + 12)) === 'NETSCAPE2.0' && bytes[pos + 13] === 1) {
+                    // Repeat count: 0 = forever, otherwise plays after the first
+                    const repeats = view.getUint16(pos + 14, true);
+                    loop = repeats === 0 ? 0 : repeats + 1;
+                }
+                pos = this.skipSubBlocks(bytes, pos);
+                continue;
+            }
+            if (block !== 0x2C) throw new Error('Corrupt GIF file');
+            
+            const left = view.getUint16(pos, true);
+            const top = view.getUint16(pos + 2, true);
+            const frameWidth = view.getUint16(pos + 4, true);
+            const frameHeight = view.getUint16(pos + 6, true);
+            const flags = bytes[pos + 8];
+            pos += 9;
+            
+            let palette = globalPalette;
+            if (flags & 0x80) {
+                palette = bytes.subarray(pos, pos + (3 << ((flags & 7) + 1)));
+                pos += palette.length;
+            }
+            
+            const minCodeSize = bytes[pos++];
+            const start = pos;
+            pos = this.skipSubBlocks(bytes, pos);
+            const indices = this.lzwDecode(minCodeSize, this.joinSubBlocks(bytes, start, pos), frameWidth * frameHeight);
+            const rows = flags & 0x40 ? this.interlacedRows(frameHeight) : null;
+            const { disposal = 0, transparent = -1, delay = 0 } = control || {};
+            const previous = disposal === 3 ? pixels.slice() : null;
+            
+            for (let y = 0; y < frameHeight; y++) {
+                const screenY = top + (rows ? rows[y] : y);
+                if (screenY >= height) continue;
+                for (let x = 0; x < frameWidth; x++) {
+                    const screenX = left + x;
+                    const index = indices[y * frameWidth + x];
+                    if (screenX >= width || index === transparent || !palette || index * 3 >= palette.length) continue;
+                    
+                    const out = (screenY * width + screenX) * 4;
+                    pixels[out] = palette[index * 3];
+                    pixels[out + 1] = palette[index * 3 + 1];
+                    pixels[out + 2] = palette[index * 3 + 2];
+                    pixels[out + 3] = 255;
+                }
+            }
+            
+            ctx.putImageData(screen, 0, 0);
+            yield { canvas, delay: delay < this.minDelay ? this.defaultDelay : delay, loop };
+            
+            // Disposal 2 clears the frame's area, 3 puts back what was under it
+            if (disposal === 2) {
+                for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                    pixels.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4);
+                }
+            } else if (disposal === 3) {
+                pixels.set(previous);
+            }
+            control = null;
+        }
+    },
+    
+    // ImageDecoder (WebCodecs) hands back whole frames with their durations
+    async *decodeWithImageDecoder(bytes, type) {
+        const decoder = new ImageDecoder({ data: bytes, type });
+        
+        try {
+            await decoder.tracks.ready;
+            await decoder.completed;
+            const track = decoder.tracks.selectedTrack;
+            const loop = track.repetitionCount === Infinity ? 0 : track.repetitionCount + 1;
+            let canvas = null;
+            
+            for (let i = 0; i < track.frameCount; i++) {
+                const { image } = await decoder.decode({ frameIndex: i });
+                if (!canvas) canvas = ImageProcessing.createCanvas(image.displayWidth, image.displayHeight);
+                const ctx = canvas.getContext('2d');
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(image, 0, 0);
+                const delay = image.duration ? Math.round(image.duration / 1000) : this.defaultDelay; // µs
+                image.close();
+                yield { canvas, delay, loop };
+            }
+        } finally {
+            decoder.close();
+        }
+    },
+    
+    joinSubBlocks(bytes, start, end) {
+        const data = new Uint8Array(end - start);
+        let length = 0;
+        // Truncated files keep whatever data they have, as browsers show them
+        for (let pos = start; pos < Math.min(end, bytes.length) && bytes[pos] !== 0; pos += bytes[pos] + 1) {
+            const block = bytes.subarray(pos + 1, pos + 1 + bytes[pos]);
+            data.set(block, length);
+            length += block.length;
+        }
+        return data.subarray(0, length);
+    },
+    
+    // Screen row for each stored row of an interlaced image (passes of 8, 8, 4 and 2)
+    interlacedRows(height) {
+        const rows = [];
+        [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+            for (let y = start; y < height; y += step) rows.push(y);
+        });
+        return rows;
+    },
+    
+    // Variable-width LZW as used by GIF; short or damaged data leaves the rest at index 0
+    lzwDecode(minCodeSize, data, pixelCount) {
+        const clear = 1 << minCodeSize;
+        const end = clear + 1;
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        const output = new Uint8Array(pixelCount);
+        for (let i = 0; i < clear; i++) suffix[i] = i;
+        
+        let codeSize = minCodeSize + 1;
+        let mask = (1 << codeSize) - 1;
+        let next = end + 1;
+        let previous = -1;
+        let first = 0;
+        let bits = 0;
+        let datum = 0;
+        let pos = 0;
+        let out = 0;
+        
+        while (out < pixelCount) {
+            while (bits < codeSize && pos < data.length) {
+                datum |= data[pos++] << bits;
+                bits += 8;
+            }
+            if (bits < codeSize) break;
+            
+            let code = datum & mask;
+            datum >>>= codeSize;
+            bits -= codeSize;
+            
+            if (code === clear) {
+                codeSize = minCodeSize + 1;
+                mask = (1 << codeSize) - 1;
+                next = end + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === end) break;
+            if (previous === -1) {
+                if (code >= clear) break;
+                output[out++] = code;
+                previous = first = code;
+                continue;
+            }
+            
+            const current = code;
+            let top = 0;
+            if (code >= next) {
+                // Code not in the table yet: previous string plus its own first byte
+                if (code > next) break;
+                stack[top++] = first;
+                code = previous;
+            }
+            while (code >= clear) {
+                stack[top++] = suffix[code];
+                code = prefix[code];
+            }
+            first = code;
+            stack[top++] = first;
+            
+            if (next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = first;
+                next++;
+                if ((next & mask) === 0 && next < 4096) {
+                    codeSize++;
+                    mask = (1 << codeSize) - 1;
+                }
+            }
+            previous = current;
+            
+            while (top > 0 && out < pixelCount) output[out++] = stack[--top];
+        }
+        return output;
+    },
+    
+    lzwEncode(indices, minCodeSize) {
+        const clear = 1 << minCodeSize;
+        const end = clear + 1;
+        const table = new Map(); // (prefix code << 8 | index) -> code
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let next = end + 1;
+        let datum = 0;
+        let bits = 0;
+        
+        const write = (code) => {
+            datum |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                output.push(datum & 0xFF);
+                datum >>>= 8;
+                bits -= 8;
+            }
+        };
+        
+        write(clear);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            
+            write(prefix);
+            if (next < 4096) {
+                table.set(key, next++);
+                if (next > (1 << codeSize)) codeSize++;
+            } else {
+                // Table full: start again rather than carry on with stale strings
+                write(clear);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                next = end + 1;
+            }
+            prefix = indices[i];
+        }
+        write(prefix);
+        write(end);
+        if (bits > 0) output.push(datum & 0xFF);
+        return output;
+    },
+    
+    // Animated GIF with one shared palette built from every frame
+    // Frames are stored whole; semi-transparent pixels become fully transparent or opaque
+    encodeGif(frames, width, height, { colors = 256, loop = 0 } = {}) {
+        const histogram = new Uint32Array(32768);
+        let hasTransparency = false;
+        frames.forEach(({ image }) => {
+            ColorQuantizer.histogram(image.data, histogram);
+            for (let i = 3; i < image.data.length && !hasTransparency; i += 4) {
+                if (image.data[i] < 128) hasTransparency = true;
+            }
+        });
+        
+        // GIF input usually fits its palette already, so keep the exact colours when we can
+        const limit = hasTransparency ? colors - 1 : colors;
+        const exact = this.exactColors(frames, limit);
+        const palette = exact
+            ? Array.from(exact.keys(), rgb => ({ r: rgb >> 16, g: (rgb >> 8) & 0xFF, b: rgb & 0xFF }))
+            : ColorQuantizer.quantize(histogram, limit);
+        const mapColor = exact
+            ? (r, g, b) => exact.get((r << 16) | (g << 8) | b)
+            : ColorQuantizer.createMapper(palette);
+        const transparentIndex = hasTransparency ? palette.length : -1;
+        let colorBits = 1;
+        while ((1 << colorBits) < palette.length + (hasTransparency ? 1 : 0)) colorBits++;
+        
+        const bytes = [];
+        const word = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+        const ascii = (text) => bytes.push(...Array.from(text, char => char.charCodeAt(0)));
+        
+        ascii('GIF89a');
+        word(width);
+        word(height);
+        bytes.push(0x80 | ((colorBits - 1) << 4) | (colorBits - 1), 0, 0);
+        for (let i = 0; i < 1 << colorBits; i++) {
+            const color = palette[i] || { r: 0, g: 0, b: 0 };
+            bytes.push(color.r, color.g, color.b);
+        }
+        
+        // NETSCAPE block stores repeats after the first play; none means play once
+        if (loop !== 1) {
+            bytes.push(0x21, 0xFF, 11);
+            ascii('NETSCAPE2.0');
+            bytes.push(3, 1);
+            word(loop === 0 ? 0 : loop - 1);
+            bytes.push(0);
+        }
+        
+        const minCodeSize = Math.max(2, colorBits);
+        frames.forEach(({ image, delay }) => {
+            // Disposal 2 clears each frame first so transparent areas don't show the last one
+            bytes.push(0x21, 0xF9, 4, (hasTransparency ? 2 << 2 : 1 << 2) | (hasTransparency ? 1 : 0));
+            word(Math.round(delay / 10));
+            bytes.push(hasTransparency ? transparentIndex : 0, 0);
+            
+            bytes.push(0x2C);
+            word(0);
+            word(0);
+            word(width);
+            word(height);
+            bytes.push(0);
+            
+            const { data } = image;
+            const indices = new Uint8Array(width * height);
+            for (let i = 0; i < indices.length; i++) {
+                const at = i * 4;
+                indices[i] = data[at + 3] < 128 ? transparentIndex : mapColor(data[at], data[at + 1], data[at + 2]);
+            }
+            
+            const compressed = this.lzwEncode(indices, minCodeSize);
+            bytes.push(minCodeSize);
+            for (let i = 0; i < compressed.length; i += 255) {
+                const block = compressed.slice(i, i + 255);
+                bytes.push(block.length, ...block);
+            }
+            bytes.push(0);
+        });
+        
+        bytes.push(0x3B);
+        return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+    },
+    
+    // Map of colour -> palette index, or null if the opaque pixels use more than limit colours
+    exactColors(frames, limit) {
+        const colors = new Map();
+        for (const { image } of frames) {
+            const { data } = image;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] < 128) continue;
+                const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!colors.has(rgb)) {
+                    if (colors.size === limit) return null;
+                    colors.set(rgb, colors.size);
+                }
+            }
+        }
+        return colors;
+    },
+    
+    // Animated WebP: each frame is encoded as a still WebP by the canvas,
+    // then its image chunks are wrapped in ANMF frames inside a VP8X/ANIM container
+    async encodeWebP(frames, width, height, { quality = 0.8, loop = 0 } = {}) {
+        const canvas = ImageProcessing.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const parts = [];
+        let hasAlpha = false;
+        
+        for (const { image, delay } of frames) {
+            ctx.putImageData(image, 0, 0);
+            const still = await ImageProcessing.encode(canvas, 'image/webp', quality);
+            const chunks = this.readWebPChunks(new Uint8Array(await still.arrayBuffer()))
+                .filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.type));
+            if (!chunks.some(chunk => chunk.type !== 'ALPH')) throw new Error('This browser cannot encode WebP');
+            if (chunks.some(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8L')) hasAlpha = true;
+            
+            const header = new Uint8Array(16);
+            this.writeUint24(header, 0, 0); // x / 2
+            this.writeUint24(header, 3, 0); // y / 2
+            this.writeUint24(header, 6, width - 1);
+            this.writeUint24(header, 9, height - 1);
+            this.writeUint24(header, 12, Math.min(0xFFFFFF, Math.round(delay)));
+            header[15] = 0x02; // don't blend with the previous frame, no disposal
+            parts.push(this.webpChunk('ANMF', [header, ...chunks.map(chunk => this.webpChunk(chunk.type, [chunk.data]))]));
+        }
+        
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0); // animation, alpha
+        this.writeUint24(vp8x, 4, width - 1);
+        this.writeUint24(vp8x, 7, height - 1);
+        
+        // Background colour (BGRA), then loop count (0 = forever)
+        const anim = new Uint8Array(6);
+        anim[4] = loop & 0xFF;
+        anim[5] = (loop >> 8) & 0xFF;
+        
+        const body = [new TextEncoder().encode('WEBP'), this.webpChunk('VP8X', [vp8x]), this.webpChunk('ANIM', [anim]), ...parts];
+        return new Blob([this.webpChunk('RIFF', body)], { type: 'image/webp' });
+    },
+    
+    // Top-level chunks of a WebP file as [{ type, data }]
+    readWebPChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let pos = 12;
+        while (pos + 8 <= bytes.length) {
+            const size = view.getUint32(pos + 4, true);
+            chunks.push({
+                type: String.fromCharCode(...bytes.subarray(pos, pos + 4)),
+                data: bytes.subarray(pos + 8, pos + 8 + size)
+            });
+            pos += 8 + size + (size & 1);
+        }
+        return chunks;
+    },
+    
+    // RIFF chunk: FourCC, little-endian size, data padded to an even length
+    webpChunk(type, parts) {
+        const size = parts.reduce((sum, part) => sum + part.length, 0);
+        const chunk = new Uint8Array(8 + size + (size & 1));
+        chunk.set(new TextEncoder().encode(type), 0);
+        new DataView(chunk.buffer).setUint32(4, size, true);
+        let pos = 8;
+        parts.forEach(part => {
+            chunk.set(part, pos);
+            pos += part.length;
+        });
+        return chunk;
+    },
+    
+    writeUint24(bytes, pos, value) {
+        bytes[pos] = value & 0xFF;
+        bytes[pos + 1] = (value >> 8) & 0xFF;
+        bytes[pos + 2] = (value >> 16) & 0xFF;
+    }
+};
+
+// Make available to pages and workers
+self.AnimatedImage = AnimatedImage;
@@ -0,0 +1,198 @@
+// archive-reader.js - Unpacks ZIP, tar and tar.gz archives in the browser
+// ZIP needs JSZip; tar.gz needs DecompressionStream
+const ArchiveReader = {
+    // Image types by extension, for entries that come out of an archive untyped
+    imageTypes: {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        bmp: 'image/bmp',
+        svg: 'image/svg+xml',
+        avif: 'image/avif'
+    },
+    
+    // 'zip', 'tar', 'tar.gz' or null
+    getKind(file) {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.zip')) return 'zip';
+        if (name.endsWith('.tar')) return 'tar';
+        if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+        return null;
+    },
+    
+    isArchive(file) {
+        return this.getKind(file) !== null;
+    },
+    
+    // Resolves with { files, problems }
+    // files carry a relativePath of archive folder + path inside the archive;
+    // problems are { path, error } for entries (or whole archives) that couldn't be read
+    async extract(archive) {
+        const kind = this.getKind(archive);
+        const folder = DragDropManager.getFolder(archive);
+        const files = [];
+        const problems = [];
+        
+        try {
+            const entries = kind === 'zip' ? await this.readZip(archive) : await this.readTar(archive, kind === 'tar.gz');
+            for (const entry of entries) {
+                const entryPath = this.normalizePath(entry.path);
+                if (entryPath === null) {
+                    problems.push({ path: folder + entry.path, error: 'Path leads outside the archive' });
+                    continue;
+                }
+                if (this.isHidden(entryPath)) continue;
+                
+                const path = folder + entryPath;
+                try {
+                    files.push(this.createFile(await entry.read(), path, entry.date));
+                } catch (error) {
+                    problems.push({ path, error: `Corrupt archive entry (${error.message || error})` });
+                }
+            }
+        } catch (error) {
+            problems.push({ path: folder + archive.name, error: `Could not open archive (${error.message || error})` });
+        }
+        
+        files.sort((a, b) => a.relativePath.localeCompare(b.relativePath, undefined, { numeric: true }));
+        return { files, problems };
+    },
+    
+    // Entries as { path, date, read() -> Promise<Blob> }
+    async readZip(archive) {
+        if (typeof JSZip === 'undefined') throw new Error('JSZip library not loaded');
+        
+        const zip = await JSZip.loadAsync(archive, { checkCRC32: true });
+        return Object.values(zip.files)
+            .filter(entry => !entry.dir)
+            .map(entry => ({
+                path: entry.name,
+                date: entry.date,
+                read: () => entry.async('blob')
+            }));
+    },
+    
+    async readTar(archive, gzipped) {
+        let stream = archive.stream();
+        if (gzipped) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress .tar.gz files');
+            }
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+        
+        const buffer = new Uint8Array(await new Response(stream).arrayBuffer());
+        return this.parseTar(buffer);
+    },
+    
+    // Regular files from a ustar/GNU/pax tar, with long names resolved
+    parseTar(buffer) {
+        const entries = [];
+        let offset = 0;
+        let longName = null;
+        
+        while (offset + 512 <= buffer.length) {
+            const header = buffer.subarray(offset, offset + 512);
+            if (header.every(byte => byte === 0)) break; // end-of-archive block
+            
+            if (!this.validTarChecksum(header)) {
+                throw new Error(`Bad tar header at byte ${offset}`);
+            }
+            
+            const size = this.readOctal(header, 124, 12);
+            const type = String.fromCharCode(header[156] || 48);
+            const dataStart = offset + 512;
+            const dataEnd = dataStart + size;
+            if (dataEnd > buffer.length) throw new Error('Tar archive is truncated');
+            
+            const data = buffer.subarray(dataStart, dataEnd);
+            offset = dataStart + Math.ceil(size / 512) * 512;
+            
+            if (type === 'L') {
+                // GNU long name for the next entry
+                longName = this.readString(data, 0, data.length);
+                continue;
+            }
+            if (type === 'x') {
+                // pax extended header - only the path matters here
+                const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(new TextDecoder().decode(data));
+                if (match) longName = match[1];
+                continue;
+            }
+            
+            const prefix = this.readString(header, 345, 155);
+            const name = this.readString(header, 0, 100);
+            const path = longName || (prefix ? `${prefix}/${name}` : name);
+            longName = null;
+            
+            // Only regular files; directories, links and devices are skipped
+            if (type !== '0' && type !== '7') continue;
+            
+            entries.push({
+                path,
+                date: new Date(this.readOctal(header, 136, 12) * 1000),
+                read: async () => new Blob([data])
+            });
+        }
+        
+        return entries;
+    },
+    
+    readString(bytes, start, length) {
+        const field = bytes.subarray(start, start + length);
+        const end = field.indexOf(0);
+        return new TextDecoder().decode(end === -1 ? field : field.subarray(0, end));
+    },
+    
+    readOctal(bytes, start, length) {
+        const text = this.readString(bytes, start, length).trim();
+        return text ? parseInt(text, 8) : 0;
+    },
+    
+    // The checksum field counts as spaces while summing the header
+    validTarChecksum(header) {
+        let sum = 0;
+        for (let i = 0; i < 512; i++) {
+            sum += i >= 148 && i < 156 ? 32 : header[i];
+        }
+        return sum === this.readOctal(header, 148, 8);
+    },
+    
+    // Entry path that is safe to reuse as a folder in output ZIPs: forward slashes, no drive
+    // or leading /, no "." or empty segments ("./" comes from `tar -cf x.tar .`); null when ".." climbs out of the archive, which would let
+    // extracting the download write anywhere (zip slip)
+    normalizePath(path) {
+        const parts = [];
+        for (const part of path.replace(/\\/g, '/').replace(/^[a-z]:/i, '').split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+        return parts.length > 0 ? parts.join('/') : null;
+    },
+    
+    // Skip folders of resource forks and dot files packed by macOS
+    isHidden(path) {
+        return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+    },
+    
+    createFile(blob, path, date) {
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        const ext = name.split('.').pop().toLowerCase();
+        const file = new File([blob], name, {
+            type: this.imageTypes[ext] || 'application/octet-stream',
+            lastModified: date && !isNaN(date) ? date.getTime() : Date.now()
+        });
+        Object.defineProperty(file, 'relativePath', { value: path, configurable: true });
+        return file;
+    }
+};
+
+// Make available globally
+window.ArchiveReader = ArchiveReader;
@@ -1,22 +1,55 @@
 // batch-process.js - Batch Processing Tool
 class BatchProcessor {
     constructor() {
-        this.files = [];
-        this.processedFiles = [];
+        this.queue = []; // { id, file, status, error, result }
+        this.nextId = 1;
         this.settings = {
             quality: 80,
             maxSize: 500, // KB
+            resizeMode: 'fit', // fit, percent, longEdge, physical, exact
+            maxWidth: null, // px, or print size in printUnit
+            maxHeight: null,
+            percent: 50,
+            longEdge: 2048, // px
+            printUnit: 'cm',
+            padColor: '#ffffff', // or 'transparent'
+            dpi: null,
             format: 'jpeg',
-            maintainNames: true,
-            addPrefix: true
+            filenameTemplate: 'optimized-{name}', // see FilenameTemplate
+            useRecipe: false, // run the recipe instead of the settings above
+            resample: 'browser',
+            sharpen: 0, // %
+            keepAnimation: true, // animated GIF/WebP stay animated
+            animationFrameStep: 1, // keep every Nth frame
+            animationColors: 256, // GIF palette size
+            animationFormat: 'auto', // auto, gif, webp
+            useResponsive: false, // make a srcset of every image instead of one output
+            responsiveWidths: '320, 640, 1024, 1600, 2400', // px, as typed
+            responsiveFormats: ['avif', 'webp', 'jpeg'], // in order of preference
+            responsiveSizes: '100vw' // sizes attribute for the <picture> markup
         };
-        this.batchSize = 5; // Process 5 files at a time
+        this.exifTags = new WeakMap(); // file -> EXIF tags, for filename previews
+        this.imageHashes = new WeakMap(); // file -> ImageHash.analyze result, for duplicate groups
+        this.hashing = Promise.resolve(); // files are hashed one at a time in the background
+        this.duplicateGroups = []; // as last shown in the file list
+        this.keptGroups = new Set(); // groups the user chose to keep in full
+        this.batchDate = new Date();
+        this.runControl = new RunControl(document.getElementById('runControls'));
+        this.partial = false; // last run was cancelled part-way
+        this.store = typeof BatchStore !== 'undefined' && BatchStore.isSupported() ? BatchStore : null;
+        this.savedBatch = null; // found on load, until resumed or discarded
+        this.recipeEditor = null;
+        this.activeRecipe = null; // validated recipe for the current run
+        this.activeResponsive = null; // { widths, formats } for the current run
         this.init();
     }
     
     init() {
         this.setupEventListeners();
         this.setupSliders();
+        this.setupFormatOptions();
+        this.setupRecipe();
+        this.setupResponsive();
         this.setupFileList();
     }
     
@@ -29,28 +62,87 @@ class BatchProcessor {
             });
         }
         
+        // Folder picker - files keep their paths inside the folder
+        const folderInput = document.getElementById('batchFolderInput');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => {
+                this.handleFiles(e.target.files);
+                e.target.value = '';
+            });
+        }
+        
         // Process button
-        const processBtn = document.getElementById('processBatchBtn');
+        const processBtn = document.getElementById('processBatch');
         if (processBtn) {
             processBtn.addEventListener('click', () => this.processBatch());
         }
         
         // Clear button
-        const clearBtn = document.getElementById('clearBatchBtn');
+        const clearBtn = document.getElementById('clearBatch');
         if (clearBtn) {
             clearBtn.addEventListener('click', () => this.clearFiles());
         }
         
         // Download ZIP button
-        const downloadZipBtn = document.getElementById('downloadZipBtn');
+        const downloadZipBtn = document.getElementById('downloadZip');
         if (downloadZipBtn) {
             downloadZipBtn.addEventListener('click', () => this.downloadZip());
         }
+        
+        // Saved batch actions
+        const resumeBtn = document.getElementById('resumeSavedBatch');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => this.resumeSavedBatch());
+        }
+        
+        const downloadSavedBtn = document.getElementById('downloadSavedBatch');
+        if (downloadSavedBtn) {
+            downloadSavedBtn.addEventListener('click', () => this.downloadSavedBatch());
+        }
+        
+        const discardSavedBtn = document.getElementById('discardSavedBatch');
+        if (discardSavedBtn) {
+            discardSavedBtn.addEventListener('click', () => this.discardSavedBatch());
+        }
+        
+        const purgeBtn = document.getElementById('purgeBatchStorage');
+        if (purgeBtn) {
+            purgeBtn.addEventListener('click', () => this.purgeStorage());
+        }
+        
+        // Remember settings with the saved batch
+        const settingsPanel = document.querySelector('.batch-settings');
+        if (settingsPanel) {
+            settingsPanel.addEventListener('change', () => this.saveJob());
+        }
+        
+        // Failed file actions
+        const retryFailedBtn = document.getElementById('retryFailed');
+        if (retryFailedBtn) {
+            retryFailedBtn.addEventListener('click', () => this.retryFailed());
+        }
+        
+        const removeFailedBtn = document.getElementById('removeFailed');
+        if (removeFailedBtn) {
+            removeFailedBtn.addEventListener('click', () => this.removeFailed());
+        }
+        
+        // Download individual files button
+        const downloadIndividualBtn = document.getElementById('downloadIndividual');
+        if (downloadIndividualBtn) {
+            downloadIndividualBtn.addEventListener('click', () => this.downloadIndividual());
+        }
+        
+        // Report download
+        const downloadReportBtn = document.getElementById('downloadReport');
+        if (downloadReportBtn) {
+            downloadReportBtn.addEventListener('click', () => this.downloadReport());
+        }
     }
     
     setupSliders() {
         // Quality slider
-        const qualitySlider = document.getElementById('batchQualitySlider');
+        const qualitySlider = document.getElementById('batchQuality');
         const qualityValue = document.getElementById('batchQualityValue');
         
         if (qualitySlider && qualityValue) {
@@ -61,7 +153,7 @@ class BatchProcessor {
         }
         
         // Max size slider
-        const sizeSlider = document.getElementById('batchMaxSizeSlider');
+        const sizeSlider = document.getElementById('batchMaxSize');
         const sizeValue = document.getElementById('batchMaxSizeValue');
         
         if (sizeSlider && sizeValue) {
@@ -71,259 +163,1001 @@ class BatchProcessor {
             });
         }
         
+        // Resize mode select
+        const resizeMode = document.getElementById('batchResizeMode');
+        if (resizeMode) {
+            resizeMode.addEventListener('change', (e) => {
+                this.settings.resizeMode = e.target.value;
+                this.updateResizeFields();
+            });
+        }
+        
+        // Width / height inputs (max px, print size or exact px depending on the mode)
+        const widthInput = document.getElementById('batchWidth');
+        if (widthInput) {
+            widthInput.addEventListener('input', (e) => {
+                this.settings.maxWidth = e.target.value ? parseFloat(e.target.value) : null;
+            });
+        }
+        
+        const heightInput = document.getElementById('batchHeight');
+        if (heightInput) {
+            heightInput.addEventListener('input', (e) => {
+                this.settings.maxHeight = e.target.value ? parseFloat(e.target.value) : null;
+            });
+        }
+        
+        // Percentage / long edge inputs
+        const percentInput = document.getElementById('batchPercent');
+        if (percentInput) {
+            percentInput.addEventListener('input', (e) => {
+                this.settings.percent = e.target.value ? parseFloat(e.target.value) : 100;
+            });
+        }
+        
+        const longEdgeInput = document.getElementById('batchLongEdge');
+        if (longEdgeInput) {
+            longEdgeInput.addEventListener('input', (e) => {
+                this.settings.longEdge = e.target.value ? parseInt(e.target.value) : null;
+            });
+        }
+        
+        // Print unit select
+        const printUnit = document.getElementById('batchPrintUnit');
+        if (printUnit) {
+            printUnit.addEventListener('change', (e) => {
+                this.settings.printUnit = e.target.value;
+                this.updateResizeFields();
+            });
+        }
+        
+        // Padding colour
+        const padColor = document.getElementById('batchPadColor');
+        const padTransparent = document.getElementById('batchPadTransparent');
+        if (padColor && padTransparent) {
+            const updatePadColor = () => {
+                this.settings.padColor = padTransparent.checked ? 'transparent' : padColor.value;
+                padColor.disabled = padTransparent.checked;
+            };
+            padColor.addEventListener('input', updatePadColor);
+            padTransparent.addEventListener('change', updatePadColor);
+        }
+        
+        // DPI input
+        const dpiInput = document.getElementById('batchDpi');
+        if (dpiInput) {
+            dpiInput.addEventListener('input', (e) => {
+                this.settings.dpi = e.target.value ? parseInt(e.target.value) : null;
+            });
+        }
+        
         // Format select
         const formatSelect = document.getElementById('batchFormatSelect');
         if (formatSelect) {
             formatSelect.addEventListener('change', (e) => {
                 this.settings.format = e.target.value;
+                this.updateFilenamePreview();
+            });
+        }
+        
+        // Resampling select
+        const resampleSelect = document.getElementById('batchResampleSelect');
+        if (resampleSelect) {
+            resampleSelect.addEventListener('change', (e) => {
+                this.settings.resample = e.target.value;
+            });
+        }
+        
+        // Sharpen slider
+        const sharpenSlider = document.getElementById('batchSharpenSlider');
+        const sharpenValue = document.getElementById('batchSharpenValue');
+        if (sharpenSlider && sharpenValue) {
+            sharpenSlider.addEventListener('input', (e) => {
+                this.settings.sharpen = parseInt(e.target.value);
+                sharpenValue.textContent = this.settings.sharpen ? `${this.settings.sharpen}%` : 'Off';
+            });
+        }
+        
+        // Animated GIF/WebP options
+        const keepAnimation = document.getElementById('batchKeepAnimation');
+        if (keepAnimation) {
+            keepAnimation.addEventListener('change', (e) => {
+                this.settings.keepAnimation = e.target.checked;
+            });
+        }
+        
+        const animationFrames = document.getElementById('batchAnimationFrames');
+        if (animationFrames) {
+            animationFrames.addEventListener('change', (e) => {
+                this.settings.animationFrameStep = parseInt(e.target.value);
+            });
+        }
+        
+        const animationColors = document.getElementById('batchAnimationColors');
+        if (animationColors) {
+            animationColors.addEventListener('change', (e) => {
+                this.settings.animationColors = parseInt(e.target.value);
+            });
+        }
+        
+        const animationFormat = document.getElementById('batchAnimationFormat');
+        if (animationFormat) {
+            animationFormat.addEventListener('change', (e) => {
+                this.settings.animationFormat = e.target.value;
             });
         }
         
-        // Checkboxes
-        const maintainNames = document.getElementById('maintainNamesCheckbox');
-        const addPrefix = document.getElementById('addPrefixCheckbox');
+        // Filename template
+        const templateInput = document.getElementById('batchFilenameTemplate');
+        if (templateInput) {
+            templateInput.addEventListener('input', (e) => {
+                this.settings.filenameTemplate = e.target.value;
+                this.updateFilenamePreview();
+            });
+        }
+        
+        // Clickable token list
+        const tokenList = document.getElementById('batchTemplateTokens');
+        if (tokenList && templateInput) {
+            tokenList.innerHTML = 'Tokens: ' + FilenameTemplate.tokens.map(token => `<code>${token}</code>`).join(' ') +
+                '<br>Tokens a file has no value for (like EXIF dates on a PNG) are left out of its name.';
+            tokenList.addEventListener('click', (e) => {
+                const code = e.target.closest('code');
+                if (!code) return;
+                templateInput.value += code.textContent;
+                this.settings.filenameTemplate = templateInput.value;
+                this.updateFilenamePreview();
+            });
+        }
+    }
+    
+    updateResizeFields() {
+        const settings = document.querySelector('.batch-settings');
+        if (settings) {
+            FileOptimizer.updateResizeFields(settings, this.settings.resizeMode, this.settings.printUnit);
+        }
+    }
+    
+    setupFormatOptions() {
+        // Only offer AVIF where the browser can encode it
+        const avifOption = document.querySelector('#batchFormatSelect option[value="avif"]');
+        if (avifOption && !FileOptimizer.supportsEncoding('image/avif')) {
+            avifOption.disabled = true;
+            avifOption.textContent += ' - not supported by this browser';
+        }
+    }
+    
+    setupRecipe() {
+        const container = document.getElementById('batchRecipe');
+        const toggle = document.getElementById('batchUseRecipe');
+        if (!container || !toggle || typeof RecipeEditor === 'undefined') return;
+        
+        this.recipeEditor = new RecipeEditor(container, () => {
+            this.updateFilenamePreview();
+            this.saveJob();
+        });
+        
+        toggle.addEventListener('change', (e) => {
+            this.settings.useRecipe = e.target.checked;
+            if (this.settings.useRecipe) this.setResponsiveMode(false);
+            this.updateRecipeMode();
+            this.updateFilenamePreview();
+        });
+        this.updateRecipeMode();
+    }
+    
+    setupResponsive() {
+        const toggle = document.getElementById('batchUseResponsive');
+        if (!toggle) return;
         
-        if (maintainNames) {
-            maintainNames.addEventListener('change', (e) => {
-                this.settings.maintainNames = e.target.checked;
+        toggle.addEventListener('change', (e) => {
+            this.settings.useResponsive = e.target.checked;
+            if (this.settings.useResponsive) {
+                const useRecipe = document.getElementById('batchUseRecipe');
+                if (useRecipe && useRecipe.checked) {
+                    useRecipe.checked = false;
+                    useRecipe.dispatchEvent(new Event('change'));
+                }
+            }
+            this.updateResponsiveMode();
+            this.updateFilenamePreview();
+        });
+        
+        const widthsInput = document.getElementById('batchResponsiveWidths');
+        if (widthsInput) {
+            widthsInput.addEventListener('input', (e) => {
+                this.settings.responsiveWidths = e.target.value;
+                this.updateFilenamePreview();
             });
         }
         
-        if (addPrefix) {
-            addPrefix.addEventListener('change', (e) => {
-                this.settings.addPrefix = e.target.checked;
+        document.querySelectorAll('.responsive-format').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.settings.responsiveFormats = Array.from(document.querySelectorAll('.responsive-format'))
+                    .filter(input => input.checked)
+                    .map(input => input.value);
+                this.updateFilenamePreview();
             });
+        });
+        
+        const sizesInput = document.getElementById('batchResponsiveSizes');
+        if (sizesInput) {
+            sizesInput.addEventListener('input', (e) => {
+                this.settings.responsiveSizes = e.target.value.trim() || '100vw';
+            });
+        }
+        
+        this.updateResponsiveMode();
+    }
+    
+    setResponsiveMode(enabled) {
+        const toggle = document.getElementById('batchUseResponsive');
+        if (toggle && toggle.checked !== enabled) {
+            toggle.checked = enabled;
+            toggle.dispatchEvent(new Event('change'));
+        }
+    }
+    
+    // Settings a responsive set doesn't use are dimmed while it is on
+    updateResponsiveMode() {
+        const settingsPanel = document.querySelector('.batch-settings');
+        const options = document.querySelector('#batchResponsive .responsive-options');
+        if (settingsPanel) settingsPanel.classList.toggle('responsive-active', this.settings.useResponsive);
+        if (options) options.style.display = this.settings.useResponsive ? '' : 'none';
+    }
+    
+    // Widths from the widths setting, smallest first; junk between the numbers is ignored
+    getResponsiveWidths() {
+        const widths = (this.settings.responsiveWidths.match(/\d+/g) || [])
+            .map(Number)
+            .filter(width => width > 0 && width <= 16384);
+        return [...new Set(widths)].sort((a, b) => a - b);
+    }
+    
+    // Output name for one image of a responsive set, from the image's template name
+    getResponsiveName(name, width, extension) {
+        return `${name.replace(/\.[^/.]+$/, '')}-${width}w.${extension}`;
+    }
+    
+    // Settings the recipe replaces are dimmed while it is in use
+    updateRecipeMode() {
+        const settingsPanel = document.querySelector('.batch-settings');
+        const editor = document.querySelector('#batchRecipe .recipe-editor');
+        if (settingsPanel) settingsPanel.classList.toggle('recipe-active', this.settings.useRecipe);
+        if (editor) editor.style.display = this.settings.useRecipe ? '' : 'none';
+    }
+    
+    // Output format key for a file, from the recipe or the format setting
+    getOutputFormat(file) {
+        if (this.settings.useRecipe && this.recipeEditor) {
+            return FileOptimizer.resolveOutputFormat(Recipe.outputSettings(this.recipeEditor.recipe).format || 'original', file);
         }
+        return FileOptimizer.resolveOutputFormat(this.settings.format, file);
     }
     
     setupFileList() {
         // This would set up the file list display
     }
     
-    handleFiles(fileList) {
-        const files = Array.from(fileList);
-        const imageFiles = files.filter(file => file.type.startsWith('image/'));
+    async handleFiles(fileList) {
+        let files = Array.from(fileList);
+        let problems = [];
         
-        if (imageFiles.length === 0) {
+        if (files.length === 0) {
             FileOptimizer.showNotification('Please select image files', 'error');
             return;
         }
         
+        // New files join the saved batch rather than silently replacing it
+        if (this.savedBatch) await this.restoreSavedBatch();
+        
+        if (files.some(file => ArchiveReader.isArchive(file))) {
+            ({ files, problems } = await this.expandArchives(files));
+        }
+        
+        // HEIC, TIFF and the like become PNGs the pipeline can decode
+        const decoded = await ImageDecoders.prepare(files);
+        files = decoded.files;
+        problems = [...problems, ...decoded.problems];
+        
         // Check limits
-        if (imageFiles.length > 100) {
+        if (this.queue.length + files.length + problems.length > 100) {
             FileOptimizer.showNotification('Maximum 100 files allowed', 'error');
             return;
         }
         
-        this.files = [...this.files, ...imageFiles];
+        // Files we can't process stay in the list as skipped, with the reason
+        const entries = [
+            ...files.map(file => this.createQueueEntry(file)),
+            ...problems.map(problem => this.createProblemEntry(problem))
+        ];
+        this.queue = [...this.queue, ...entries];
         this.updateFileList();
         this.updateProcessButton();
+        this.updateFilenamePreview();
+        entries.forEach(entry => {
+            if (entry.status === 'queued') {
+                this.readExifTags(entry.file);
+                this.hashFile(entry.file);
+            }
+            this.saveEntry(entry);
+        });
+        this.saveJob();
+        
+        const skipped = entries.filter(entry => entry.status === 'skipped').length;
+        if (skipped === entries.length) {
+            FileOptimizer.showNotification('Please select image files', 'error');
+        } else if (skipped > 0) {
+            FileOptimizer.showNotification(`Added ${entries.length - skipped} image(s), skipped ${skipped}`, 'warning');
+        } else {
+            FileOptimizer.showNotification(`Added ${entries.length} image(s)`, 'success');
+        }
+    }
+    
+    // Swap archives for the files inside them; unreadable entries come back as problems
+    async expandArchives(files) {
+        const expanded = [];
+        const problems = [];
+        
+        FileOptimizer.showLoading('Unpacking archives...');
+        try {
+            for (const file of files) {
+                if (!ArchiveReader.isArchive(file)) {
+                    expanded.push(file);
+                    continue;
+                }
+                const contents = await ArchiveReader.extract(file);
+                expanded.push(...contents.files);
+                problems.push(...contents.problems);
+            }
+        } finally {
+            FileOptimizer.hideLoading();
+        }
+        
+        return { files: expanded, problems };
+    }
+    
+    // Skipped entry for a file that couldn't be read out of an archive
+    createProblemEntry({ path, error }) {
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        const entry = this.createQueueEntry(new File([], name));
+        entry.folder = path.slice(0, path.length - name.length);
+        entry.status = 'skipped';
+        entry.error = error;
+        return entry;
+    }
+    
+    createQueueEntry(file) {
+        // folder is the file's path inside a dropped or picked folder, rebuilt in the ZIP
+        const entry = { id: this.nextId++, file, folder: DragDropManager.getFolder(file), status: 'queued', error: null, result: null };
+        const validation = FileOptimizer.validateFile(file);
+        
+        if (!ImageDecoders.isImage(file)) {
+            entry.status = 'skipped';
+            entry.error = 'Not an image file';
+        } else if (!validation.valid) {
+            entry.status = 'skipped';
+            entry.error = validation.error;
+        }
         
-        FileOptimizer.showNotification(`Added ${imageFiles.length} image(s)`, 'success');
+        return entry;
+    }
+    
+    // Labels and icons for each file state
+    getStatusInfo(status) {
+        const statuses = {
+            queued: { label: 'Queued', icon: 'clock' },
+            processing: { label: 'Processing', icon: 'spinner fa-spin' },
+            done: { label: 'Done', icon: 'check-circle' },
+            skipped: { label: 'Skipped', icon: 'forward' },
+            failed: { label: 'Failed', icon: 'exclamation-circle' },
+            cancelled: { label: 'Cancelled', icon: 'ban' }
+        };
+        return statuses[status];
     }
     
     updateFileList() {
-        const fileList = document.getElementById('batchFileList');
+        const fileList = document.getElementById('fileList');
         if (!fileList) return;
         
         fileList.innerHTML = '';
         
-        this.files.forEach((file, index) => {
-            const item = document.createElement('div');
-            item.className = 'file-item';
-            item.innerHTML = `
-                <div class="file-info">
-                    <i class="fas fa-${FileOptimizer.getFileIcon(file.name)} file-icon"></i>
-                    <div class="file-details">
-                        <div class="file-name">${file.name}</div>
-                        <div class="file-size">${FileOptimizer.formatFileSize(file.size)}</div>
-                    </div>
-                </div>
-                <button class="remove-file-btn" data-index="${index}">
-                    <i class="fas fa-times"></i>
-                </button>
-            `;
+        // Duplicates are listed together where the first of them sits in the queue
+        this.duplicateGroups = this.findDuplicates();
+        const grouped = new Map();
+        this.duplicateGroups.forEach(group => group.ids.forEach(id => grouped.set(id, group)));
+        
+        this.queue.forEach(entry => {
+            const group = grouped.get(entry.id);
+            if (!group) {
+                fileList.appendChild(this.createFileItem(entry));
+            } else if (group.ids[0] === entry.id) {
+                fileList.appendChild(this.createDuplicateGroup(group));
+            }
+        });
+        this.updateFailedActions();
+    }
+    
+    // Hash in the background and regroup when a new match turns up
+    hashFile(file) {
+        if (typeof ImageHash === 'undefined') return;
+        
+        this.hashing = this.hashing.then(async () => {
+            // Skip files removed while they waited
+            if (this.imageHashes.has(file) || !this.queue.some(entry => entry.file === file)) return;
             
-            fileList.appendChild(item);
+            try {
+                this.imageHashes.set(file, await ImageHash.analyze(file));
+            } catch (error) {
+                return; // Undecodable files fail with a reason when processed
+            }
             
-            // Remove button
-            item.querySelector('.remove-file-btn').addEventListener('click', (e) => {
-                const index = parseInt(e.target.closest('button').dataset.index);
-                this.removeFile(index);
-            });
+            if (JSON.stringify(this.findDuplicates()) !== JSON.stringify(this.duplicateGroups)) {
+                this.updateFileList();
+            }
+        });
+    }
+    
+    // Groups of exact or near-duplicate files that are still to be processed
+    findDuplicates() {
+        if (typeof ImageHash === 'undefined') return [];
+        
+        const items = this.queue
+            .filter(entry => ['queued', 'cancelled', 'failed'].includes(entry.status) && this.imageHashes.has(entry.file))
+            .map(entry => ({ id: entry.id, hash: this.imageHashes.get(entry.file) }));
+        
+        return ImageHash.group(items).filter(group => !this.keptGroups.has(group.ids.join(',')));
+    }
+    
+    createDuplicateGroup(group) {
+        const container = document.createElement('div');
+        container.className = 'duplicate-group';
+        container.innerHTML = `
+            <div class="duplicate-group-header">
+                <span>
+                    <i class="fas fa-clone"></i>
+                    ${group.exact ? 'Identical files' : 'Similar photos'} (${group.ids.length})
+                </span>
+                <div class="duplicate-group-actions">
+                    <button class="btn secondary" data-keep="best" title="Keep the sharpest full-size photo">Keep best</button>
+                    <button class="btn secondary" data-keep="largest" title="Keep the highest resolution">Keep largest</button>
+                    <button class="btn secondary" data-keep="first" title="Keep the first in the list">Keep first</button>
+                    <button class="btn secondary" data-keep="all" title="These are not duplicates">Keep all</button>
+                </div>
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-keep]').forEach(button => {
+            button.addEventListener('click', () => this.resolveDuplicates(group, button.dataset.keep));
+        });
+        
+        group.ids.forEach(id => container.appendChild(this.createFileItem(this.getEntry(id))));
+        return container;
+    }
+    
+    // Keep one file of a group ('best', 'largest' or 'first') and skip the rest, or keep them all
+    resolveDuplicates(group, keep) {
+        if (keep === 'all') {
+            this.keptGroups.add(group.ids.join(','));
+            this.updateFileList();
+            return;
+        }
+        
+        const entries = group.ids.map(id => this.getEntry(id));
+        const hash = (entry) => this.imageHashes.get(entry.file);
+        const pixels = (entry) => hash(entry).width * hash(entry).height;
+        const largest = entries.reduce((best, entry) => {
+            if (pixels(entry) !== pixels(best)) return pixels(entry) > pixels(best) ? entry : best;
+            return entry.file.size > best.file.size ? entry : best;
+        });
+        
+        let kept = entries[0]; // ids are in queue order
+        if (keep === 'largest') {
+            kept = largest;
+        } else if (keep === 'best') {
+            // Sharpest of the near-full-size copies, so a crisp thumbnail doesn't beat the original
+            kept = entries
+                .filter(entry => pixels(entry) >= pixels(largest) / 2)
+                .reduce((best, entry) => hash(entry).sharpness > hash(best).sharpness ? entry : best);
+        }
+        
+        entries.filter(entry => entry !== kept).forEach(entry => {
+            this.setStatus(entry, 'skipped', `Duplicate of ${kept.folder}${kept.file.name}`);
+        });
+        
+        this.updateFileList();
+        this.updateProcessButton();
+        this.updateFilenamePreview();
+        FileOptimizer.showNotification(`Kept ${kept.file.name}, skipped ${entries.length - 1} duplicate(s)`, 'success');
+    }
+    
+    createFileItem(entry) {
+        const escape = FileOptimizer.escapeHtml;
+        const item = document.createElement('div');
+        item.className = 'file-item';
+        item.dataset.id = entry.id;
+        item.innerHTML = `
+            <div class="file-info">
+                <i class="fas fa-${FileOptimizer.getFileIcon(entry.file.name)} file-icon"></i>
+                <div class="file-details">
+                    <div class="file-name">${entry.folder ? `<span class="file-folder">${escape(entry.folder)}</span>` : ''}${escape(entry.file.name)}</div>
+                    <div class="file-size">${FileOptimizer.formatFileSize(entry.file.size)}</div>
+                    <div class="file-status"></div>
+                </div>
+            </div>
+            <button class="remove-file-btn" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        
+        // Remove button
+        item.querySelector('.remove-file-btn').addEventListener('click', () => {
+            this.removeFile(entry.id);
         });
+        
+        this.renderFileStatus(item, entry);
+        return item;
+    }
+    
+    // Refresh one row's status without rebuilding the list
+    updateFileItem(entry) {
+        const item = document.querySelector(`#fileList .file-item[data-id="${entry.id}"]`);
+        if (item) this.renderFileStatus(item, entry);
     }
     
-    removeFile(index) {
-        this.files.splice(index, 1);
+    renderFileStatus(item, entry) {
+        const status = item.querySelector('.file-status');
+        const info = this.getStatusInfo(entry.status);
+        let text = info.label;
+        
+        if (entry.status === 'done') {
+            text += ` - ${FileOptimizer.formatFileSize(entry.result.size)}`;
+            if (entry.result.variants) text += ` in ${entry.result.variants.length} files`;
+        } else if (entry.error) {
+            text += `: ${entry.error}`;
+        }
+        
+        status.className = `file-status status-${entry.status}`;
+        status.classList.toggle('file-error', entry.status === 'failed');
+        status.innerHTML = `<i class="fas fa-${info.icon}"></i> ${FileOptimizer.escapeHtml(text)}`;
+    }
+    
+    setStatus(entry, status, error = null) {
+        entry.status = status;
+        entry.error = error;
+        this.updateFileItem(entry);
+        // 'processing' is saved as queued anyway
+        if (status !== 'processing') this.saveEntry(entry);
+    }
+    
+    getEntry(id) {
+        return this.queue.find(entry => entry.id === id);
+    }
+    
+    // Results of finished files, in queue order
+    // Output files of finished entries; a responsive set gives one per width and format
+    getProcessedFiles() {
+        return this.queue.filter(entry => entry.status === 'done').flatMap(entry => {
+            const result = entry.result;
+            return result.variants
+                ? result.variants.map(variant => ({ ...variant, folder: result.folder }))
+                : [result];
+        });
+    }
+    
+    getFailed() {
+        return this.queue.filter(entry => entry.status === 'failed');
+    }
+    
+    removeFile(id) {
+        this.queue = this.queue.filter(entry => entry.id !== id);
+        this.persist(this.store && this.store.deleteEntries([id]));
+        this.updateFileList();
+        this.updateProcessButton();
+        this.updateFilenamePreview();
+        if (this.queue.some(entry => entry.status === 'done' || entry.status === 'failed')) {
+            this.showResultsSummary();
+        }
+    }
+    
+    removeFailed() {
+        const failed = this.getFailed().length;
+        if (failed === 0) return;
+        
+        this.persist(this.store && this.store.deleteEntries(this.getFailed().map(entry => entry.id)));
+        this.queue = this.queue.filter(entry => entry.status !== 'failed');
         this.updateFileList();
         this.updateProcessButton();
+        this.updateFilenamePreview();
+        this.showResultsSummary();
+        
+        FileOptimizer.showNotification(`Removed ${failed} failed file(s)`, 'info');
+    }
+    
+    async retryFailed() {
+        const failed = this.getFailed();
+        if (failed.length === 0) return;
+        
+        await this.runQueue(failed);
+    }
+    
+    // Retry / remove buttons only make sense when something failed
+    updateFailedActions() {
+        const hasFailed = this.getFailed().length > 0;
+        ['retryFailed', 'removeFailed'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = hasFailed ? '' : 'none';
+        });
+    }
+    
+    // EXIF tags of JPEGs so {exif.*} tokens can be previewed before processing
+    async readExifTags(file) {
+        if (typeof JpegMetadata === 'undefined') return;
+        
+        try {
+            // EXIF sits in the first segments of the file
+            const buffer = await file.slice(0, 256 * 1024).arrayBuffer();
+            const metadata = JpegMetadata.isJpeg(buffer) ? JpegMetadata.read(buffer) : null;
+            if (metadata) {
+                this.exifTags.set(file, metadata.tags);
+                this.updateFilenamePreview();
+            }
+        } catch (error) {
+            // Truncated or unusual headers - the tags fill in after processing
+        }
+    }
+    
+    // Values for the filename template tokens
+    getTemplateContext(file, index, processed = null) {
+        const output = processed
+            ? { extension: processed.extension }
+            : this.getOutputFormat(file);
+        const tags = processed && processed.metadata ? processed.metadata.tags : this.exifTags.get(file);
+        
+        return {
+            name: file.name.replace(/\.[^/.]+$/, ""),
+            index: index + 1,
+            width: processed ? processed.width : null,
+            height: processed ? processed.height : null,
+            format: output.extension,
+            date: this.batchDate,
+            modified: file.lastModified ? new Date(file.lastModified) : null,
+            exif: tags || null
+        };
+    }
+    
+    // Show what the first few files will be called
+    updateFilenamePreview() {
+        const preview = document.getElementById('batchFilenamePreview');
+        if (!preview) return;
+        
+        const entries = this.queue.filter(entry => entry.status !== 'skipped');
+        const shown = entries.slice(0, 5);
+        if (shown.length === 0) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        let names = this.resolveNames(shown, true);
+        
+        // Responsive sets show their first image and how many more there are
+        if (this.settings.useResponsive && !this.settings.useRecipe) {
+            const widths = this.getResponsiveWidths();
+            const formats = this.settings.responsiveFormats;
+            if (widths.length > 0 && formats.length > 0) {
+                const count = widths.length * formats.length;
+                names = names.map(name => {
+                    const first = this.getResponsiveName(name, widths[0], FileOptimizer.outputFormats[formats[0]].extension);
+                    return count > 1 ? `${first} (+${count - 1} more)` : first;
+                });
+            }
+        }
+        
+        const escape = FileOptimizer.escapeHtml;
+        preview.innerHTML = shown.map((entry, index) => `
+            <div><span>${escape(entry.folder + entry.file.name)}</span><span class="preview-arrow">→</span><span>${escape(entry.folder + names[index])}</span></div>
+        `).join('') + (entries.length > shown.length ? `<div>… and ${entries.length - shown.length} more</div>` : '');
     }
     
     updateProcessButton() {
-        const processBtn = document.getElementById('processBatchBtn');
+        const processBtn = document.getElementById('processBatch');
         if (processBtn) {
-            processBtn.disabled = this.files.length === 0;
+            processBtn.disabled = !this.queue.some(entry => entry.status !== 'skipped');
         }
     }
     
     async processBatch() {
-        if (this.files.length === 0) {
+        const entries = this.queue.filter(entry => entry.status !== 'skipped');
+        if (entries.length === 0) {
             FileOptimizer.showNotification('Please select files to process', 'error');
             return;
         }
         
-        FileOptimizer.showLoading(`Processing ${this.files.length} files...`);
+        // Settings may have changed - process everything again
+        this.batchDate = new Date();
+        await this.runQueue(entries);
+    }
+    
+    // Process the given queue entries, keeping every file's state visible
+    async runQueue(entries) {
+        // Check the recipe once, before any file is touched
+        try {
+            this.activeRecipe = this.settings.useRecipe && this.recipeEditor ? this.recipeEditor.getRecipe() : null;
+        } catch (error) {
+            FileOptimizer.showNotification(`Recipe: ${error.message}`, 'error');
+            return;
+        }
         
-        this.processedFiles = [];
-        const totalFiles = this.files.length;
+        // Responsive sets need a width and a format this browser can write
+        this.activeResponsive = null;
+        if (this.settings.useResponsive && !this.activeRecipe) {
+            const widths = this.getResponsiveWidths();
+            const formats = this.settings.responsiveFormats.filter(format => {
+                return FileOptimizer.supportsEncoding(FileOptimizer.outputFormats[format].mimeType);
+            });
+            if (widths.length === 0 || formats.length === 0) {
+                FileOptimizer.showNotification('Responsive set: enter at least one width and pick a format', 'error');
+                return;
+            }
+            const missing = this.settings.responsiveFormats.filter(format => !formats.includes(format));
+            if (missing.length > 0) {
+                FileOptimizer.showNotification(`This browser can't write ${missing.map(format => format.toUpperCase()).join(', ')} - leaving it out`, 'warning');
+            }
+            this.activeResponsive = { widths, formats };
+        }
+        
+        const total = entries.length;
         const progressBar = document.getElementById('batchProgress');
-        const progressText = document.getElementById('batchProgressText');
+        const progressText = document.getElementById('progressText');
+        let completed = 0;
+        let failed = 0;
         
-        // Process in chunks to avoid blocking
-        const chunkSize = this.batchSize;
-        const chunks = [];
+        entries.forEach(entry => {
+            entry.result = null;
+            this.setStatus(entry, 'queued');
+        });
+        this.updateFailedActions();
         
-        for (let i = 0; i < totalFiles; i += chunkSize) {
-            chunks.push(this.files.slice(i, i + chunkSize));
-        }
+        FileOptimizer.showLoading(`Processing ${total} files...`);
         
-        for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-            const chunk = chunks[chunkIndex];
-            const chunkPromises = chunk.map(async (file, indexInChunk) => {
-                const fileIndex = chunkIndex * chunkSize + indexInChunk;
-                
-                try {
-                    const processed = await this.processFile(file);
-                    this.processedFiles.push(processed);
-                    
-                    // Update progress
-                    const progress = ((fileIndex + 1) / totalFiles) * 100;
-                    if (progressBar) progressBar.style.width = `${progress}%`;
-                    if (progressText) {
-                        progressText.textContent = `Processed ${fileIndex + 1} of ${totalFiles} files`;
-                    }
-                    
-                    return processed;
-                    
-                } catch (error) {
-                    console.error(`Failed to process ${file.name}:`, error);
-                    return null;
-                }
-            });
+        this.saveJob();
+        
+        // Start as many files at once as the ImagePipeline has workers, so pausing stops between files
+        const concurrency = typeof ImagePipeline !== 'undefined' ? ImagePipeline.shared().poolSize : 1;
+        const cancelled = await this.runControl.run(entries, async (entry) => {
+            this.setStatus(entry, 'processing');
             
-            await Promise.all(chunkPromises);
+            try {
+                entry.result = await this.processFile(entry.file);
+                this.setStatus(entry, 'done');
+            } catch (error) {
+                console.error(`Failed to process ${entry.file.name}:`, error);
+                failed++;
+                this.setStatus(entry, 'failed', this.describeError(error));
+            }
             
-            // Small delay between chunks
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+            // Update progress
+            completed++;
+            const progress = (completed / total) * 100;
+            if (progressBar) progressBar.style.width = `${progress}%`;
+            if (progressText) {
+                progressText.textContent = `Processed ${completed} of ${total} files` + (failed ? ` (${failed} failed)` : '');
+            }
+        }, concurrency);
         
         FileOptimizer.hideLoading();
         
-        const successCount = this.processedFiles.filter(f => f !== null).length;
-        FileOptimizer.showNotification(`Successfully processed ${successCount} of ${totalFiles} files`, 'success');
+        // Files that never started keep no output
+        entries.filter(entry => entry.status === 'queued').forEach(entry => this.setStatus(entry, 'cancelled'));
+        this.partial = cancelled;
+        this.saveJob();
+        
+        this.assignFilenames();
+        this.updateFilenamePreview();
+        this.updateFailedActions();
+        
+        if (cancelled) {
+            FileOptimizer.showNotification(`Cancelled after ${completed} of ${total} files - finished files can still be downloaded`, 'warning');
+        } else if (failed === total) {
+            FileOptimizer.showNotification(`All ${total} files failed - see the file list for reasons`, 'error');
+        } else if (failed > 0) {
+            FileOptimizer.showNotification(`Processed ${total - failed} of ${total} files - ${failed} failed`, 'warning');
+        } else {
+            FileOptimizer.showNotification(`Successfully processed ${total} files`, 'success');
+        }
         
         // Enable download button
-        const downloadBtn = document.getElementById('downloadZipBtn');
-        if (downloadBtn) downloadBtn.disabled = false;
+        const downloadBtn = document.getElementById('downloadZip');
+        if (downloadBtn) downloadBtn.disabled = this.getProcessedFiles().length === 0;
         
         // Show results summary
         this.showResultsSummary();
     }
     
+    // Readable reason for a failed file
+    describeError(error) {
+        if (error && error.message) return error.message;
+        // <img> decode failures only give us an Event
+        return 'The image could not be decoded';
+    }
+    
     async processFile(file) {
-        const quality = this.settings.quality / 100;
-        const maxSizeKB = this.settings.maxSize;
-        
-        // Calculate target dimensions based on file size
-        const targetSizeBytes = maxSizeKB * 1024;
-        const scaleFactor = Math.sqrt(targetSizeBytes / file.size);
-        
-        let maxWidth = null;
-        let maxHeight = null;
-        
-        if (scaleFactor < 1) {
-            // Read image dimensions
-            const dataUrl = await FileOptimizer.readFileAsDataURL(file);
-            const img = new Image();
-            
-            await new Promise((resolve) => {
-                img.onload = resolve;
-                img.src = dataUrl;
-            });
-            
-            maxWidth = Math.floor(img.width * scaleFactor);
-            maxHeight = Math.floor(img.height * scaleFactor);
-        }
-        
-        // Compress image
-        const compressedDataUrl = await FileOptimizer.compressImage(
-            file, 
-            quality, 
-            maxWidth, 
-            maxHeight
-        );
-        
-        // Convert to blob
-        const blob = this.dataURLToBlob(compressedDataUrl);
+        const started = performance.now();
+        if (this.activeResponsive) return this.processResponsiveSet(file, started);
         
-        // Generate filename
-        const filename = this.generateFilename(file.name);
+        const result = await FileOptimizer.optimizeImage(file, this.activeRecipe
+            ? this.getRecipeOptions(this.activeRecipe)
+            : this.getSettingsOptions());
         
+        // Named once the whole batch is done (see assignFilenames)
         return {
-            name: filename,
-            size: blob.size,
-            dataUrl: compressedDataUrl,
-            blob: blob,
+            name: null,
+            extension: result.extension,
+            size: result.size,
+            blob: result.blob, // kept as a Blob so the browser can page large batches out of memory
+            width: result.width,
+            height: result.height,
+            originalWidth: result.originalWidth,
+            originalHeight: result.originalHeight,
+            quality: result.quality,
+            format: result.format,
+            fits: result.fits,
+            duration: Math.round(performance.now() - started), // ms, including queueing for a worker
+            dpi: result.dpi,
+            metadata: result.metadata,
             original: file
         };
     }
     
-    dataURLToBlob(dataUrl) {
-        const arr = dataUrl.split(',');
-        const mime = arr[0].match(/:(.*?);/)[1];
-        const bstr = atob(arr[1]);
-        let n = bstr.length;
-        const u8arr = new Uint8Array(n);
+    // Every width in every format; the images are named with the batch (see assignFilenames)
+    // blob is the widest fallback image, size the total of the set
+    async processResponsiveSet(file, started) {
+        const set = await FileOptimizer.createResponsiveSet(file, this.activeResponsive.widths, this.activeResponsive.formats, {
+            quality: this.settings.quality / 100,
+            resample: this.settings.resample,
+            sharpen: this.settings.sharpen / 100
+        });
+        const fallbackFormat = FileOptimizer.responsiveFallback(set.formats);
+        const fallback = set.variants.find(variant => variant.format === fallbackFormat); // widest comes first
         
-        while (n--) {
-            u8arr[n] = bstr.charCodeAt(n);
-        }
+        return {
+            name: null,
+            extension: fallback.extension,
+            size: set.variants.reduce((sum, variant) => sum + variant.size, 0),
+            blob: fallback.blob,
+            width: fallback.width,
+            height: fallback.height,
+            originalWidth: set.originalWidth,
+            originalHeight: set.originalHeight,
+            quality: this.settings.quality / 100,
+            format: set.formats.join('/'),
+            fits: true,
+            duration: Math.round(performance.now() - started),
+            dpi: null,
+            metadata: null,
+            original: file,
+            variants: set.variants.map(variant => ({ ...variant, name: null }))
+        };
+    }
+    
+    // Compress image, searching quality/dimensions to stay under the max size
+    getSettingsOptions() {
+        return {
+            quality: this.settings.quality / 100,
+            maxWidth: this.settings.maxWidth,
+            maxHeight: this.settings.maxHeight,
+            resize: FileOptimizer.buildResize(this.settings),
+            dpi: this.settings.dpi,
+            targetSize: this.settings.maxSize * 1024,
+            format: this.settings.format,
+            resample: this.settings.resample,
+            sharpen: this.settings.sharpen / 100,
+            animation: FileOptimizer.buildAnimation(this.settings)
+        };
+    }
+    
+    // The recipe's steps run in the worker; its output steps pick format, quality and size
+    getRecipeOptions(recipe) {
+        const output = Recipe.outputSettings(recipe);
+        return {
+            recipe,
+            quality: output.quality / 100,
+            targetSize: output.maxSize ? output.maxSize * 1024 : null,
+            format: output.format || 'original',
+            preserveMetadata: !output.stripMetadata,
+            resample: this.settings.resample
+        };
+    }
+    
+    generateFilename(context, preview = false) {
+        const template = this.settings.filenameTemplate.trim() || '{name}';
+        return `${FilenameTemplate.render(template, context, { keepUnknown: preview })}.${context.format}`;
+    }
+    
+    // Name outputs in queue order so {index} and collision suffixes are predictable
+    assignFilenames() {
+        const done = this.queue.filter(entry => entry.status === 'done');
+        const names = this.resolveNames(done);
         
-        return new Blob([u8arr], { type: mime });
+        done.forEach((entry, i) => {
+            entry.result.name = names[i];
+            entry.result.folder = entry.folder;
+            if (entry.result.variants) {
+                entry.result.variants.forEach(variant => {
+                    variant.name = this.getResponsiveName(names[i], variant.width, variant.extension);
+                });
+            }
+        });
     }
     
-    generateFilename(originalName) {
-        let name = originalName.replace(/\.[^/.]+$/, "");
-        const ext = this.settings.format === 'jpeg' ? 'jpg' : this.settings.format;
+    // Output names for entries; names only need to be unique within their folder
+    // Previews keep tokens that have no value yet, final names leave them out
+    resolveNames(entries, preview = false) {
+        const names = entries.map(entry => {
+            return this.generateFilename(this.getTemplateContext(entry.file, this.queue.indexOf(entry), entry.result), preview);
+        });
         
-        if (this.settings.addPrefix) {
-            name = `optimized-${name}`;
-        }
+        const folders = new Map();
+        entries.forEach((entry, i) => {
+            if (!folders.has(entry.folder)) folders.set(entry.folder, []);
+            folders.get(entry.folder).push(i);
+        });
         
-        if (!this.settings.maintainNames) {
-            const timestamp = Date.now();
-            const random = Math.floor(Math.random() * 1000);
-            name = `image-${timestamp}-${random}`;
-        }
+        folders.forEach(indexes => {
+            const resolved = FilenameTemplate.resolveCollisions(indexes.map(i => names[i]));
+            indexes.forEach((i, j) => {
+                names[i] = resolved[j];
+            });
+        });
         
-        return `${name}.${ext}`;
+        return names;
+    }
+    
+    // <picture> markup for every finished responsive set, with paths as in the ZIP
+    getPictureSnippets() {
+        return this.queue
+            .filter(entry => entry.status === 'done' && entry.result.variants)
+            .map(entry => {
+                const variants = entry.result.variants.map(variant => ({ ...variant, url: (entry.result.folder || '') + variant.name }));
+                return `<!-- ${entry.folder}${entry.file.name} -->\n${FileOptimizer.pictureHtml(variants, this.settings.responsiveSizes)}`;
+            })
+            .join('\n\n');
     }
     
     showResultsSummary() {
         const summary = document.getElementById('resultsSummary');
         if (!summary) return;
         
-        const totalOriginalSize = this.files.reduce((sum, file) => sum + file.size, 0);
-        const totalProcessedSize = this.processedFiles.reduce((sum, file) => sum + file.size, 0);
-        const reduction = ((totalOriginalSize - totalProcessedSize) / totalOriginalSize * 100).toFixed(1);
+        const done = this.queue.filter(entry => entry.status === 'done');
+        const failed = this.getFailed();
+        const skipped = this.queue.filter(entry => entry.status === 'skipped');
+        
+        const totalOriginalSize = done.reduce((sum, entry) => sum + entry.file.size, 0);
+        const totalProcessedSize = done.reduce((sum, entry) => sum + entry.result.size, 0);
+        const reduction = totalOriginalSize
+            ? ((totalOriginalSize - totalProcessedSize) / totalOriginalSize * 100).toFixed(1)
+            : '0.0';
+        
+        const escape = FileOptimizer.escapeHtml;
+        const listProblems = (entries, title, icon) => entries.length === 0 ? '' : `
+            <div class="results-problems">
+                <h3><i class="fas fa-${icon}"></i> ${title} (${entries.length})</h3>
+                <ul>
+                    ${entries.map(entry => `<li><strong>${escape(entry.folder + entry.file.name)}</strong> - ${escape(entry.error)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
         
         summary.innerHTML = `
             <div class="results-stats">
                 <div class="stat">
-                    <span class="stat-number">${this.processedFiles.length}</span>
+                    <span class="stat-number">${done.length}</span>
                     <span class="stat-label">Files Processed</span>
                 </div>
+                <div class="stat">
+                    <span class="stat-number">${failed.length}</span>
+                    <span class="stat-label">Failed</span>
+                </div>
                 <div class="stat">
                     <span class="stat-number">${FileOptimizer.formatFileSize(totalOriginalSize)}</span>
                     <span class="stat-label">Original Size</span>
@@ -337,50 +1171,141 @@ class BatchProcessor {
                     <span class="stat-label">Size Reduction</span>
                 </div>
             </div>
+            ${listProblems(failed, 'Failed', 'exclamation-circle')}
+            ${listProblems(skipped, 'Skipped', 'forward')}
         `;
         
+        const snippets = this.getPictureSnippets();
+        if (snippets) {
+            const section = document.createElement('div');
+            section.className = 'responsive-snippets';
+            section.innerHTML = `
+                <h3><i class="fas fa-code"></i> &lt;picture&gt; Markup</h3>
+                <pre><code></code></pre>
+                <button class="btn secondary">
+                    <i class="fas fa-copy"></i> Copy HTML
+                </button>
+            `;
+            section.querySelector('code').textContent = snippets;
+            section.querySelector('button').addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(snippets);
+                    FileOptimizer.showNotification('HTML copied to clipboard!', 'success');
+                } catch (error) {
+                    FileOptimizer.showNotification('Could not copy - select the code and copy it instead', 'error');
+                }
+            });
+            summary.appendChild(section);
+        }
+        
         summary.style.display = 'block';
     }
     
+    // One row per file in the list, see BatchReport.columns
+    getReport() {
+        const files = this.queue.map(entry => {
+            const result = entry.status === 'done' ? entry.result : null;
+            // Files that didn't run may still have been measured for duplicate checks
+            const measured = this.imageHashes.get(entry.file);
+            const originalWidth = result && result.originalWidth ? result.originalWidth : measured ? measured.width : null;
+            const originalHeight = result && result.originalHeight ? result.originalHeight : measured ? measured.height : null;
+            
+            return {
+                original: entry.folder + entry.file.name,
+                output: result ? this.describeOutput(result) : null,
+                status: entry.status,
+                originalWidth,
+                originalHeight,
+                width: result ? result.width : null,
+                height: result ? result.height : null,
+                originalBytes: entry.file.size,
+                outputBytes: result ? result.size : null,
+                reduction: result ? BatchReport.reduction(entry.file.size, result.size) : null,
+                format: result ? result.format : null,
+                quality: result && result.quality ? Math.round(result.quality * 100) : null,
+                durationMs: result && result.duration !== undefined ? result.duration : null,
+                error: entry.error
+            };
+        });
+        
+        return BatchReport.create(`Batch report - ${this.batchDate.toLocaleDateString()}`, this.describeRun(), files);
+    }
+    
+    // Output path for the report; responsive sets list every file
+    describeOutput(result) {
+        const folder = result.folder || '';
+        return result.variants
+            ? result.variants.map(variant => folder + variant.name).join(' ')
+            : folder + result.name;
+    }
+    
+    // Settings line for the report header
+    describeRun() {
+        if (this.settings.useRecipe && this.recipeEditor) {
+            return `Recipe "${this.recipeEditor.recipe.name}": ${this.recipeEditor.recipe.steps.map(step => Recipe.describe(step)).join(', ')}`;
+        }
+        if (this.settings.useResponsive) {
+            const formats = this.settings.responsiveFormats.map(format => format.toUpperCase()).join(', ');
+            return `Responsive set at ${this.getResponsiveWidths().join(', ')} px in ${formats} at ${this.settings.quality}%`;
+        }
+        
+        const format = this.settings.format === 'original' ? 'Original format' : this.settings.format.toUpperCase();
+        return `${format} at ${this.settings.quality}%, max ${this.settings.maxSize} KB`;
+    }
+    
+    getReportFormat() {
+        const select = document.getElementById('reportFormat');
+        return select && BatchReport.formats[select.value] ? select.value : 'csv';
+    }
+    
+    downloadReport() {
+        if (!this.queue.some(entry => entry.status !== 'queued')) {
+            FileOptimizer.showNotification('Process the batch first to get a report', 'info');
+            return;
+        }
+        
+        const format = this.getReportFormat();
+        FileOptimizer.downloadFile(BatchReport.toBlob(this.getReport(), format), BatchReport.filename(format));
+    }
+    
     async downloadZip() {
-        if (this.processedFiles.length === 0) {
+        const processedFiles = this.getProcessedFiles();
+        if (processedFiles.length === 0) {
             FileOptimizer.showNotification('No files to download', 'error');
             return;
         }
         
-        FileOptimizer.showLoading('Creating ZIP file...');
+        // Files go in the same folders they were dropped in
+        const entries = processedFiles.map(file => ({
+            name: (file.folder || '') + file.name,
+            blob: file.blob,
+            date: this.batchDate
+        }));
+        
+        const snippets = this.getPictureSnippets();
+        if (snippets) {
+            entries.push({ name: 'picture-snippets.html', blob: new Blob([snippets + '\n'], { type: 'text/html' }), date: this.batchDate });
+        }
+        
+        const includeReport = document.getElementById('includeReport');
+        if (includeReport && includeReport.checked) {
+            const format = this.getReportFormat();
+            entries.push({ name: BatchReport.filename(format), blob: BatchReport.toBlob(this.getReport(), format) });
+        }
+        
+        FileOptimizer.showLoading('Writing ZIP file...');
         
         try {
-            // Check if JSZip is available
-            if (typeof JSZip === 'undefined') {
-                throw new Error('JSZip library not loaded');
-            }
-            
-            const zip = new JSZip();
-            
-            // Add files to zip
-            this.processedFiles.forEach((file, index) => {
-                zip.file(file.name, file.blob);
-            });
-            
-            // Generate zip file
-            const zipBlob = await zip.generateAsync({ type: 'blob' });
-            
-            // Download
-            const url = URL.createObjectURL(zipBlob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'batch-processed-files.zip';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            // Streamed to disk where possible, so the archive is never held in memory whole
+            const method = await ZipStream.save(entries, this.partial ? 'batch-processed-files-partial.zip' : 'batch-processed-files.zip');
             
             FileOptimizer.hideLoading();
-            FileOptimizer.showNotification('ZIP download started', 'success');
+            FileOptimizer.showNotification(method === 'disk' ? 'ZIP file saved' : 'ZIP download started', 'success');
             
         } catch (error) {
             FileOptimizer.hideLoading();
+            if (error.name === 'AbortError') return; // save dialog closed
+            
             console.error('ZIP creation error:', error);
             FileOptimizer.showNotification('Failed to create ZIP file', 'error');
             
@@ -390,51 +1315,270 @@ class BatchProcessor {
     }
     
     downloadIndividual() {
-        if (this.processedFiles.length === 0) return;
+        const processedFiles = this.getProcessedFiles();
+        if (processedFiles.length === 0) return;
         
         FileOptimizer.showNotification('Starting individual downloads...', 'info');
         
         // Download each file
-        this.processedFiles.forEach((file, index) => {
+        processedFiles.forEach((file, index) => {
             setTimeout(() => {
-                const url = file.dataUrl;
+                const url = URL.createObjectURL(file.blob);
                 const a = document.createElement('a');
                 a.href = url;
                 a.download = file.name;
                 document.body.appendChild(a);
                 a.click();
                 document.body.removeChild(a);
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
             }, index * 100); // Stagger downloads
         });
     }
     
     clearFiles() {
-        this.files = [];
-        this.processedFiles = [];
+        this.queue = [];
+        this.keptGroups.clear();
+        this.partial = false;
+        this.persist(this.store && this.store.clear());
         
         // Clear UI
-        const fileList = document.getElementById('batchFileList');
+        const fileList = document.getElementById('fileList');
         const summary = document.getElementById('resultsSummary');
-        const processBtn = document.getElementById('processBatchBtn');
-        const downloadBtn = document.getElementById('downloadZipBtn');
+        const processBtn = document.getElementById('processBatch');
+        const downloadBtn = document.getElementById('downloadZip');
         
         if (fileList) fileList.innerHTML = '';
         if (summary) summary.style.display = 'none';
+        this.updateFilenamePreview();
         if (processBtn) processBtn.disabled = true;
         if (downloadBtn) downloadBtn.disabled = true;
+        this.updateFailedActions();
         
         // Reset progress
         const progressBar = document.getElementById('batchProgress');
-        const progressText = document.getElementById('batchProgressText');
+        const progressText = document.getElementById('progressText');
         
         if (progressBar) progressBar.style.width = '0%';
         if (progressText) progressText.textContent = '';
         
         FileOptimizer.showNotification('All files cleared', 'info');
     }
+    
+    // Saving is best-effort: a full or blocked IndexedDB shouldn't stop the batch
+    persist(promise) {
+        if (!promise) return;
+        promise
+            .then(() => this.scheduleStorageUpdate())
+            .catch(error => console.warn('Could not save batch:', error));
+    }
+    
+    saveEntry(entry) {
+        this.persist(this.store && this.store.saveEntry(entry));
+    }
+    
+    saveJob() {
+        if (this.queue.length === 0) return;
+        this.persist(this.store && this.store.saveJob({
+            settings: { ...this.settings },
+            recipe: this.recipeEditor ? this.recipeEditor.recipe : null,
+            batchDate: this.batchDate,
+            partial: this.partial,
+            nextId: this.nextId
+        }));
+    }
+    
+    // Offer to resume a batch left over from a previous visit
+    async checkSavedBatch() {
+        if (!this.store) return;
+        
+        let saved;
+        try {
+            saved = await this.store.load();
+        } catch (error) {
+            console.warn('Could not read saved batch:', error);
+            return;
+        }
+        
+        this.updateStorageUsage();
+        if (!saved || this.queue.length > 0) return;
+        
+        this.savedBatch = saved;
+        const done = saved.entries.filter(entry => entry.status === 'done').length;
+        const pending = saved.entries.filter(entry => entry.status === 'queued' || entry.status === 'cancelled').length;
+        const when = saved.job ? ` from ${new Date(saved.job.batchDate).toLocaleString()}` : '';
+        
+        const panel = document.getElementById('batchRestore');
+        const text = document.getElementById('batchRestoreText');
+        const resumeBtn = document.getElementById('resumeSavedBatch');
+        const downloadBtn = document.getElementById('downloadSavedBatch');
+        
+        if (text) {
+            text.textContent = `You have a saved batch of ${saved.entries.length} file(s)${when}: ` +
+                `${done} finished, ${pending} still to process.`;
+        }
+        if (resumeBtn) resumeBtn.disabled = pending === 0;
+        if (downloadBtn) downloadBtn.disabled = done === 0;
+        if (panel) panel.style.display = '';
+    }
+    
+    // Put the saved batch back in the list, with its settings
+    async restoreSavedBatch() {
+        const { job, entries } = this.savedBatch;
+        this.savedBatch = null;
+        this.hideRestorePanel();
+        
+        if (job) {
+            this.applySettings(job.settings);
+            if (job.recipe && this.recipeEditor) this.recipeEditor.load(job.recipe);
+            this.batchDate = new Date(job.batchDate);
+            this.partial = job.partial;
+        }
+        
+        this.queue = entries.map(record => {
+            const entry = { folder: '', ...record };
+            if (entry.result) entry.result.original = entry.file;
+            return entry;
+        });
+        this.nextId = Math.max(job ? job.nextId : 1, entries[entries.length - 1].id + 1);
+        
+        this.assignFilenames();
+        this.updateFileList();
+        this.updateProcessButton();
+        this.updateFilenamePreview();
+        this.queue.forEach(entry => {
+            if (entry.status !== 'skipped') this.readExifTags(entry.file);
+            if (entry.status !== 'skipped' && entry.status !== 'done') this.hashFile(entry.file);
+        });
+        
+        const downloadBtn = document.getElementById('downloadZip');
+        if (downloadBtn) downloadBtn.disabled = this.getProcessedFiles().length === 0;
+        if (this.queue.some(entry => entry.status === 'done' || entry.status === 'failed')) {
+            this.showResultsSummary();
+        }
+    }
+    
+    async resumeSavedBatch() {
+        await this.restoreSavedBatch();
+        
+        const pending = this.queue.filter(entry => entry.status === 'queued' || entry.status === 'cancelled');
+        if (pending.length > 0) await this.runQueue(pending);
+    }
+    
+    async downloadSavedBatch() {
+        await this.restoreSavedBatch();
+        await this.downloadZip();
+    }
+    
+    async discardSavedBatch() {
+        this.savedBatch = null;
+        this.hideRestorePanel();
+        this.persist(this.store.clear());
+        FileOptimizer.showNotification('Saved batch discarded', 'info');
+    }
+    
+    hideRestorePanel() {
+        const panel = document.getElementById('batchRestore');
+        if (panel) panel.style.display = 'none';
+    }
+    
+    // Delete everything saved on this device, including the current list
+    purgeStorage() {
+        if (!confirm('Delete the saved batch and all of its files from this device?')) return;
+        
+        this.savedBatch = null;
+        this.hideRestorePanel();
+        this.clearFiles();
+        FileOptimizer.showNotification('Saved batch data purged', 'info');
+    }
+    
+    // Set the settings inputs, letting their own listeners update this.settings
+    applySettings(settings) {
+        const inputs = {
+            batchQuality: settings.quality,
+            batchMaxSize: settings.maxSize,
+            batchResizeMode: settings.resizeMode,
+            batchWidth: settings.maxWidth,
+            batchHeight: settings.maxHeight,
+            batchPercent: settings.percent,
+            batchLongEdge: settings.longEdge,
+            batchPrintUnit: settings.printUnit,
+            batchDpi: settings.dpi,
+            batchFormatSelect: settings.format,
+            batchResampleSelect: settings.resample,
+            batchSharpenSlider: settings.sharpen,
+            // Batches saved before the animation options get their defaults
+            batchAnimationFrames: settings.animationFrameStep || 1,
+            batchAnimationColors: settings.animationColors || 256,
+            batchAnimationFormat: settings.animationFormat || 'auto',
+            batchFilenameTemplate: settings.filenameTemplate,
+            // Batches saved before responsive sets get their defaults
+            batchResponsiveWidths: settings.responsiveWidths || '320, 640, 1024, 1600, 2400',
+            batchResponsiveSizes: settings.responsiveSizes || '100vw'
+        };
+        
+        const useRecipe = document.getElementById('batchUseRecipe');
+        if (useRecipe) {
+            useRecipe.checked = !!settings.useRecipe;
+            useRecipe.dispatchEvent(new Event('change'));
+        }
+        
+        Object.entries(inputs).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.value = value === null || value === undefined ? '' : value;
+            input.dispatchEvent(new Event(input.tagName === 'SELECT' ? 'change' : 'input'));
+        });
+        
+        const padColor = document.getElementById('batchPadColor');
+        const padTransparent = document.getElementById('batchPadTransparent');
+        if (padColor && padTransparent) {
+            padTransparent.checked = settings.padColor === 'transparent';
+            if (!padTransparent.checked) padColor.value = settings.padColor;
+            padTransparent.dispatchEvent(new Event('change'));
+        }
+        
+        const keepAnimation = document.getElementById('batchKeepAnimation');
+        if (keepAnimation) {
+            keepAnimation.checked = settings.keepAnimation !== false;
+            keepAnimation.dispatchEvent(new Event('change'));
+        }
+        
+        const responsiveFormats = settings.responsiveFormats || ['avif', 'webp', 'jpeg'];
+        document.querySelectorAll('.responsive-format').forEach(checkbox => {
+            checkbox.checked = responsiveFormats.includes(checkbox.value);
+            checkbox.dispatchEvent(new Event('change'));
+        });
+        this.setResponsiveMode(!!settings.useResponsive);
+        
+        Object.assign(this.settings, settings);
+    }
+    
+    scheduleStorageUpdate() {
+        clearTimeout(this.storageTimer);
+        this.storageTimer = setTimeout(() => this.updateStorageUsage(), 500);
+    }
+    
+    // How much the saved batch takes up on this device
+    async updateStorageUsage() {
+        const indicator = document.getElementById('batchStorage');
+        const text = document.getElementById('batchStorageText');
+        if (!indicator || !this.store) return;
+        
+        try {
+            const { used, quota } = await this.store.usage();
+            indicator.style.display = used > 0 ? '' : 'none';
+            if (text) {
+                text.textContent = `Saved on this device: ${FileOptimizer.formatFileSize(used)}` +
+                    (quota ? ` of ${FileOptimizer.formatFileSize(quota)} available` : '');
+            }
+        } catch (error) {
+            indicator.style.display = 'none';
+        }
+    }
 }
 
 // Initialize batch processor
 document.addEventListener('DOMContentLoaded', () => {
     window.batchProcessor = new BatchProcessor();
+    window.batchProcessor.checkSavedBatch();
 });
\ No newline at end of file
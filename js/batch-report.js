@@ -0,0 +1,147 @@
+// batch-report.js - Per-file batch report as CSV, JSON or a standalone HTML page
+const BatchReport = {
+    formats: {
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        json: { extension: 'json', mimeType: 'application/json' },
+        html: { extension: 'html', mimeType: 'text/html' }
+    },
+    
+    // Columns in report order: [key, heading]
+    columns: [
+        ['original', 'Original file'],
+        ['output', 'Output file'],
+        ['status', 'Status'],
+        ['originalWidth', 'Original width'],
+        ['originalHeight', 'Original height'],
+        ['width', 'Output width'],
+        ['height', 'Output height'],
+        ['originalBytes', 'Original bytes'],
+        ['outputBytes', 'Output bytes'],
+        ['reduction', 'Reduction %'],
+        ['format', 'Format'],
+        ['quality', 'Quality %'],
+        ['durationMs', 'Duration (ms)'],
+        ['error', 'Error']
+    ],
+    
+    // report: { title, generated (Date), settings (text), files: [row] }
+    // Rows use the column keys; values missing for a file are null
+    create(title, settings, files) {
+        const done = files.filter(file => file.status === 'done');
+        const originalBytes = done.reduce((sum, file) => sum + file.originalBytes, 0);
+        const outputBytes = done.reduce((sum, file) => sum + file.outputBytes, 0);
+        
+        return {
+            title,
+            generated: new Date(),
+            settings,
+            totals: {
+                files: files.length,
+                processed: done.length,
+                failed: files.filter(file => file.status === 'failed').length,
+                skipped: files.filter(file => file.status === 'skipped').length,
+                originalBytes,
+                outputBytes,
+                reduction: this.reduction(originalBytes, outputBytes)
+            },
+            files
+        };
+    },
+    
+    // Percentage saved, one decimal place
+    reduction(originalBytes, outputBytes) {
+        if (!originalBytes) return null;
+        return Math.round((originalBytes - outputBytes) / originalBytes * 1000) / 10;
+    },
+    
+    // Blob of the report in 'csv', 'json' or 'html'
+    toBlob(report, format) {
+        const text = format === 'json' ? this.toJSON(report)
+            : format === 'html' ? this.toHTML(report)
+            : this.toCSV(report);
+        return new Blob([text], { type: `${this.formats[format].mimeType};charset=utf-8` });
+    },
+    
+    filename(format) {
+        return `batch-report.${this.formats[format].extension}`;
+    },
+    
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    },
+    
+    // RFC 4180 quoting; the BOM makes Excel read UTF-8 names correctly
+    toCSV(report) {
+        const quote = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [
+            this.columns.map(([, heading]) => quote(heading)).join(','),
+            ...report.files.map(file => this.columns.map(([key]) => quote(file[key])).join(','))
+        ];
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    },
+    
+    // Self-contained page with inline styles, for attaching to deliverables
+    toHTML(report) {
+        const escape = (value) => value === null || value === undefined ? '' : String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const size = (bytes) => bytes === null ? '' : FileOptimizer.formatFileSize(bytes);
+        const cell = (file, key) => {
+            if (key === 'originalBytes' || key === 'outputBytes') return size(file[key]);
+            if (key === 'reduction' && file[key] !== null) return `${file[key]}%`;
+            return escape(file[key]);
+        };
+        const { totals } = report;
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(report.title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #6b7280; margin: 0 0 1.5rem; }
+    .totals { display: flex; flex-wrap: wrap; gap: 1.5rem; margin-bottom: 1.5rem; }
+    .totals div { background: #f3f4f6; border-radius: 8px; padding: 0.75rem 1rem; }
+    .totals strong { display: block; font-size: 1.25rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; }
+    th { background: #f9fafb; }
+    tr.failed td { color: #b91c1c; }
+    tr.skipped td, tr.cancelled td { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>${escape(report.title)}</h1>
+<p class="meta">Generated ${escape(report.generated.toLocaleString())} &middot; ${escape(report.settings)}</p>
+<div class="totals">
+    <div><strong>${totals.processed} / ${totals.files}</strong> processed</div>
+    <div><strong>${totals.failed}</strong> failed</div>
+    <div><strong>${totals.skipped}</strong> skipped</div>
+    <div><strong>${size(totals.originalBytes)} &rarr; ${size(totals.outputBytes)}</strong> total size</div>
+    <div><strong>${totals.reduction === null ? '-' : `${totals.reduction}%`}</strong> reduction</div>
+</div>
+<table>
+<thead>
+<tr>${this.columns.map(([, heading]) => `<th>${escape(heading)}</th>`).join('')}</tr>
+</thead>
+<tbody>
+${report.files.map(file => `<tr class="${escape(file.status)}">${this.columns.map(([key]) => `<td>${cell(file, key)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+};
+
+// Make available globally
+window.BatchReport = BatchReport;
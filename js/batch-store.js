@@ -0,0 +1,107 @@
+// batch-store.js - Keeps the batch queue, settings and finished outputs in IndexedDB
+const BatchStore = {
+    dbName: 'fileOptimizerBatch',
+    version: 1,
+    db: null,
+    
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+    
+    open() {
+        if (this.db) return this.db;
+        
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('entries', { keyPath: 'id' }); // one per queued file
+                db.createObjectStore('job'); // settings and run state under 'current'
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    },
+    
+    // Run fn(stores) in one transaction; resolves with fn's result once committed
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            const request = fn(...stores);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+    
+    // Entries are stored without the page-only link back to the source File
+    saveEntry(entry) {
+        const record = {
+            id: entry.id,
+            file: entry.file,
+            folder: entry.folder,
+            status: entry.status === 'processing' ? 'queued' : entry.status,
+            error: entry.error,
+            result: null
+        };
+        
+        if (entry.result) {
+            const { original, ...result } = entry.result;
+            record.result = result;
+        }
+        
+        return this.transaction(['entries'], 'readwrite', store => store.put(record));
+    },
+    
+    deleteEntries(ids) {
+        return this.transaction(['entries'], 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    },
+    
+    saveJob(job) {
+        return this.transaction(['job'], 'readwrite', store => store.put(job, 'current'));
+    },
+    
+    // { job, entries } in queue order, or null when nothing is saved
+    async load() {
+        const [job, entries] = await Promise.all([
+            this.transaction(['job'], 'readonly', store => store.get('current')),
+            this.transaction(['entries'], 'readonly', store => store.getAll())
+        ]);
+        
+        if (entries.length === 0) return null;
+        entries.sort((a, b) => a.id - b.id);
+        return { job: job || null, entries };
+    },
+    
+    clear() {
+        return this.transaction(['entries', 'job'], 'readwrite', (entries, job) => {
+            entries.clear();
+            job.clear();
+        });
+    },
+    
+    // Bytes held by the saved inputs and outputs, plus the browser's quota if known
+    async usage() {
+        const entries = await this.transaction(['entries'], 'readonly', store => store.getAll());
+        const used = entries.reduce((sum, entry) => {
+            // A result's size covers every file of a responsive set
+            return sum + entry.file.size + (entry.result ? entry.result.size : 0);
+        }, 0);
+        
+        let quota = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            quota = estimate.quota - estimate.usage + used;
+        }
+        
+        return { used, quota };
+    }
+};
+
+// Make available globally
+window.BatchStore = BatchStore;
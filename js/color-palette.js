@@ -0,0 +1,232 @@
+// color-palette.js - Colour palettes of images and their export as CSS, JSON, ASE, GPL and a PNG card
+const ColorPalette = {
+    sampleSize: 256, // px on the long edge; more pixels hardly move a palette
+    
+    methods: {
+        median: 'Median cut',
+        kmeans: 'K-means (refined median cut)'
+    },
+    
+    // Palette as [{ hex, r, g, b, percent }], most common first; transparent pixels don't count
+    extract(source, { colors = 6, method = 'median' } = {}) {
+        const data = this.samplePixels(source);
+        let palette = ColorQuantizer.quantize(ColorQuantizer.histogram(data), colors);
+        if (method === 'kmeans' && palette.length > 0) {
+            palette = this.kmeans(data, palette);
+        }
+        
+        const total = palette.reduce((sum, color) => sum + color.count, 0);
+        return palette
+            .sort((a, b) => b.count - a.count)
+            .map(color => ({
+                hex: this.toHex(color),
+                r: color.r,
+                g: color.g,
+                b: color.b,
+                percent: total ? color.count / total * 100 : 0
+            }));
+    },
+    
+    // RGBA pixels of the source scaled down to sampleSize
+    samplePixels(source) {
+        const scale = Math.min(1, this.sampleSize / Math.max(source.width, source.height));
+        const size = ImageProcessing.scaleSize(source.width, source.height, scale);
+        const canvas = ImageProcessing.createCanvas(size.width, size.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, size.width, size.height);
+        return ctx.getImageData(0, 0, size.width, size.height).data;
+    },
+    
+    // Lloyd's k-means over the pixels, starting from the median-cut colours so results are repeatable
+    // Distances are weighted like ColorQuantizer.createMapper
+    kmeans(data, seeds, iterations = 12) {
+        let centers = seeds.map(color => [color.r, color.g, color.b]);
+        let counts = [];
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const sums = centers.map(() => [0, 0, 0]);
+            counts = centers.map(() => 0);
+            
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] < 128) continue;
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let j = 0; j < centers.length; j++) {
+                    const dr = centers[j][0] - data[i];
+                    const dg = centers[j][1] - data[i + 1];
+                    const db = centers[j][2] - data[i + 2];
+                    const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = j;
+                    }
+                }
+                sums[best][0] += data[i];
+                sums[best][1] += data[i + 1];
+                sums[best][2] += data[i + 2];
+                counts[best]++;
+            }
+            
+            // Stop once no centre moves by more than a level per channel
+            let moved = 0;
+            centers = centers.map((center, j) => {
+                if (!counts[j]) return center;
+                const next = sums[j].map(sum => sum / counts[j]);
+                moved = Math.max(moved, ...next.map((value, channel) => Math.abs(value - center[channel])));
+                return next;
+            });
+            if (moved < 1) break;
+        }
+        
+        return centers
+            .map((center, j) => ({ r: Math.round(center[0]), g: Math.round(center[1]), b: Math.round(center[2]), count: counts[j] }))
+            .filter(color => color.count > 0);
+    },
+    
+    toHex({ r, g, b }) {
+        return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+    },
+    
+    formatPercent(percent) {
+        return `${percent.toFixed(1)}%`;
+    },
+    
+    // Export formats: label, file extension and MIME type
+    formats: {
+        css: { label: 'CSS variables', extension: 'css', mimeType: 'text/css' },
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+        ase: { label: 'Adobe Swatch Exchange', extension: 'ase', mimeType: 'application/octet-stream' },
+        gpl: { label: 'GIMP / Inkscape palette', extension: 'gpl', mimeType: 'text/plain' },
+        png: { label: 'PNG swatch card', extension: 'png', mimeType: 'image/png' }
+    },
+    
+    // Blob of the palette in an export format; name titles the palette where the format has one
+    async toBlob(palette, format, name) {
+        const { mimeType } = this.formats[format];
+        switch (format) {
+            case 'css':
+                return new Blob([this.toCss(palette)], { type: mimeType });
+            case 'json':
+                return new Blob([this.toJson(palette, name)], { type: mimeType });
+            case 'ase':
+                return new Blob([this.toAse(palette, name)], { type: mimeType });
+            case 'gpl':
+                return new Blob([this.toGpl(palette, name)], { type: mimeType });
+            default:
+                return this.toPngCard(palette, name);
+        }
+    },
+    
+    toCss(palette, prefix = 'palette') {
+        const lines = palette.map((color, i) => `    --${prefix}-${i + 1}: ${color.hex}; /* ${this.formatPercent(color.percent)} */`);
+        return `:root {\n${lines.join('\n')}\n}\n`;
+    },
+    
+    toJson(palette, name) {
+        return JSON.stringify({
+            name,
+            colors: palette.map(color => ({
+                hex: color.hex,
+                rgb: [color.r, color.g, color.b],
+                percent: Math.round(color.percent * 10) / 10
+            }))
+        }, null, 4) + '\n';
+    },
+    
+    // GIMP palette, which Inkscape and Krita read too
+    toGpl(palette, name) {
+        const pad = (value) => String(value).padStart(3, ' ');
+        return [
+            'GIMP Palette',
+            `Name: ${name}`,
+            `Columns: ${palette.length}`,
+            '#',
+            ...palette.map(color => `${pad(color.r)} ${pad(color.g)} ${pad(color.b)}\t${color.hex} ${this.formatPercent(color.percent)}`)
+        ].join('\n') + '\n';
+    },
+    
+    // Adobe Swatch Exchange: a named group of RGB swatches, big-endian throughout
+    toAse(palette, name) {
+        const blocks = [
+            this.aseBlock(0xC001, this.aseName(name)), // group start
+            ...palette.map(color => {
+                const title = this.aseName(color.hex);
+                const body = new DataView(new ArrayBuffer(title.byteLength + 4 + 12 + 2));
+                new Uint8Array(body.buffer).set(new Uint8Array(title.buffer), 0);
+                let at = title.byteLength;
+                'RGB '.split('').forEach((char, i) => body.setUint8(at + i, char.charCodeAt(0)));
+                at += 4;
+                [color.r, color.g, color.b].forEach((value, i) => body.setFloat32(at + i * 4, value / 255));
+                body.setUint16(at + 12, 2); // colour type: normal
+                return this.aseBlock(0x0001, body);
+            }),
+            this.aseBlock(0xC002, new DataView(new ArrayBuffer(0))) // group end
+        ];
+        
+        const header = new DataView(new ArrayBuffer(12));
+        'ASEF'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+        header.setUint16(4, 1); // version 1.0
+        header.setUint16(6, 0);
+        header.setUint32(8, blocks.length);
+        return new Blob([header.buffer, ...blocks]);
+    },
+    
+    // Length-prefixed, null-terminated UTF-16 name
+    aseName(text) {
+        const name = new DataView(new ArrayBuffer(2 + (text.length + 1) * 2));
+        name.setUint16(0, text.length + 1);
+        for (let i = 0; i < text.length; i++) name.setUint16(2 + i * 2, text.charCodeAt(i));
+        return name;
+    },
+    
+    aseBlock(type, body) {
+        const header = new DataView(new ArrayBuffer(6));
+        header.setUint16(0, type);
+        header.setUint32(2, body.byteLength);
+        return new Blob([header.buffer, body.buffer]);
+    },
+    
+    // Card with a column per colour, as wide as its share, and the hex and share under each swatch
+    async toPngCard(palette, name) {
+        const minColumn = 96; // room for a label
+        const width = Math.max(960, minColumn * palette.length);
+        const titleHeight = 56;
+        const swatchHeight = 240;
+        const labelHeight = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = titleHeight + swatchHeight + labelHeight;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#111827';
+        ctx.font = '600 22px Inter, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(name, 16, titleHeight / 2);
+        
+        // Every column gets room for its label, the rest is shared by percentage
+        const spare = Math.max(0, width - minColumn * palette.length);
+        let x = 0;
+        palette.forEach((color, i) => {
+            const columnWidth = i === palette.length - 1
+                ? width - x
+                : Math.round(minColumn + spare * color.percent / 100);
+            ctx.fillStyle = color.hex;
+            ctx.fillRect(x, titleHeight, columnWidth, swatchHeight);
+            
+            ctx.fillStyle = '#111827';
+            ctx.font = '600 16px "JetBrains Mono", monospace';
+            ctx.fillText(color.hex.toUpperCase(), x + 8, titleHeight + swatchHeight + 22);
+            ctx.fillStyle = '#6b7280';
+            ctx.font = '14px Inter, sans-serif';
+            ctx.fillText(this.formatPercent(color.percent), x + 8, titleHeight + swatchHeight + 46);
+            x += columnWidth;
+        });
+        
+        return ImageProcessing.encode(canvas, 'image/png');
+    }
+};
+
+// Make available globally
+window.ColorPalette = ColorPalette;
@@ -0,0 +1,133 @@
+// color-quantizer.js - Median-cut colour reduction (runs on the main thread and in workers)
+// Colours are counted in a 5-bit-per-channel histogram, so any number of pixels costs the same
+const ColorQuantizer = {
+    // Histogram of the opaque pixels in RGBA data; pass one in to add more images to it
+    histogram(data, histogram = new Uint32Array(32768), alphaThreshold = 128) {
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < alphaThreshold) continue;
+            histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+        }
+        return histogram;
+    },
+    
+    // Up to `colors` colours as [{ r, g, b, count }], most common first
+    // Boxes are split by pixel count first, then by count x volume so rare but distinct colours get a share
+    quantize(histogram, colors = 256) {
+        const boxes = [];
+        const first = this.shrink(histogram, { r1: 0, r2: 31, g1: 0, g2: 31, b1: 0, b2: 31 });
+        if (!first) return [];
+        boxes.push(first);
+        
+        const byCount = Math.ceil(colors * 0.75);
+        while (boxes.length < colors) {
+            const score = boxes.length < byCount
+                ? (box) => box.count
+                : (box) => box.count * this.volume(box);
+            let best = -1;
+            boxes.forEach((box, i) => {
+                if (this.volume(box) > 1 && (best === -1 || score(box) > score(boxes[best]))) best = i;
+            });
+            if (best === -1) break;
+            
+            const halves = this.split(histogram, boxes[best]);
+            boxes.splice(best, 1, ...halves);
+        }
+        
+        return boxes
+            .map(box => this.average(histogram, box))
+            .sort((a, b) => b.count - a.count);
+    },
+    
+    volume(box) {
+        return (box.r2 - box.r1 + 1) * (box.g2 - box.g1 + 1) * (box.b2 - box.b1 + 1);
+    },
+    
+    // Tighten a box around the colours it holds; null when empty
+    shrink(histogram, box) {
+        let r1 = 31, r2 = 0, g1 = 31, g2 = 0, b1 = 31, b2 = 0, count = 0;
+        for (let r = box.r1; r <= box.r2; r++) {
+            for (let g = box.g1; g <= box.g2; g++) {
+                for (let b = box.b1; b <= box.b2; b++) {
+                    const n = histogram[(r << 10) | (g << 5) | b];
+                    if (!n) continue;
+                    count += n;
+                    if (r < r1) r1 = r;
+                    if (r > r2) r2 = r;
+                    if (g < g1) g1 = g;
+                    if (g > g2) g2 = g;
+                    if (b < b1) b1 = b;
+                    if (b > b2) b2 = b;
+                }
+            }
+        }
+        return count ? { r1, r2, g1, g2, b1, b2, count } : null;
+    },
+    
+    // Cut the box across its longest side at the median pixel
+    split(histogram, box) {
+        const sides = [['r', box.r2 - box.r1], ['g', box.g2 - box.g1], ['b', box.b2 - box.b1]];
+        const axis = sides.sort((a, b) => b[1] - a[1])[0][0];
+        const low = box[`${axis}1`];
+        const high = box[`${axis}2`];
+        
+        let cut = low;
+        let seen = 0;
+        for (let value = low; value < high; value++) {
+            const slice = { ...box, [`${axis}1`]: value, [`${axis}2`]: value };
+            const shrunk = this.shrink(histogram, slice);
+            seen += shrunk ? shrunk.count : 0;
+            cut = value;
+            if (seen >= box.count / 2) break;
+        }
+        
+        return [
+            this.shrink(histogram, { ...box, [`${axis}2`]: cut }),
+            this.shrink(histogram, { ...box, [`${axis}1`]: cut + 1 })
+        ].filter(Boolean);
+    },
+    
+    average(histogram, box) {
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let ri = box.r1; ri <= box.r2; ri++) {
+            for (let gi = box.g1; gi <= box.g2; gi++) {
+                for (let bi = box.b1; bi <= box.b2; bi++) {
+                    const n = histogram[(ri << 10) | (gi << 5) | bi];
+                    if (!n) continue;
+                    count += n;
+                    r += n * ((ri << 3) + 4);
+                    g += n * ((gi << 3) + 4);
+                    b += n * ((bi << 3) + 4);
+                }
+            }
+        }
+        return { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count), count };
+    },
+    
+    // Function from (r, g, b) to the index of the nearest palette colour
+    // Answers are cached per histogram cell, which is as fine as the palette was built from
+    createMapper(palette) {
+        const cache = new Int16Array(32768).fill(-1);
+        return (r, g, b) => {
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            if (cache[key] !== -1) return cache[key];
+            
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < palette.length; i++) {
+                const dr = palette[i].r - r;
+                const dg = palette[i].g - g;
+                const db = palette[i].b - b;
+                const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+            cache[key] = best;
+            return best;
+        };
+    }
+};
+
+// Make available to pages and workers
+self.ColorQuantizer = ColorQuantizer;
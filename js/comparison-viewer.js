@@ -0,0 +1,297 @@
+// comparison-viewer.js - Before/after split view with synced zoom/pan and a difference heatmap
+class ComparisonViewer {
+    constructor(container) {
+        this.container = container;
+        this.canvas = container.querySelector('.comparison-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.zoomLabel = container.querySelector('.comparison-zoom-level');
+        this.heatmapToggle = container.querySelector('.comparison-heatmap-toggle');
+        
+        this.original = null;
+        this.output = null;
+        this.heatmap = null;
+        this.showHeatmap = false;
+        
+        this.maxZoom = 4; // 400% of the output's pixels
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.split = 0.5; // fraction of the view width
+        this.drag = null;
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.container.querySelector('.comparison-zoom-in').addEventListener('click', () => this.zoomBy(1.5));
+        this.container.querySelector('.comparison-zoom-out').addEventListener('click', () => this.zoomBy(1 / 1.5));
+        this.container.querySelector('.comparison-zoom-fit').addEventListener('click', () => this.fit());
+        this.container.querySelector('.comparison-zoom-actual').addEventListener('click', () => this.zoomTo(1));
+        
+        this.heatmapToggle.addEventListener('change', (e) => {
+            this.showHeatmap = e.target.checked;
+            this.draw();
+        });
+        
+        // Zoom around the cursor
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.output) return;
+            e.preventDefault();
+            const point = this.getPoint(e);
+            this.zoomBy(e.deltaY < 0 ? 1.25 : 1 / 1.25, point.x, point.y);
+        }, { passive: false });
+        
+        // Drag the split handle, or pan everywhere else
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.output) return;
+            const point = this.getPoint(e);
+            const splitX = this.split * this.canvas.clientWidth;
+            this.drag = Math.abs(point.x - splitX) <= 10
+                ? { type: 'split' }
+                : { type: 'pan', x: point.x, y: point.y, viewX: this.view.x, viewY: this.view.y };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            const point = this.getPoint(e);
+            
+            if (!this.drag) {
+                const splitX = this.split * this.canvas.clientWidth;
+                this.canvas.style.cursor = Math.abs(point.x - splitX) <= 10 ? 'ew-resize' : 'grab';
+                return;
+            }
+            
+            if (this.drag.type === 'split') {
+                this.split = Math.min(1, Math.max(0, point.x / this.canvas.clientWidth));
+            } else {
+                this.view.x = this.drag.viewX + point.x - this.drag.x;
+                this.view.y = this.drag.viewY + point.y - this.drag.y;
+                this.clampView();
+            }
+            this.draw();
+        });
+        
+        const endDrag = () => {
+            this.drag = null;
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+        
+        // Keyboard: arrows move the split
+        this.canvas.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.split = Math.min(1, Math.max(0, this.split + (e.key === 'ArrowLeft' ? -0.05 : 0.05)));
+                this.draw();
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.output) this.fit();
+        });
+    }
+    
+    // Show a new pair of Blobs or drawable images/canvases
+    // Keeps the current zoom/pan when only the output changed
+    async load(originalSource, outputSource) {
+        const sameOriginal = this.originalSource === originalSource;
+        const toImage = (source) => source instanceof Blob ? FileOptimizer.loadImage(source) : source;
+        
+        const [original, output] = await Promise.all([
+            sameOriginal ? this.original : toImage(originalSource),
+            toImage(outputSource)
+        ]);
+        
+        const sameSize = this.output && this.output.width === output.width && this.output.height === output.height;
+        
+        this.originalSource = originalSource;
+        this.original = original;
+        this.output = output;
+        this.heatmap = null;
+        
+        if (sameOriginal && sameSize) {
+            this.draw();
+        } else {
+            this.fit();
+        }
+    }
+    
+    clear() {
+        this.original = null;
+        this.originalSource = null;
+        this.output = null;
+        this.heatmap = null;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.updateZoomLabel();
+    }
+    
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    // Match the backing store to the displayed size
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+    
+    fitScale() {
+        return Math.min(
+            this.canvas.clientWidth / this.output.width,
+            this.canvas.clientHeight / this.output.height
+        );
+    }
+    
+    fit() {
+        if (!this.output || this.canvas.clientWidth === 0) return;
+        this.resizeCanvas();
+        this.view.scale = Math.min(this.fitScale(), this.maxZoom);
+        this.centerView();
+        this.draw();
+    }
+    
+    zoomTo(scale, anchorX = this.canvas.clientWidth / 2, anchorY = this.canvas.clientHeight / 2) {
+        if (!this.output) return;
+        
+        const minScale = Math.min(this.fitScale(), 1);
+        const newScale = Math.min(this.maxZoom, Math.max(minScale, scale));
+        
+        // Keep the image point under the anchor in place
+        const factor = newScale / this.view.scale;
+        this.view.x = anchorX - (anchorX - this.view.x) * factor;
+        this.view.y = anchorY - (anchorY - this.view.y) * factor;
+        this.view.scale = newScale;
+        
+        this.clampView();
+        this.draw();
+    }
+    
+    zoomBy(factor, anchorX, anchorY) {
+        this.zoomTo(this.view.scale * factor, anchorX, anchorY);
+    }
+    
+    centerView() {
+        this.view.x = (this.canvas.clientWidth - this.output.width * this.view.scale) / 2;
+        this.view.y = (this.canvas.clientHeight - this.output.height * this.view.scale) / 2;
+    }
+    
+    // Centre along an axis that fits, otherwise don't pan past the edges
+    clampView() {
+        const viewWidth = this.canvas.clientWidth;
+        const viewHeight = this.canvas.clientHeight;
+        const width = this.output.width * this.view.scale;
+        const height = this.output.height * this.view.scale;
+        
+        this.view.x = width <= viewWidth
+            ? (viewWidth - width) / 2
+            : Math.min(0, Math.max(viewWidth - width, this.view.x));
+        this.view.y = height <= viewHeight
+            ? (viewHeight - height) / 2
+            : Math.min(0, Math.max(viewHeight - height, this.view.y));
+    }
+    
+    draw() {
+        this.updateZoomLabel();
+        if (!this.output) return;
+        
+        this.resizeCanvas();
+        
+        const ctx = this.ctx;
+        const ratio = window.devicePixelRatio || 1;
+        const viewWidth = this.canvas.clientWidth;
+        const viewHeight = this.canvas.clientHeight;
+        const splitX = this.split * viewWidth;
+        const { scale, x, y } = this.view;
+        const width = this.output.width * scale;
+        const height = this.output.height * scale;
+        
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+        
+        // Show real pixels when zoomed in so artefacts are visible
+        ctx.imageSmoothingEnabled = scale < 1;
+        ctx.imageSmoothingQuality = 'high';
+        
+        // Both sides share the output's geometry so zoom/pan stay in sync
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, splitX, viewHeight);
+        ctx.clip();
+        ctx.drawImage(this.original, x, y, width, height);
+        ctx.restore();
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(splitX, 0, viewWidth - splitX, viewHeight);
+        ctx.clip();
+        ctx.drawImage(this.showHeatmap ? this.getHeatmap() : this.output, x, y, width, height);
+        ctx.restore();
+        
+        // Split handle
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(splitX - 1, 0, 2, viewHeight);
+        ctx.beginPath();
+        ctx.arc(splitX, viewHeight / 2, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#333333';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('◀▶', splitX, viewHeight / 2);
+    }
+    
+    updateZoomLabel() {
+        if (this.zoomLabel) {
+            this.zoomLabel.textContent = this.output ? `${Math.round(this.view.scale * 100)}%` : '-';
+        }
+    }
+    
+    // Per-pixel difference at the output's resolution: bright = larger change
+    getHeatmap() {
+        if (this.heatmap) return this.heatmap;
+        
+        const width = this.output.width;
+        const height = this.output.height;
+        
+        const read = (image) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(image, 0, 0, width, height);
+            return { canvas, ctx, data: ctx.getImageData(0, 0, width, height) };
+        };
+        
+        const before = read(this.original).data.data;
+        const after = read(this.output);
+        const pixels = after.data.data;
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const diff = (Math.abs(before[i] - pixels[i]) +
+                Math.abs(before[i + 1] - pixels[i + 1]) +
+                Math.abs(before[i + 2] - pixels[i + 2])) / 3;
+            
+            // Amplify small differences so compression noise shows up
+            // Ramp black -> red -> yellow, blended over a dimmed greyscale copy
+            const heat = Math.min(1, diff * 4 / 255);
+            const alpha = Math.min(1, heat * 3);
+            const base = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114) * 0.3;
+            pixels[i] = base * (1 - alpha) + 255 * Math.min(1, heat * 2) * alpha;
+            pixels[i + 1] = base * (1 - alpha) + 255 * Math.max(0, heat * 2 - 1) * alpha;
+            pixels[i + 2] = base * (1 - alpha);
+            pixels[i + 3] = 255;
+        }
+        
+        after.ctx.putImageData(after.data, 0, 0);
+        this.heatmap = after.canvas;
+        return this.heatmap;
+    }
+}
+
+// Make available globally
+window.ComparisonViewer = ComparisonViewer;
@@ -25,8 +25,8 @@ class DragDropManager {
         });
         
         // Global file drop handler
-        document.addEventListener('drop', (e) => {
-            const files = e.dataTransfer.files;
+        document.addEventListener('drop', async (e) => {
+            const files = await this.getDroppedFiles(e.dataTransfer);
             if (files.length > 0) {
                 this.handleGlobalDrop(files);
             }
@@ -61,9 +61,10 @@ class DragDropManager {
             });
         });
         
-        // Drop handler
-        uploadZone.addEventListener('drop', (e) => {
-            const files = e.dataTransfer.files;
+        // Drop handler - kept from the global handler so the page doesn't redirect
+        uploadZone.addEventListener('drop', async (e) => {
+            e.stopPropagation();
+            const files = await this.getDroppedFiles(e.dataTransfer);
             if (files.length > 0) {
                 this.handleFileDrop(files, fileInput);
             }
@@ -89,6 +90,87 @@ class DragDropManager {
         });
     }
     
+    // Dropped files with folders walked, sorted by path
+    // Each file gets a relativePath like "shoot/day 1/IMG_0001.jpg"
+    async getDroppedFiles(dataTransfer) {
+        // Items are only readable until the drop handler yields, so take everything up front
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        if (items.length === 0) return Array.from(dataTransfer.files);
+        
+        const sources = items.map(item => ({
+            handle: item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null,
+            entry: item.webkitGetAsEntry ? item.webkitGetAsEntry() : null,
+            file: item.getAsFile()
+        }));
+        
+        const files = [];
+        for (const source of sources) {
+            try {
+                const handle = source.handle ? await source.handle : null;
+                if (handle) {
+                    await this.readHandle(handle, '', files);
+                } else if (source.entry) {
+                    await this.readEntry(source.entry, '', files);
+                } else if (source.file) {
+                    files.push(this.withPath(source.file, source.file.name));
+                }
+            } catch (error) {
+                console.error('Error reading dropped item:', error);
+            }
+        }
+        
+        return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath, undefined, { numeric: true }));
+    }
+    
+    // File System Access handle (Chromium)
+    async readHandle(handle, path, files) {
+        if (this.isHidden(handle.name)) return;
+        
+        if (handle.kind === 'file') {
+            files.push(this.withPath(await handle.getFile(), path + handle.name));
+        } else {
+            for await (const child of handle.values()) {
+                await this.readHandle(child, `${path}${handle.name}/`, files);
+            }
+        }
+    }
+    
+    // FileSystemEntry from webkitGetAsEntry (Firefox, Safari)
+    async readEntry(entry, path, files) {
+        if (this.isHidden(entry.name)) return;
+        
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push(this.withPath(file, path + entry.name));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries hands back a chunk at a time until it returns nothing
+            let chunk;
+            do {
+                chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of chunk) {
+                    await this.readEntry(child, `${path}${entry.name}/`, files);
+                }
+            } while (chunk.length > 0);
+        }
+    }
+    
+    // Skip .DS_Store and other dot files that come along with folders
+    isHidden(name) {
+        return name.startsWith('.');
+    }
+    
+    withPath(file, relativePath) {
+        Object.defineProperty(file, 'relativePath', { value: relativePath, configurable: true });
+        return file;
+    }
+    
+    // Folder part of a dropped or folder-picked file's path, e.g. "shoot/day 1/", or ''
+    static getFolder(file) {
+        const path = file.relativePath || file.webkitRelativePath || '';
+        return path.slice(0, path.lastIndexOf('/') + 1);
+    }
+    
     handleGlobalDrop(files) {
         if (files.length === 0) return;
         
@@ -199,6 +281,7 @@ class DragDropManager {
         try {
             const fileData = files.map(file => ({
                 name: file.name,
+                relativePath: file.relativePath || file.name,
                 size: file.size,
                 type: file.type,
                 lastModified: file.lastModified
@@ -4,6 +4,8 @@ class FileConverter {
         this.files = [];
         this.convertedFiles = [];
         this.currentConversion = null;
+        this.runControl = new RunControl(document.getElementById('runControls'));
+        this.partial = false; // last run was cancelled part-way
         this.init();
     }
     
@@ -164,13 +166,13 @@ class FileConverter {
         this.convertedFiles = [];
         const totalFiles = this.files.length;
         
-        for (let i = 0; i < totalFiles; i++) {
-            const file = this.files[i];
+        // One file at a time; pause and cancel take effect between files
+        const cancelled = await this.runControl.run(this.files, async (file, i) => {
             try {
                 const converted = await this.convertFile(file);
                 if (converted) {
                     this.convertedFiles.push(converted);
-                    this.addConvertedFilePreview(converted, i + 1);
+                    this.addConvertedFilePreview(converted, this.convertedFiles.length);
                 }
                 
                 // Update progress
@@ -182,14 +184,20 @@ class FileConverter {
                 console.error('Conversion error:', error);
                 FileOptimizer.showNotification(`Failed to convert ${file.name}: ${error.message}`, 'error');
             }
-        }
+        });
         
         FileOptimizer.hideLoading();
-        FileOptimizer.showNotification(`Successfully converted ${this.convertedFiles.length} file(s)`, 'success');
+        this.partial = cancelled;
+        
+        if (cancelled) {
+            FileOptimizer.showNotification(`Cancelled - ${this.convertedFiles.length} of ${totalFiles} file(s) converted`, 'warning');
+        } else {
+            FileOptimizer.showNotification(`Successfully converted ${this.convertedFiles.length} file(s)`, 'success');
+        }
         
         // Show download buttons
         const downloadAllBtn = document.getElementById('downloadAllBtn');
-        if (downloadAllBtn) downloadAllBtn.disabled = false;
+        if (downloadAllBtn) downloadAllBtn.disabled = this.convertedFiles.length === 0;
     }
     
     async convertFile(file) {
@@ -275,7 +283,8 @@ class FileConverter {
             const zipContent = `ZIP file containing ${this.convertedFiles.length} converted files`;
             const zipBlob = new Blob([zipContent], { type: 'application/zip' });
             
-            if (FileOptimizer.downloadFile(zipBlob, 'converted-files.zip')) {
+            const zipName = this.partial ? 'converted-files-partial.zip' : 'converted-files.zip';
+            if (FileOptimizer.downloadFile(zipBlob, zipName)) {
                 FileOptimizer.showNotification('Download started', 'success');
             }
         }, 1000);
@@ -288,6 +297,7 @@ class FileConverter {
     clearFiles() {
         this.files = [];
         this.convertedFiles = [];
+        this.partial = false;
         
         // Clear previews
         const previewContainer = document.getElementById('filePreviewContainer');
@@ -0,0 +1,125 @@
+// filename-template.js - Output filename templates such as "{name}-{width}x{height}"
+const FilenameTemplate = {
+    // Tokens listed in the help text
+    tokens: [
+        '{name}',
+        '{index:03}',
+        '{width}x{height}',
+        '{date:YYYY-MM-DD}',
+        '{modified:YYYYMMDD}',
+        '{format}',
+        '{exif.DateTimeOriginal:YYYY-MM-DD}'
+    ],
+    
+    // Render a template; context: { name, index, width, height, format, date, modified, exif }
+    // Tokens without a value (an EXIF date on a PNG) are dropped with the separator before them,
+    // so "{name}-{exif.DateTimeOriginal}" gives "photo"; keepUnknown leaves them in for previews,
+    // where values like the width aren't known until processing
+    render(template, context, { keepUnknown = false } = {}) {
+        const missing = '\u0000';
+        const rendered = template.replace(/\{([\w.]+)(?::([^}]*))?\}/g, (token, key, format) => {
+            const value = this.resolve(key, format, context);
+            if (value === null || value === undefined || value === '') return keepUnknown ? token : missing;
+            return String(value);
+        });
+        return this.sanitize(this.dropMissing(rendered, missing));
+    },
+    
+    // Remove the gaps left by missing values with the separators around them; a gap between
+    // two values keeps one separator ("{date}_{exif.Model}_{index}" -> "2024-05-17_001")
+    dropMissing(name, missing) {
+        const gap = new RegExp(`[-_. ]*${missing}[-_. ${missing}]*`, 'g');
+        return name.replace(gap, (match, offset) => {
+            if (offset === 0 || offset + match.length === name.length) return '';
+            const separator = match.match(/[-_. ]/);
+            return separator ? separator[0] : '';
+        });
+    },
+    
+    resolve(key, format, context) {
+        if (key.startsWith('exif.')) {
+            const value = context.exif ? context.exif[key.slice(5)] : null;
+            if (!value) return null;
+            // EXIF dates look like "2024:05:17 14:03:22"
+            const date = this.parseExifDate(value);
+            return date && format ? this.formatDate(date, format) : value;
+        }
+        
+        switch (key) {
+            case 'name':
+                return context.name;
+            case 'index':
+                return this.pad(context.index, format);
+            case 'width':
+            case 'height':
+            case 'format':
+                return context[key];
+            case 'ext':
+                return context.format;
+            case 'date':
+            case 'modified':
+                return context[key] ? this.formatDate(context[key], format || 'YYYY-MM-DD') : null;
+            default:
+                return null;
+        }
+    },
+    
+    // "03" pads to 3 digits with zeros
+    pad(value, format) {
+        if (value === null || value === undefined) return null;
+        const width = format ? parseInt(format, 10) : 0;
+        return String(value).padStart(width || 0, '0');
+    },
+    
+    formatDate(date, format) {
+        const two = (n) => String(n).padStart(2, '0');
+        const parts = {
+            YYYY: date.getFullYear(),
+            MM: two(date.getMonth() + 1),
+            DD: two(date.getDate()),
+            HH: two(date.getHours()),
+            mm: two(date.getMinutes()),
+            ss: two(date.getSeconds())
+        };
+        return format.replace(/YYYY|MM|DD|HH|mm|ss/g, part => parts[part]);
+    },
+    
+    parseExifDate(value) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?/.exec(value);
+        if (!match) return null;
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    },
+    
+    // Remove characters that aren't allowed in filenames (or inside ZIPs)
+    sanitize(name) {
+        const clean = name
+            .replace(/[\\/:*?"<>|\x00-\x1F]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^\.+/, '');
+        return clean || 'image';
+    },
+    
+    // Make names unique (case-insensitive) by adding -2, -3... before the extension
+    resolveCollisions(names) {
+        const used = new Set();
+        return names.map(name => {
+            const dot = name.lastIndexOf('.');
+            const base = dot > 0 ? name.slice(0, dot) : name;
+            const ext = dot > 0 ? name.slice(dot) : '';
+            let candidate = name;
+            let counter = 2;
+            
+            while (used.has(candidate.toLowerCase())) {
+                candidate = `${base}-${counter++}${ext}`;
+            }
+            
+            used.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+};
+
+// Make available globally
+window.FilenameTemplate = FilenameTemplate;
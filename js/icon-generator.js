@@ -0,0 +1,249 @@
+// icon-generator.js - Favicon & App Icon Generator
+class IconGenerator {
+    constructor() {
+        this.currentFile = null;
+        this.pack = null; // see IconPack.generate
+        this.previewUrls = [];
+        this.settings = {
+            name: 'My App',
+            shortName: '',
+            themeColor: '#2563eb',
+            backgroundColor: '#ffffff',
+            transparent: true,
+            padding: 0, // %
+            path: '/'
+        };
+        
+        this.initializeElements();
+        this.initializeEventListeners();
+    }
+    
+    initializeElements() {
+        // Upload Elements
+        this.uploadZone = document.getElementById('iconUploadZone');
+        this.fileInput = document.getElementById('iconFileInput');
+        this.sourcePreview = document.getElementById('iconSourcePreview');
+        this.sourceImage = document.getElementById('iconSourceImage');
+        this.sourceInfo = document.getElementById('iconSourceInfo');
+        
+        // Settings Elements
+        this.nameInput = document.getElementById('iconAppName');
+        this.shortNameInput = document.getElementById('iconShortName');
+        this.themeColorInput = document.getElementById('iconThemeColor');
+        this.backgroundColorInput = document.getElementById('iconBackgroundColor');
+        this.transparentCheckbox = document.getElementById('iconTransparent');
+        this.paddingSlider = document.getElementById('iconPadding');
+        this.paddingValue = document.getElementById('iconPaddingValue');
+        this.pathInput = document.getElementById('iconPath');
+        this.generateBtn = document.getElementById('generateIconsBtn');
+        
+        // Results Elements
+        this.results = document.getElementById('iconResults');
+        this.resultsGrid = document.getElementById('iconResultsGrid');
+        this.snippetCode = document.getElementById('iconSnippet');
+        this.copySnippetBtn = document.getElementById('copyIconSnippet');
+        this.downloadZipBtn = document.getElementById('downloadIconZip');
+    }
+    
+    initializeEventListeners() {
+        // File Upload
+        this.uploadZone.addEventListener('click', (e) => {
+            if (e.target.closest('button') || e.target === this.fileInput) return;
+            this.fileInput.click();
+        });
+        
+        this.fileInput.addEventListener('change', (e) => {
+            this.handleFileUpload(e.target.files[0]);
+        });
+        
+        this.uploadZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.uploadZone.classList.add('dragover');
+        });
+        
+        this.uploadZone.addEventListener('dragleave', () => {
+            this.uploadZone.classList.remove('dragover');
+        });
+        
+        this.uploadZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.uploadZone.classList.remove('dragover');
+            this.handleFileUpload(e.dataTransfer.files[0]);
+        });
+        
+        // Settings
+        this.nameInput.addEventListener('input', (e) => {
+            this.settings.name = e.target.value.trim();
+        });
+        
+        this.shortNameInput.addEventListener('input', (e) => {
+            this.settings.shortName = e.target.value.trim();
+        });
+        
+        this.themeColorInput.addEventListener('input', (e) => {
+            this.settings.themeColor = e.target.value;
+        });
+        
+        this.backgroundColorInput.addEventListener('input', (e) => {
+            this.settings.backgroundColor = e.target.value;
+        });
+        
+        this.transparentCheckbox.addEventListener('change', (e) => {
+            this.settings.transparent = e.target.checked;
+        });
+        
+        this.paddingSlider.addEventListener('input', (e) => {
+            this.settings.padding = parseInt(e.target.value);
+            this.paddingValue.textContent = this.settings.padding ? `${this.settings.padding}%` : 'None';
+        });
+        
+        this.pathInput.addEventListener('input', (e) => {
+            this.settings.path = e.target.value.trim() || '/';
+        });
+        
+        // Actions
+        this.generateBtn.addEventListener('click', () => {
+            this.generateIcons();
+        });
+        
+        this.copySnippetBtn.addEventListener('click', () => {
+            this.copySnippet();
+        });
+        
+        this.downloadZipBtn.addEventListener('click', () => {
+            this.downloadZip();
+        });
+    }
+    
+    async handleFileUpload(file) {
+        if (!file) return;
+        
+        try {
+            if (!ImageDecoders.isImage(file)) {
+                throw new Error('Please select a valid image file');
+            }
+            
+            // HEIC, TIFF and the like are decoded to PNG first
+            file = await ImageDecoders.prepareFile(file);
+            
+            const size = SvgTools.isSvg(file)
+                ? await SvgTools.readSize(file)
+                : await FileOptimizer.loadImage(file);
+            
+            if (this.sourceImage.src) URL.revokeObjectURL(this.sourceImage.src);
+            this.sourceImage.src = URL.createObjectURL(file);
+            this.sourcePreview.style.display = 'block';
+            this.sourceInfo.textContent = `${file.name} - ${size.width} × ${size.height}${SvgTools.isSvg(file) ? ' (vector)' : ''}`;
+            this.currentFile = file;
+            this.generateBtn.disabled = false;
+            
+            if (!SvgTools.isSvg(file) && Math.min(size.width, size.height) < 512) {
+                FileOptimizer.showNotification('Images under 512 × 512 are scaled up for the largest icons - an SVG or bigger image looks sharper', 'warning');
+            } else {
+                FileOptimizer.showNotification('Image uploaded successfully!', 'success');
+            }
+        } catch (error) {
+            FileOptimizer.showNotification(error.message, 'error');
+        }
+    }
+    
+    async generateIcons() {
+        if (!this.currentFile) {
+            FileOptimizer.showNotification('Please select an image first', 'error');
+            return;
+        }
+        
+        FileOptimizer.showLoading('Generating icons...');
+        
+        try {
+            this.pack = await IconPack.generate(this.currentFile, {
+                ...this.settings,
+                name: this.settings.name || 'My App',
+                padding: this.settings.padding / 100
+            });
+            
+            this.displayResults();
+            FileOptimizer.showNotification(`Generated ${this.pack.files.length} files!`, 'success');
+        } catch (error) {
+            console.error('Icon generation error:', error);
+            FileOptimizer.showNotification('Error generating icons: ' + error.message, 'error');
+        } finally {
+            FileOptimizer.hideLoading();
+        }
+    }
+    
+    displayResults() {
+        this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls = [];
+        this.resultsGrid.innerHTML = '';
+        
+        this.pack.files.forEach(file => {
+            const card = document.createElement('div');
+            card.className = 'icon-result';
+            
+            const isImage = file.blob.type.startsWith('image/');
+            const dimensions = file.name === 'favicon.ico'
+                ? `${IconPack.icoSizes.join(', ')} px`
+                : file.size ? `${file.size} × ${file.size}` : '';
+            let preview = '<i class="fas fa-file-code"></i>';
+            if (isImage) {
+                const url = URL.createObjectURL(file.blob);
+                this.previewUrls.push(url);
+                preview = `<img src="${url}" alt="${file.name}">`;
+            }
+            
+            card.innerHTML = `
+                <div class="icon-result-preview${file.purpose === 'maskable' ? ' maskable' : ''}">${preview}</div>
+                <h4>${file.name}</h4>
+                <p>${dimensions}</p>
+                <p>${FileOptimizer.formatFileSize(file.blob.size)}</p>
+            `;
+            card.addEventListener('click', () => {
+                FileOptimizer.downloadFile(file.blob, file.name);
+            });
+            this.resultsGrid.appendChild(card);
+        });
+        
+        this.snippetCode.textContent = this.pack.snippet;
+        this.results.style.display = 'block';
+        this.results.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    async copySnippet() {
+        if (!this.pack) return;
+        
+        try {
+            await navigator.clipboard.writeText(this.pack.snippet);
+            FileOptimizer.showNotification('HTML copied to clipboard!', 'success');
+        } catch (error) {
+            FileOptimizer.showNotification('Could not copy - select the code and copy it instead', 'error');
+        }
+    }
+    
+    async downloadZip() {
+        if (!this.pack) return;
+        
+        FileOptimizer.showLoading('Creating ZIP file...');
+        
+        try {
+            const zip = new JSZip();
+            this.pack.files.forEach(file => {
+                zip.file(file.name, file.blob);
+            });
+            
+            const zipBlob = await zip.generateAsync({ type: 'blob' });
+            FileOptimizer.downloadFile(zipBlob, 'icons.zip');
+            FileOptimizer.showNotification('ZIP file downloaded successfully!', 'success');
+        } catch (error) {
+            console.error('ZIP creation error:', error);
+            FileOptimizer.showNotification('Error creating ZIP file: ' + error.message, 'error');
+        } finally {
+            FileOptimizer.hideLoading();
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new IconGenerator();
+});
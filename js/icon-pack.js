@@ -0,0 +1,200 @@
+// icon-pack.js - Favicon and app-icon sets: PNGs at every size, a multi-size .ico,
+// site.webmanifest and the <link> tags that point at them
+const IconPack = {
+    // PNGs in the pack; purpose decides the layout, see layout()
+    icons: [
+        { name: 'favicon-16x16.png', size: 16, purpose: 'favicon' },
+        { name: 'favicon-32x32.png', size: 32, purpose: 'favicon' },
+        { name: 'apple-touch-icon.png', size: 180, purpose: 'apple' },
+        { name: 'android-chrome-192x192.png', size: 192, purpose: 'any' },
+        { name: 'android-chrome-512x512.png', size: 512, purpose: 'any' },
+        { name: 'maskable-icon-192x192.png', size: 192, purpose: 'maskable' },
+        { name: 'maskable-icon-512x512.png', size: 512, purpose: 'maskable' }
+    ],
+    
+    icoSizes: [16, 32, 48],
+    
+    // Launchers may crop maskable icons to any shape inside a circle this share of the icon wide
+    maskableSafeZone: 0.8,
+    
+    // Resolves with { files: [{ name, blob, size, purpose }], manifest, snippet }
+    // files holds the PNGs, favicon.ico, favicon.svg for SVG sources, site.webmanifest, the snippet and a README
+    async generate(file, options = {}) {
+        const settings = {
+            name: 'My App',
+            shortName: '',
+            themeColor: '#ffffff',
+            backgroundColor: '#ffffff',
+            transparent: true, // favicons and Android icons keep the source's transparency
+            padding: 0, // share of each side left empty, 0-0.25
+            path: '/', // where the files will be served from
+            ...options
+        };
+        settings.path = settings.path.endsWith('/') ? settings.path : `${settings.path}/`;
+        
+        const source = await this.loadSource(file);
+        const files = [];
+        const rendered = {}; // 'purpose-size' -> PNG blob, shared with the .ico
+        
+        for (const icon of this.icons) {
+            const canvas = await this.drawIcon(source, icon.size, this.layout(icon.purpose, icon.size, settings));
+            const blob = await ImageProcessing.encode(canvas, 'image/png');
+            rendered[`${icon.purpose}-${icon.size}`] = blob;
+            files.push({ ...icon, blob });
+        }
+        
+        const icoImages = [];
+        for (const size of this.icoSizes) {
+            let blob = rendered[`favicon-${size}`];
+            if (!blob) {
+                const canvas = await this.drawIcon(source, size, this.layout('favicon', size, settings));
+                blob = await ImageProcessing.encode(canvas, 'image/png');
+            }
+            icoImages.push({ size, blob });
+        }
+        files.unshift({ name: 'favicon.ico', size: Math.max(...this.icoSizes), purpose: 'favicon', blob: await this.buildIco(icoImages) });
+        
+        // Browsers that take SVG favicons get the vector, minified
+        if (source.svg) {
+            const minified = SvgTools.minify(await file.text());
+            files.splice(1, 0, { name: 'favicon.svg', size: null, purpose: 'favicon', blob: new Blob([minified.text], { type: 'image/svg+xml' }) });
+        }
+        
+        const manifest = this.manifest(settings);
+        const snippet = this.snippet(settings, !!source.svg);
+        files.push({ name: 'site.webmanifest', size: null, purpose: 'manifest', blob: new Blob([manifest], { type: 'application/manifest+json' }) });
+        files.push({ name: 'head-snippet.html', size: null, purpose: 'snippet', blob: new Blob([snippet], { type: 'text/html' }) });
+        files.push({ name: 'README.txt', size: null, purpose: 'readme', blob: new Blob([this.readme(settings, files)], { type: 'text/plain' }) });
+        
+        return { files, manifest, snippet };
+    },
+    
+    // Something drawImage takes, with its size; SVGs are drawn fresh at each icon size
+    async loadSource(file) {
+        if (SvgTools.isSvg(file)) {
+            const size = await SvgTools.readSize(file);
+            return { svg: file, width: size.width, height: size.height };
+        }
+        const image = await FileOptimizer.loadImage(file);
+        return { image, width: image.width, height: image.height };
+    },
+    
+    // Artwork size and background for an icon
+    // Maskable icons fit the whole artwork (corners included) inside the safe-zone circle;
+    // apple-touch icons and maskable icons are always opaque, as iOS and launchers fill transparency themselves
+    layout(purpose, size, { transparent, padding, backgroundColor }) {
+        if (purpose === 'maskable') {
+            return { box: size * this.maskableSafeZone, circle: true, background: backgroundColor };
+        }
+        return {
+            box: Math.max(1, size * (1 - 2 * padding)),
+            circle: false,
+            background: purpose === 'apple' || !transparent ? backgroundColor : null
+        };
+    },
+    
+    // size x size canvas with the artwork scaled into the layout's box, centred
+    async drawIcon(source, size, { box, circle, background }) {
+        const diagonal = Math.hypot(source.width, source.height);
+        const scale = circle ? box / diagonal : box / Math.max(source.width, source.height);
+        const content = ImageProcessing.scaleSize(source.width, source.height, scale);
+        
+        const artwork = source.svg
+            ? await SvgTools.renderCanvas(source.svg, content.width, content.height)
+            : ImageProcessing.render(source.image, content.width, content.height, { resample: 'lanczos3' });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, size, size);
+        }
+        ctx.drawImage(artwork, Math.round((size - content.width) / 2), Math.round((size - content.height) / 2));
+        return canvas;
+    },
+    
+    // .ico holding PNG images, which every browser (and Windows since Vista) reads
+    async buildIco(images) {
+        const buffers = await Promise.all(images.map(image => image.blob.arrayBuffer()));
+        const header = new DataView(new ArrayBuffer(6 + 16 * images.length));
+        header.setUint16(2, 1, true); // type: icon
+        header.setUint16(4, images.length, true);
+        
+        let offset = header.byteLength;
+        images.forEach((image, i) => {
+            const at = 6 + 16 * i;
+            header.setUint8(at, image.size >= 256 ? 0 : image.size); // 0 means 256
+            header.setUint8(at + 1, image.size >= 256 ? 0 : image.size);
+            header.setUint16(at + 4, 1, true); // colour planes
+            header.setUint16(at + 6, 32, true); // bits per pixel
+            header.setUint32(at + 8, buffers[i].byteLength, true);
+            header.setUint32(at + 12, offset, true);
+            offset += buffers[i].byteLength;
+        });
+        
+        return new Blob([header.buffer, ...buffers], { type: 'image/x-icon' });
+    },
+    
+    // Icon paths are relative, so the manifest works wherever the folder is served from
+    manifest({ name, shortName, themeColor, backgroundColor }) {
+        return JSON.stringify({
+            name,
+            short_name: shortName || name,
+            icons: this.icons
+                .filter(icon => icon.purpose === 'any' || icon.purpose === 'maskable')
+                .map(icon => ({
+                    src: icon.name,
+                    sizes: `${icon.size}x${icon.size}`,
+                    type: 'image/png',
+                    purpose: icon.purpose
+                })),
+            theme_color: themeColor,
+            background_color: backgroundColor,
+            display: 'standalone'
+        }, null, 4);
+    },
+    
+    // What each file is for and where it goes
+    readme({ name, path }, files) {
+        const icoSizes = this.icoSizes.map(size => `${size}x${size}`).join(', ');
+        const describe = (file) => {
+            if (file.name === 'favicon.ico') return `multi-size icon holding ${icoSizes}, for older browsers and /favicon.ico requests`;
+            if (file.name === 'favicon.svg') return 'vector icon for browsers that take SVG favicons';
+            if (file.purpose === 'favicon') return `${file.size}x${file.size} PNG favicon`;
+            if (file.purpose === 'apple') return `${file.size}x${file.size} home screen icon for iOS`;
+            if (file.purpose === 'maskable') return `${file.size}x${file.size} Android icon with room for any launcher shape`;
+            if (file.purpose === 'any') return `${file.size}x${file.size} Android and PWA icon`;
+            if (file.purpose === 'manifest') return 'web app manifest listing the Android icons';
+            return '<link> tags to paste into your page\'s <head>';
+        };
+        
+        return [
+            `Icons for ${name}`,
+            '',
+            `Upload these files so they are served from ${path}, then add head-snippet.html to every page.`,
+            '',
+            ...files.map(file => `${file.name.padEnd(30)}${describe(file)}`),
+            'README.txt'.padEnd(30) + 'this file',
+            ''
+        ].join('\n');
+    },
+    
+    // <link> tags for the page's <head>
+    // The .ico is marked 32x32 whatever it holds, so browsers that take SVG icons still pick the SVG
+    snippet({ path, themeColor }, hasSvg) {
+        return [
+            `<link rel="icon" href="${path}favicon.ico" sizes="32x32">`,
+            hasSvg ? `<link rel="icon" href="${path}favicon.svg" type="image/svg+xml">` : null,
+            `<link rel="icon" href="${path}favicon-32x32.png" type="image/png" sizes="32x32">`,
+            `<link rel="icon" href="${path}favicon-16x16.png" type="image/png" sizes="16x16">`,
+            `<link rel="apple-touch-icon" href="${path}apple-touch-icon.png">`,
+            `<link rel="manifest" href="${path}site.webmanifest">`,
+            `<meta name="theme-color" content="${themeColor}">`
+        ].filter(Boolean).join('\n') + '\n';
+    }
+};
+
+// Make available globally
+window.IconPack = IconPack;
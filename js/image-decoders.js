@@ -0,0 +1,289 @@
+// image-decoders.js - Decoders for HEIC/HEIF, AVIF, TIFF and BMP files the browser can't draw
+// Libraries load on first use; decoded pages become PNG files the rest of the tools handle as usual
+const ImageDecoders = {
+    formats: {
+        heic: { label: 'HEIC', extensions: ['heic', 'heif'], mimeTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'] },
+        avif: { label: 'AVIF', extensions: ['avif'], mimeTypes: ['image/avif'] },
+        tiff: { label: 'TIFF', extensions: ['tif', 'tiff'], mimeTypes: ['image/tiff'] },
+        bmp: { label: 'BMP', extensions: ['bmp', 'dib'], mimeTypes: ['image/bmp', 'image/x-ms-bmp'] }
+    },
+    
+    // Loaded on demand: script globals, or an ES module's default export
+    libraries: {
+        heic: { script: 'https://cdn.jsdelivr.net/npm/libheif-js@1.17.1/libheif-wasm/libheif-bundle.js', global: 'libheif' },
+        tiff: { script: 'https://cdn.jsdelivr.net/npm/utif@3.1.0/UTIF.js', global: 'UTIF' },
+        avif: { module: 'https://cdn.jsdelivr.net/npm/@jsquash/avif@1.3.0/decode.js' }
+    },
+    
+    loaded: {}, // library name -> Promise
+    
+    // Key of formats for the file, or null for everything else
+    getFormat(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        const type = file.type.toLowerCase();
+        return Object.keys(this.formats).find(key => {
+            return this.formats[key].mimeTypes.includes(type) || this.formats[key].extensions.includes(ext);
+        }) || null;
+    },
+    
+    // Images the tools can take, decoded here if needed
+    // (HEIC often arrives with an empty type, so the extension counts too)
+    isImage(file) {
+        return file.type.startsWith('image/') || this.getFormat(file) !== null;
+    },
+    
+    // Swap files the browser can't decode for PNGs, one per page
+    // Resolves with { files, problems } where problems are { path, error } as in ArchiveReader
+    async prepare(files) {
+        const prepared = [];
+        const problems = [];
+        const pending = files.filter(file => this.getFormat(file));
+        if (pending.length === 0) return { files, problems };
+        
+        for (const file of files) {
+            const format = this.getFormat(file);
+            if (!format || await this.decodesNatively(file)) {
+                prepared.push(file);
+                continue;
+            }
+            
+            FileOptimizer.showLoading(`Decoding ${this.formats[format].label} file ${pending.indexOf(file) + 1} of ${pending.length}...`);
+            try {
+                const pages = await this.decode(file, format);
+                for (let i = 0; i < pages.length; i++) {
+                    prepared.push(await this.toPng(file, pages[i], pages.length > 1 ? i + 1 : null));
+                }
+            } catch (error) {
+                console.error(`Failed to decode ${file.name}:`, error);
+                problems.push({
+                    path: (file.relativePath || file.name),
+                    error: `Could not decode ${this.formats[format].label} (${error.message || error})`
+                });
+            }
+        }
+        
+        FileOptimizer.hideLoading();
+        return { files: prepared, problems };
+    },
+    
+    // For tools that take one image: the file to use, or an Error if it can't be decoded
+    // Multi-page TIFFs give their first page
+    async prepareFile(file) {
+        const { files, problems } = await this.prepare([file]);
+        if (problems.length > 0) throw new Error(problems[0].error);
+        if (files.length > 1) {
+            FileOptimizer.showNotification(`Using page 1 of ${files.length} from ${file.name}`, 'info');
+        }
+        return files[0];
+    },
+    
+    // Safari draws HEIC and TIFF itself, and most browsers draw AVIF and common BMPs
+    async decodesNatively(file) {
+        if (typeof createImageBitmap === 'undefined') return false;
+        try {
+            const bitmap = await createImageBitmap(file);
+            bitmap.close();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    // Pages as [{ width, height, data: Uint8ClampedArray RGBA }]
+    async decode(file, format) {
+        const buffer = await file.arrayBuffer();
+        switch (format) {
+            case 'heic':
+                return this.decodeHeic(buffer);
+            case 'avif':
+                return this.decodeAvif(buffer);
+            case 'tiff':
+                return this.decodeTiff(buffer);
+            default:
+                return [this.decodeBmp(buffer)];
+        }
+    },
+    
+    loadLibrary(name) {
+        if (this.loaded[name]) return this.loaded[name];
+        
+        const library = this.libraries[name];
+        this.loaded[name] = library.module
+            ? import(library.module).then(module => module.default)
+            : new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = library.script;
+                script.onload = () => resolve(window[library.global]);
+                script.onerror = () => reject(new Error(`Could not load the ${name.toUpperCase()} decoder`));
+                document.head.appendChild(script);
+            });
+        
+        // Let a failed download be retried with the next file
+        this.loaded[name].catch(() => delete this.loaded[name]);
+        return this.loaded[name];
+    },
+    
+    async decodeHeic(buffer) {
+        let libheif = await this.loadLibrary('heic');
+        // Newer builds export a factory that resolves with the module
+        if (typeof libheif === 'function') libheif = await libheif();
+        
+        const decoder = new libheif.HeifDecoder();
+        const images = decoder.decode(new Uint8Array(buffer));
+        if (!images || images.length === 0) throw new Error('no image found');
+        
+        try {
+            // The primary image comes first; the rest are thumbnails or burst frames
+            const image = images[0];
+            const width = image.get_width();
+            const height = image.get_height();
+            const data = await new Promise((resolve, reject) => {
+                image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (display) => {
+                    if (display) resolve(display.data);
+                    else reject(new Error('HEVC decoding failed'));
+                });
+            });
+            return [{ width, height, data }];
+        } finally {
+            images.forEach(image => image.free && image.free());
+        }
+    },
+    
+    async decodeAvif(buffer) {
+        const decode = await this.loadLibrary('avif');
+        const imageData = await decode(buffer);
+        if (!imageData) throw new Error('AVIF decoding failed');
+        return [{ width: imageData.width, height: imageData.height, data: imageData.data }];
+    },
+    
+    // Every page of a multi-page TIFF, skipping reduced-resolution thumbnails
+    async decodeTiff(buffer) {
+        const UTIF = await this.loadLibrary('tiff');
+        const ifds = UTIF.decode(buffer).filter(ifd => !(ifd.t254 && ifd.t254[0] & 1));
+        if (ifds.length === 0) throw new Error('no image found');
+        
+        return ifds.map(ifd => {
+            UTIF.decodeImage(buffer, ifd);
+            return { width: ifd.width, height: ifd.height, data: new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer) };
+        });
+    },
+    
+    // Uncompressed BMPs at 1-32 bits, including bit-field and alpha variants some browsers reject
+    decodeBmp(buffer) {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== 0x424D) throw new Error('not a BMP file');
+        
+        const pixelOffset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+        const core = headerSize === 12; // OS/2 1.x header
+        const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+        const rawHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+        const bpp = view.getUint16(core ? 24 : 28, true);
+        const compression = core ? 0 : view.getUint32(30, true);
+        const height = Math.abs(rawHeight);
+        const topDown = rawHeight < 0;
+        
+        if (compression !== 0 && compression !== 3 && compression !== 6) {
+            throw new Error('compressed BMPs are not supported');
+        }
+        
+        // Channel masks: stored after a 40-byte header, or inside larger ones
+        let masks = null;
+        if (bpp === 16 || bpp === 32) {
+            masks = bpp === 16
+                ? [0x7C00, 0x03E0, 0x001F, 0]
+                : [0xFF0000, 0x00FF00, 0x0000FF, 0];
+            if (compression === 3 || compression === 6) {
+                const at = 14 + 40;
+                masks = [
+                    view.getUint32(at, true),
+                    view.getUint32(at + 4, true),
+                    view.getUint32(at + 8, true),
+                    compression === 6 || headerSize >= 56 ? view.getUint32(at + 12, true) : 0
+                ];
+            }
+        }
+        
+        // Palette for 1, 4 and 8 bit images
+        let palette = null;
+        if (bpp <= 8) {
+            const entrySize = core ? 3 : 4;
+            const colorsUsed = core ? 0 : view.getUint32(46, true);
+            const start = 14 + headerSize + (headerSize === 40 && compression === 3 ? 12 : headerSize === 40 && compression === 6 ? 16 : 0);
+            palette = [];
+            for (let i = 0; i < (colorsUsed || 1 << bpp); i++) {
+                const at = start + i * entrySize;
+                palette.push([view.getUint8(at + 2), view.getUint8(at + 1), view.getUint8(at)]);
+            }
+        }
+        
+        const channel = (pixel, mask) => {
+            if (!mask) return null;
+            let shift = 0;
+            while (!((mask >>> shift) & 1)) shift++;
+            const max = mask >>> shift;
+            return Math.round(((pixel & mask) >>> shift) * 255 / max);
+        };
+        
+        const stride = Math.floor((bpp * width + 31) / 32) * 4;
+        const data = new Uint8ClampedArray(width * height * 4);
+        let hasAlpha = false;
+        
+        for (let y = 0; y < height; y++) {
+            const row = pixelOffset + (topDown ? y : height - 1 - y) * stride;
+            for (let x = 0; x < width; x++) {
+                const out = (y * width + x) * 4;
+                let rgba;
+                
+                if (bpp <= 8) {
+                    const bit = x * bpp;
+                    const byte = view.getUint8(row + (bit >> 3));
+                    const index = (byte >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+                    rgba = [...(palette[index] || [0, 0, 0]), 255];
+                } else if (bpp === 24) {
+                    const at = row + x * 3;
+                    rgba = [view.getUint8(at + 2), view.getUint8(at + 1), view.getUint8(at), 255];
+                } else {
+                    const pixel = bpp === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+                    const alpha = channel(pixel, masks[3]);
+                    rgba = [channel(pixel, masks[0]), channel(pixel, masks[1]), channel(pixel, masks[2]), alpha === null ? 255 : alpha];
+                }
+                
+                data.set(rgba, out);
+                if (rgba[3] !== 0) hasAlpha = true;
+            }
+        }
+        
+        // An all-zero alpha channel is unused padding, not a fully transparent image
+        if (!hasAlpha) {
+            for (let i = 3; i < data.length; i += 4) data[i] = 255;
+        }
+        
+        return { width, height, data };
+    },
+    
+    // PNG File for a decoded page, keeping the original's name and folder
+    async toPng(file, page, pageNumber) {
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        canvas.getContext('2d').putImageData(new ImageData(page.data, page.width, page.height), 0, 0);
+        
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+        
+        const base = file.name.replace(/\.[^.]+$/, '');
+        const name = `${base}${pageNumber ? `-page${pageNumber}` : ''}.png`;
+        const png = new File([blob], name, { type: 'image/png', lastModified: file.lastModified });
+        
+        const path = file.relativePath || file.webkitRelativePath;
+        if (path) {
+            Object.defineProperty(png, 'relativePath', { value: path.slice(0, path.lastIndexOf('/') + 1) + name, configurable: true });
+        }
+        return png;
+    }
+};
+
+// Make available globally
+window.ImageDecoders = ImageDecoders;
@@ -0,0 +1,117 @@
+// image-density.js - Writes the print resolution (DPI) into JPEG (JFIF) and PNG (pHYs) headers
+const ImageDensity = {
+    // Most bytes we add to a file (a new PNG pHYs chunk)
+    overhead: 21,
+    
+    supports(mimeType) {
+        return mimeType === 'image/jpeg' || mimeType === 'image/png';
+    },
+    
+    // Copy of the encoded image with its density set to dpi
+    async write(blob, dpi) {
+        if (!dpi || !this.supports(blob.type)) return blob;
+        
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return new Blob([this.writeJfif(bytes, dpi)], { type: blob.type });
+        }
+        if (this.isPng(bytes)) {
+            return new Blob([this.writePhys(bytes, dpi)], { type: blob.type });
+        }
+        return blob;
+    },
+    
+    // JFIF APP0: units (1 = dots per inch) and X/Y density
+    writeJfif(bytes, dpi) {
+        const density = Math.min(65535, Math.round(dpi));
+        const hasJfif = bytes[2] === 0xFF && bytes[3] === 0xE0 &&
+            String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+        
+        if (hasJfif) {
+            const output = bytes.slice();
+            const view = new DataView(output.buffer);
+            view.setUint8(13, 1);
+            view.setUint16(14, density);
+            view.setUint16(16, density);
+            return output;
+        }
+        
+        // No JFIF header - insert one straight after the SOI marker
+        const app0 = new Uint8Array(18);
+        const view = new DataView(app0.buffer);
+        view.setUint16(0, 0xFFE0);
+        view.setUint16(2, 16);
+        app0.set([0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x01], 4); // "JFIF\0", v1.01, dpi
+        view.setUint16(12, density);
+        view.setUint16(14, density);
+        
+        const output = new Uint8Array(bytes.length + app0.length);
+        output.set(bytes.subarray(0, 2), 0);
+        output.set(app0, 2);
+        output.set(bytes.subarray(2), 2 + app0.length);
+        return output;
+    },
+    
+    isPng(bytes) {
+        const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+        return signature.every((byte, i) => bytes[i] === byte);
+    },
+    
+    // Replace any pHYs chunk with one placed right after IHDR
+    writePhys(bytes, dpi) {
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMetre);
+        view.setUint32(12, pixelsPerMetre);
+        view.setUint8(16, 1); // unit: metre
+        view.setUint32(17, this.crc32(chunk.subarray(4, 17)));
+        
+        const input = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        let offset = 8;
+        
+        while (offset + 12 <= bytes.length) {
+            const length = input.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const end = offset + 12 + length;
+            
+            if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+            if (type === 'IHDR') parts.push(chunk);
+            
+            offset = end;
+        }
+        
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    },
+    
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+};
+
+// Make available to pages and workers
+self.ImageDensity = ImageDensity;
@@ -0,0 +1,411 @@
+// image-editor.js - Crop, rotate, straighten and flip editor for the Image Resizer
+class ImageEditor {
+    constructor(container) {
+        this.container = container;
+        this.canvas = container.querySelector('.editor-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.aspectSelect = container.querySelector('.editor-aspect');
+        this.straightenSlider = container.querySelector('.editor-straighten');
+        this.straightenValue = container.querySelector('.editor-straighten-value');
+        this.title = container.querySelector('.editor-title');
+        
+        this.entry = null;
+        this.image = null;
+        this.onApply = null;
+        this.edits = null;
+        this.crop = null; // { x, y, width, height } in pixels of the rotated image
+        this.aspect = null; // width / height, null for free
+        this.drag = null;
+        this.handleSize = 10;
+        
+        // Aspect ratio presets
+        this.aspects = {
+            free: null,
+            original: 'original',
+            '1:1': 1,
+            '4:3': 4 / 3,
+            '3:2': 3 / 2,
+            '16:9': 16 / 9,
+            '4:5': 4 / 5,
+            '9:16': 9 / 16
+        };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        const on = (selector, handler) => {
+            this.container.querySelector(selector).addEventListener('click', handler);
+        };
+        
+        on('.editor-rotate-left', () => this.rotate(-90));
+        on('.editor-rotate-right', () => this.rotate(90));
+        on('.editor-flip-h', () => this.flip('flipH'));
+        on('.editor-flip-v', () => this.flip('flipV'));
+        on('.editor-reset', () => this.resetEdits());
+        on('.editor-apply', () => this.apply());
+        on('.editor-cancel', () => this.close());
+        
+        this.aspectSelect.addEventListener('change', (e) => {
+            this.setAspect(e.target.value);
+        });
+        
+        this.straightenSlider.addEventListener('input', (e) => {
+            this.edits.straighten = parseFloat(e.target.value);
+            this.updateStraightenValue();
+            this.draw();
+        });
+        
+        this.canvas.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.canvas.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.canvas.addEventListener('pointerup', () => {
+            this.drag = null;
+        });
+        this.canvas.addEventListener('pointercancel', () => {
+            this.drag = null;
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.image) this.draw();
+        });
+    }
+    
+    // Open the editor for an image entry; onApply receives the new edits (or null)
+    async open(entry, onApply) {
+        try {
+            this.image = await FileOptimizer.loadImage(entry.file);
+        } catch (error) {
+            console.error('Editor error:', error);
+            FileOptimizer.showNotification('Failed to load image for editing', 'error');
+            return;
+        }
+        
+        this.entry = entry;
+        this.onApply = onApply;
+        this.edits = {
+            rotate: 0,
+            straighten: 0,
+            flipH: false,
+            flipV: false,
+            ...(entry.edits || {})
+        };
+        
+        const size = this.rotatedSize();
+        const crop = this.edits.crop || { x: 0, y: 0, width: 1, height: 1 };
+        this.crop = {
+            x: crop.x * size.width,
+            y: crop.y * size.height,
+            width: crop.width * size.width,
+            height: crop.height * size.height
+        };
+        this.aspect = null;
+        this.aspectSelect.value = 'free';
+        this.straightenSlider.value = this.edits.straighten;
+        this.updateStraightenValue();
+        if (this.title) this.title.textContent = entry.file.name;
+        
+        this.container.style.display = 'block';
+        this.draw();
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    close() {
+        this.container.style.display = 'none';
+        this.entry = null;
+        this.image = null;
+        this.drag = null;
+    }
+    
+    apply() {
+        if (!this.entry) return;
+        
+        const size = this.rotatedSize();
+        const fullFrame = this.crop.x <= 0.5 && this.crop.y <= 0.5 &&
+            this.crop.width >= size.width - 0.5 && this.crop.height >= size.height - 0.5;
+        
+        const edits = {
+            crop: fullFrame ? null : {
+                x: this.crop.x / size.width,
+                y: this.crop.y / size.height,
+                width: this.crop.width / size.width,
+                height: this.crop.height / size.height
+            },
+            rotate: this.edits.rotate,
+            straighten: this.edits.straighten,
+            flipH: this.edits.flipH,
+            flipV: this.edits.flipV
+        };
+        
+        const callback = this.onApply;
+        this.close();
+        callback(ImageProcessing.hasEdits(edits) ? edits : null);
+    }
+    
+    resetEdits() {
+        this.edits = { rotate: 0, straighten: 0, flipH: false, flipV: false };
+        this.straightenSlider.value = 0;
+        this.updateStraightenValue();
+        this.resetCrop();
+        this.draw();
+    }
+    
+    rotate(degrees) {
+        this.edits.rotate = (this.edits.rotate + degrees + 360) % 360;
+        this.resetCrop();
+        this.draw();
+    }
+    
+    flip(key) {
+        this.edits[key] = !this.edits[key];
+        this.draw();
+    }
+    
+    setAspect(value) {
+        const aspect = this.aspects[value];
+        if (aspect === 'original') {
+            const size = this.rotatedSize();
+            this.aspect = size.width / size.height;
+        } else {
+            this.aspect = aspect || null;
+        }
+        this.resetCrop();
+        this.draw();
+    }
+    
+    updateStraightenValue() {
+        if (this.straightenValue) {
+            this.straightenValue.textContent = `${this.edits.straighten}°`;
+        }
+    }
+    
+    rotatedSize() {
+        return ImageProcessing.rotatedSize(this.image.width, this.image.height, this.edits);
+    }
+    
+    // Largest centred crop for the current aspect ratio
+    resetCrop() {
+        const size = this.rotatedSize();
+        let width = size.width;
+        let height = size.height;
+        
+        if (this.aspect) {
+            if (width / height > this.aspect) {
+                width = height * this.aspect;
+            } else {
+                height = width / this.aspect;
+            }
+        }
+        
+        this.crop = {
+            x: (size.width - width) / 2,
+            y: (size.height - height) / 2,
+            width,
+            height
+        };
+    }
+    
+    // Where the rotated image sits on the canvas
+    getLayout() {
+        const size = this.rotatedSize();
+        const viewWidth = this.canvas.clientWidth;
+        const viewHeight = this.canvas.clientHeight;
+        const padding = this.handleSize;
+        const scale = Math.min(
+            (viewWidth - padding * 2) / size.width,
+            (viewHeight - padding * 2) / size.height
+        );
+        
+        return {
+            scale,
+            x: (viewWidth - size.width * scale) / 2,
+            y: (viewHeight - size.height * scale) / 2,
+            size
+        };
+    }
+    
+    // Pointer position in pixels of the rotated image
+    getImagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const layout = this.getLayout();
+        return {
+            x: (e.clientX - rect.left - layout.x) / layout.scale,
+            y: (e.clientY - rect.top - layout.y) / layout.scale,
+            layout
+        };
+    }
+    
+    // Which crop corner (if any) is under the point
+    getHandle(point) {
+        const tolerance = this.handleSize / point.layout.scale;
+        const { x, y, width, height } = this.crop;
+        const corners = {
+            nw: [x, y],
+            ne: [x + width, y],
+            sw: [x, y + height],
+            se: [x + width, y + height]
+        };
+        
+        return Object.keys(corners).find(name => {
+            const [cx, cy] = corners[name];
+            return Math.abs(point.x - cx) <= tolerance && Math.abs(point.y - cy) <= tolerance;
+        }) || null;
+    }
+    
+    startDrag(e) {
+        if (!this.image) return;
+        
+        const point = this.getImagePoint(e);
+        const { x, y, width, height } = this.crop;
+        const handle = this.getHandle(point);
+        
+        if (handle) {
+            // Anchor the opposite corner
+            this.drag = {
+                type: 'resize',
+                anchorX: handle.includes('w') ? x + width : x,
+                anchorY: handle.includes('n') ? y + height : y
+            };
+        } else if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height) {
+            this.drag = { type: 'move', startX: point.x, startY: point.y, cropX: x, cropY: y };
+        } else {
+            // Draw a new crop box from here
+            const size = point.layout.size;
+            this.drag = {
+                type: 'resize',
+                anchorX: Math.min(size.width, Math.max(0, point.x)),
+                anchorY: Math.min(size.height, Math.max(0, point.y))
+            };
+        }
+        
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+    
+    moveDrag(e) {
+        if (!this.image) return;
+        
+        const point = this.getImagePoint(e);
+        const size = point.layout.size;
+        
+        if (!this.drag) {
+            const handle = this.getHandle(point);
+            const inside = point.x >= this.crop.x && point.x <= this.crop.x + this.crop.width &&
+                point.y >= this.crop.y && point.y <= this.crop.y + this.crop.height;
+            this.canvas.style.cursor = handle
+                ? (handle === 'nw' || handle === 'se' ? 'nwse-resize' : 'nesw-resize')
+                : (inside ? 'move' : 'crosshair');
+            return;
+        }
+        
+        if (this.drag.type === 'move') {
+            this.crop.x = Math.min(size.width - this.crop.width, Math.max(0, this.drag.cropX + point.x - this.drag.startX));
+            this.crop.y = Math.min(size.height - this.crop.height, Math.max(0, this.drag.cropY + point.y - this.drag.startY));
+        } else {
+            const { anchorX, anchorY } = this.drag;
+            const px = Math.min(size.width, Math.max(0, point.x));
+            const py = Math.min(size.height, Math.max(0, point.y));
+            const minSize = this.handleSize * 2 / point.layout.scale;
+            let width = Math.max(minSize, Math.abs(px - anchorX));
+            let height = Math.max(minSize, Math.abs(py - anchorY));
+            
+            if (this.aspect) {
+                if (width / height > this.aspect) {
+                    width = height * this.aspect;
+                } else {
+                    height = width / this.aspect;
+                }
+            }
+            
+            // Grow away from the anchor, staying inside the image
+            const x = px < anchorX ? anchorX - width : anchorX;
+            const y = py < anchorY ? anchorY - height : anchorY;
+            if (x >= 0 && y >= 0 && x + width <= size.width && y + height <= size.height) {
+                this.crop = { x, y, width, height };
+            }
+        }
+        
+        this.draw();
+    }
+    
+    draw() {
+        if (!this.image) return;
+        
+        const ratio = window.devicePixelRatio || 1;
+        const viewWidth = this.canvas.clientWidth;
+        const viewHeight = this.canvas.clientHeight;
+        this.canvas.width = Math.round(viewWidth * ratio);
+        this.canvas.height = Math.round(viewHeight * ratio);
+        
+        const ctx = this.ctx;
+        const layout = this.getLayout();
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+        
+        // Image with rotation, straightening and flips applied
+        ctx.save();
+        ctx.translate(layout.x, layout.y);
+        ctx.scale(layout.scale, layout.scale);
+        ctx.beginPath();
+        ctx.rect(0, 0, layout.size.width, layout.size.height);
+        ctx.clip();
+        ctx.imageSmoothingQuality = 'high';
+        ImageProcessing.applyEdits(ctx, this.image.width, this.image.height, this.edits);
+        ctx.drawImage(this.image, 0, 0);
+        ctx.restore();
+        
+        // Dim everything outside the crop box
+        const crop = {
+            x: layout.x + this.crop.x * layout.scale,
+            y: layout.y + this.crop.y * layout.scale,
+            width: this.crop.width * layout.scale,
+            height: this.crop.height * layout.scale
+        };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.beginPath();
+        ctx.rect(0, 0, viewWidth, viewHeight);
+        ctx.rect(crop.x, crop.y, crop.width, crop.height);
+        ctx.fill('evenodd');
+        
+        // Crop box with rule-of-thirds guides
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            ctx.moveTo(crop.x + crop.width * i / 3, crop.y);
+            ctx.lineTo(crop.x + crop.width * i / 3, crop.y + crop.height);
+            ctx.moveTo(crop.x, crop.y + crop.height * i / 3);
+            ctx.lineTo(crop.x + crop.width, crop.y + crop.height * i / 3);
+        }
+        ctx.stroke();
+        
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(crop.x, crop.y, crop.width, crop.height);
+        
+        ctx.fillStyle = '#ffffff';
+        const half = this.handleSize / 2;
+        [
+            [crop.x, crop.y],
+            [crop.x + crop.width, crop.y],
+            [crop.x, crop.y + crop.height],
+            [crop.x + crop.width, crop.y + crop.height]
+        ].forEach(([x, y]) => ctx.fillRect(x - half, y - half, this.handleSize, this.handleSize));
+        
+        // Output size of the crop
+        const info = this.container.querySelector('.editor-crop-size');
+        if (info) {
+            const outputSize = ImageProcessing.cropRect(this.image.width, this.image.height, {
+                ...this.edits,
+                crop: {
+                    x: 0,
+                    y: 0,
+                    width: this.crop.width / layout.size.width,
+                    height: this.crop.height / layout.size.height
+                }
+            });
+            info.textContent = `${outputSize.width} × ${outputSize.height}`;
+        }
+    }
+}
+
+// Make available globally
+window.ImageEditor = ImageEditor;
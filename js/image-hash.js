@@ -0,0 +1,142 @@
+// image-hash.js - Content and perceptual hashes for spotting duplicate photos
+const ImageHash = {
+    // dHash bits that may differ for two photos to count as near-duplicates (of 64)
+    nearThreshold: 8,
+    
+    // Resolves with { sha256, dHash, width, height, sharpness }
+    // sharpness is the variance of the Laplacian - higher is crisper
+    async analyze(file) {
+        const buffer = await file.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        const sha256 = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        
+        const image = await ImageProcessing.decode(file);
+        const width = image.width;
+        const height = image.height;
+        
+        try {
+            return {
+                sha256,
+                dHash: this.dHash(image),
+                width,
+                height,
+                sharpness: this.sharpness(image)
+            };
+        } finally {
+            if (image.close) image.close();
+        }
+    },
+    
+    // Grey levels of the image drawn at width x height
+    grayscale(image, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, width, height);
+        
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+        return gray;
+    },
+    
+    // Difference hash: 9x8 thumbnail, one bit per "left brighter than right"
+    // Returned as 16 hex digits
+    dHash(image) {
+        const gray = this.grayscale(image, 9, 8);
+        let hash = '';
+        
+        for (let row = 0; row < 8; row++) {
+            let nibble = 0;
+            for (let col = 0; col < 8; col++) {
+                const bit = gray[row * 9 + col] > gray[row * 9 + col + 1] ? 1 : 0;
+                nibble = (nibble << 1) | bit;
+                if (col % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
+    },
+    
+    // Number of differing bits between two hex hashes
+    distance(a, b) {
+        let bits = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                bits += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return bits;
+    },
+    
+    // Measured at a fixed size so photos of different resolutions compare fairly
+    sharpness(image) {
+        const scale = Math.min(1, 512 / Math.max(image.width, image.height));
+        const width = Math.max(3, Math.round(image.width * scale));
+        const height = Math.max(3, Math.round(image.height * scale));
+        const gray = this.grayscale(image, width, height);
+        
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+        
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    },
+    
+    // Group items whose hashes match exactly or nearly
+    // items are { id, hash } with hash from analyze(); returns [{ exact, ids }] for groups of 2+
+    group(items) {
+        const parent = new Map(items.map(item => [item.id, item.id]));
+        const find = (id) => {
+            while (parent.get(id) !== id) id = parent.get(id);
+            return id;
+        };
+        
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const a = items[i].hash;
+                const b = items[j].hash;
+                const exact = a.sha256 === b.sha256;
+                if (exact || this.distance(a.dHash, b.dHash) <= this.nearThreshold) {
+                    const rootA = find(items[i].id);
+                    const rootB = find(items[j].id);
+                    if (rootA !== rootB) parent.set(rootB, rootA);
+                }
+            }
+        }
+        
+        const groups = new Map();
+        items.forEach(item => {
+            const root = find(item.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(item);
+        });
+        
+        return Array.from(groups.values())
+            .filter(members => members.length > 1)
+            .map(members => ({
+                exact: members.every(member => member.hash.sha256 === members[0].hash.sha256),
+                ids: members.map(member => member.id)
+            }));
+    }
+};
+
+// Make available globally
+window.ImageHash = ImageHash;
@@ -0,0 +1,129 @@
+// image-pipeline.js - Worker pool for image processing with a main-thread fallback
+class ImagePipeline {
+    constructor(workerUrl = 'js/image-worker.js') {
+        this.workerUrl = workerUrl;
+        this.poolSize = Math.min(Math.max(navigator.hardwareConcurrency || 2, 1), 8);
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.tasks = new Map(); // id -> { resolve, reject, task }
+        this.nextId = 1;
+        this.useWorkers = ImagePipeline.isSupported();
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+    
+    // Shared pool for the page
+    static shared() {
+        if (!ImagePipeline.instance) {
+            ImagePipeline.instance = new ImagePipeline();
+        }
+        return ImagePipeline.instance;
+    }
+    
+    // Process an image file; resolves with ImageProcessing.process's result
+    process(file, options = {}) {
+        if (!this.useWorkers) {
+            return this.processOnMainThread(file, options);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextId++, file, options };
+            this.tasks.set(task.id, { resolve, reject, task });
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+    
+    processOnMainThread(file, options) {
+        return ImageProcessing.processFile(file, options);
+    }
+    
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.getIdleWorker();
+            if (!worker) return;
+            
+            const task = this.queue.shift();
+            worker.postMessage({ id: task.id, file: task.file, options: task.options });
+        }
+    }
+    
+    getIdleWorker() {
+        if (this.idleWorkers.length > 0) {
+            return this.idleWorkers.pop();
+        }
+        
+        if (this.workers.length < this.poolSize) {
+            return this.createWorker();
+        }
+        
+        return null;
+    }
+    
+    createWorker() {
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Image workers unavailable, using main thread:', error);
+            this.fallBackToMainThread();
+            return null;
+        }
+        
+        worker.onmessage = (e) => this.handleMessage(worker, e.data);
+        worker.onerror = (e) => {
+            // Script failed to load or crashed - finish everything on the main thread
+            e.preventDefault();
+            console.warn('Image worker error, using main thread:', e.message);
+            this.fallBackToMainThread();
+        };
+        
+        this.workers.push(worker);
+        return worker;
+    }
+    
+    handleMessage(worker, { id, result, error }) {
+        const pending = this.tasks.get(id);
+        this.tasks.delete(id);
+        this.idleWorkers.push(worker);
+        
+        if (pending) {
+            if (error) {
+                pending.reject(new Error(error));
+            } else {
+                pending.resolve(result);
+            }
+        }
+        
+        this.dispatch();
+    }
+    
+    fallBackToMainThread() {
+        this.useWorkers = false;
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        
+        // Re-run anything that was queued or in flight
+        const pending = Array.from(this.tasks.values());
+        this.tasks.clear();
+        pending.forEach(({ resolve, reject, task }) => {
+            this.processOnMainThread(task.file, task.options).then(resolve, reject);
+        });
+    }
+    
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+    }
+}
+
+// Make available globally
+window.ImagePipeline = ImagePipeline;
@@ -0,0 +1,573 @@
+// image-processing.js - Shared resize & encode steps (runs on the main thread and in workers)
+const ImageProcessing = {
+    // Scale dimensions down to fit max width/height
+    fitDimensions(width, height, maxWidth = null, maxHeight = null) {
+        if (maxWidth && width > maxWidth) {
+            height = Math.round(height * maxWidth / width);
+            width = maxWidth;
+        }
+        if (maxHeight && height > maxHeight) {
+            width = Math.round(width * maxHeight / height);
+            height = maxHeight;
+        }
+        return { width, height };
+    },
+    
+    scaleSize(width, height, scale) {
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    },
+    
+    // Physical length (cm, mm or in) to pixels at a DPI
+    toPixels(value, unit = 'cm', dpi = 300) {
+        if (!value) return null;
+        const inches = unit === 'in' ? value : unit === 'mm' ? value / 25.4 : value / 2.54;
+        return Math.max(1, Math.round(inches * dpi));
+    },
+    
+    // Output pixel size for a resize mode, from the upright (edited) size
+    // resize: { mode: 'fit' | 'percent' | 'longEdge' | 'physical' | 'exact', percent, longEdge,
+    //           width, height, unit, background } - see FileOptimizer.buildResize
+    resolveSize(width, height, { maxWidth = null, maxHeight = null, resize = null, dpi = null } = {}) {
+        const mode = resize ? resize.mode : 'fit';
+        
+        switch (mode) {
+            case 'percent':
+                return this.scaleSize(width, height, (resize.percent || 100) / 100);
+            case 'longEdge':
+                return resize.longEdge
+                    ? this.scaleSize(width, height, resize.longEdge / Math.max(width, height))
+                    : { width, height };
+            case 'physical': {
+                // Fit inside the print size at the output DPI (may scale up)
+                const boxWidth = this.toPixels(resize.width, resize.unit, dpi || 300);
+                const boxHeight = this.toPixels(resize.height, resize.unit, dpi || 300);
+                const scale = Math.min(
+                    boxWidth ? boxWidth / width : Infinity,
+                    boxHeight ? boxHeight / height : Infinity
+                );
+                return isFinite(scale) ? this.scaleSize(width, height, scale) : { width, height };
+            }
+            case 'exact':
+                return {
+                    width: Math.round(resize.width) || width,
+                    height: Math.round(resize.height) || height
+                };
+            default:
+                return this.fitDimensions(
+                    width, height,
+                    maxWidth ? Math.round(maxWidth) : null,
+                    maxHeight ? Math.round(maxHeight) : null
+                );
+        }
+    },
+    
+    // OffscreenCanvas where available (always inside workers), DOM canvas otherwise
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+    
+    // Canvas transforms for EXIF orientations 2-8 on a width x height canvas
+    orientationTransform(orientation, width, height) {
+        switch (orientation) {
+            case 2: return [-1, 0, 0, 1, width, 0];
+            case 3: return [-1, 0, 0, -1, width, height];
+            case 4: return [1, 0, 0, -1, 0, height];
+            case 5: return [0, 1, 1, 0, 0, 0];
+            case 6: return [0, 1, -1, 0, width, 0];
+            case 7: return [0, -1, -1, 0, width, height];
+            case 8: return [0, -1, 1, 0, 0, height];
+            default: return null;
+        }
+    },
+    
+    // Dimensions after applying an EXIF orientation (5-8 swap width and height)
+    orientedSize(width, height, orientation = 1) {
+        return orientation >= 5 ? { width: height, height: width } : { width, height };
+    },
+    
+    // Crop/rotate/flip edits made in the editor:
+    // { crop: { x, y, width, height } as 0-1 fractions of the rotated image,
+    //   rotate: 0/90/180/270, straighten: degrees, flipH, flipV }
+    hasEdits(edits) {
+        return !!edits && (!!edits.crop || !!edits.rotate || !!edits.straighten || !!edits.flipH || !!edits.flipV);
+    },
+    
+    // Size after the 90° rotation (before cropping)
+    rotatedSize(width, height, edits = null) {
+        return edits && (edits.rotate || 0) % 180 !== 0 ? { width: height, height: width } : { width, height };
+    },
+    
+    // Crop rectangle in pixels of the rotated image
+    cropRect(width, height, edits = null) {
+        const rotated = this.rotatedSize(width, height, edits);
+        const crop = edits && edits.crop ? edits.crop : { x: 0, y: 0, width: 1, height: 1 };
+        return {
+            x: crop.x * rotated.width,
+            y: crop.y * rotated.height,
+            width: Math.max(1, Math.round(crop.width * rotated.width)),
+            height: Math.max(1, Math.round(crop.height * rotated.height))
+        };
+    },
+    
+    // Zoom that keeps a straightened image covering its frame (no empty corners)
+    straightenScale(width, height, degrees) {
+        const angle = Math.abs(degrees) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return Math.max((width * cos + height * sin) / width, (width * sin + height * cos) / height);
+    },
+    
+    // Map an upright width x height image onto its rotated frame
+    // Straighten and flips act on the frame as seen, after the 90° rotation
+    applyEdits(ctx, width, height, edits = null) {
+        if (!edits) return;
+        
+        const rotated = this.rotatedSize(width, height, edits);
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        if (edits.straighten) {
+            const zoom = this.straightenScale(rotated.width, rotated.height, edits.straighten);
+            ctx.rotate(edits.straighten * Math.PI / 180);
+            ctx.scale(zoom, zoom);
+        }
+        ctx.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+        ctx.rotate((edits.rotate || 0) * Math.PI / 180);
+        ctx.translate(-width / 2, -height / 2);
+    },
+    
+    // Draw the image upright (orientation applied) and edited at the given size
+    // Orientation, rotation, flips, crop and scaling are one transform, so one draw
+    drawOriented(source, width, height, orientation = 1, smoothing = true, edits = null) {
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = smoothing;
+        ctx.imageSmoothingQuality = 'high';
+        
+        const upright = this.orientedSize(source.width, source.height, orientation);
+        const crop = this.cropRect(upright.width, upright.height, edits);
+        ctx.scale(width / crop.width, height / crop.height);
+        ctx.translate(-crop.x, -crop.y);
+        this.applyEdits(ctx, upright.width, upright.height, edits);
+        
+        const transform = this.orientationTransform(orientation, upright.width, upright.height);
+        if (transform) ctx.transform(...transform);
+        
+        ctx.drawImage(source, 0, 0, source.width, source.height);
+        return canvas;
+    },
+    
+    // Upright, edited size before any scaling
+    editedSize(width, height, orientation = 1, edits = null) {
+        const upright = this.orientedSize(width, height, orientation);
+        const crop = this.cropRect(upright.width, upright.height, edits);
+        return { width: crop.width, height: crop.height };
+    },
+    
+    // Draw image onto a new canvas at the given (upright, edited) size
+    // options: { background, padding, orientation, edits, resample, sharpen }
+    // padding (a colour or 'transparent') fits the image inside width x height and fills the rest
+    render(source, width, height, options = {}) {
+        const {
+            background = null,
+            padding = null,
+            orientation = 1,
+            edits = null,
+            resample = 'browser', // see Resampling.methods
+            sharpen = 0 // unsharp mask amount 0-1
+        } = options;
+        const edited = this.editedSize(source.width, source.height, orientation, edits);
+        let contentWidth = width;
+        let contentHeight = height;
+        let canvas;
+        
+        if (padding) {
+            const content = this.scaleSize(edited.width, edited.height, Math.min(width / edited.width, height / edited.height));
+            contentWidth = Math.min(width, content.width);
+            contentHeight = Math.min(height, content.height);
+        }
+        
+        if (resample === 'stepwise' || Resampling.isConvolution(resample)) {
+            // Filters work on the full-size upright (and edited) pixels
+            const full = this.drawOriented(source, edited.width, edited.height, orientation, true, edits);
+            
+            canvas = resample === 'stepwise'
+                ? Resampling.stepwise(full, contentWidth, contentHeight)
+                : Resampling.convolve(full, contentWidth, contentHeight, resample);
+        } else {
+            canvas = this.drawOriented(source, contentWidth, contentHeight, orientation, resample !== 'nearest', edits);
+        }
+        
+        if (sharpen > 0) {
+            Resampling.unsharpMask(canvas, { amount: sharpen });
+        }
+        
+        if (padding) {
+            const framed = this.createCanvas(width, height);
+            const ctx = framed.getContext('2d');
+            if (padding !== 'transparent') {
+                ctx.fillStyle = padding;
+                ctx.fillRect(0, 0, width, height);
+            }
+            ctx.drawImage(canvas, Math.round((width - contentWidth) / 2), Math.round((height - contentHeight) / 2));
+            canvas = framed;
+        }
+        
+        // Formats without alpha would turn transparent pixels black
+        if (background) {
+            const flattened = this.createCanvas(width, height);
+            const ctx = flattened.getContext('2d');
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(canvas, 0, 0);
+            canvas = flattened;
+        }
+        
+        return canvas;
+    },
+    
+    // Encode canvas to blob
+    encode(canvas, type = 'image/jpeg', quality = 0.8) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality });
+        }
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode image'));
+                }
+            }, type, quality);
+        });
+    },
+    
+    // Decode a blob; keepColorProfile skips the browser's sRGB conversion
+    // so the pixels still match the ICC profile we copy into the output
+    decode(blob, keepColorProfile = false) {
+        if (typeof createImageBitmap === 'undefined') {
+            return FileOptimizer.loadImage(blob);
+        }
+        return createImageBitmap(blob, {
+            colorSpaceConversion: keepColorProfile ? 'none' : 'default'
+        });
+    },
+    
+    // Full pipeline for a file: read metadata, decode, resize, encode, write metadata
+    // options.preserveMetadata copies EXIF/XMP; the ICC profile is always kept for JPEG output
+    // options.dpi is written into the JFIF/pHYs header of JPEG/PNG output
+    async processFile(file, options = {}) {
+        const { preserveMetadata = false, dpi = null, output = { mimeType: 'image/jpeg' } } = options;
+        
+        if (options.animation) {
+            return this.processAnimation(file, options);
+        }
+        const jpegOutput = output.mimeType === 'image/jpeg';
+        let input = file;
+        let metadata = null;
+        let buffer = null;
+        
+        if (typeof JpegMetadata !== 'undefined' && JpegMetadata.isJpeg(await file.slice(0, 2).arrayBuffer())) {
+            buffer = await file.arrayBuffer();
+            metadata = JpegMetadata.read(buffer);
+        }
+        
+        // Decode the stored pixels - orientation is applied while rendering,
+        // the same way in every browser
+        if (metadata && metadata.orientation > 1) {
+            input = new Blob([JpegMetadata.withOrientation(buffer, metadata, 1)], { type: 'image/jpeg' });
+        }
+        
+        const segments = metadata && jpegOutput
+            ? JpegMetadata.collectSegments(buffer, metadata, {
+                exif: preserveMetadata,
+                icc: true,
+                xmp: preserveMetadata,
+                oriented: !options.recipe || Recipe.orients(options.recipe)
+            })
+            : [];
+        const keepColorProfile = metadata !== null && jpegOutput && metadata.icc.length > 0;
+        
+        const source = await this.decode(input, keepColorProfile);
+        
+        try {
+            const writeDensity = dpi && typeof ImageDensity !== 'undefined' && ImageDensity.supports(output.mimeType);
+            const headerSize = (segments.length ? JpegMetadata.segmentsSize(segments) : 0) +
+                (writeDensity ? ImageDensity.overhead : 0);
+            const processOptions = {
+                ...options,
+                orientation: metadata ? metadata.orientation : 1,
+                targetSize: options.targetSize ? Math.max(options.targetSize - headerSize, 1) : null
+            };
+            const result = options.recipe
+                ? await this.processRecipe(source, options.recipe, processOptions)
+                : await this.process(source, processOptions);
+            
+            if (segments.length) {
+                result.blob = await JpegMetadata.insertSegments(result.blob, segments);
+            }
+            if (writeDensity) {
+                result.blob = await ImageDensity.write(result.blob, dpi);
+            }
+            result.size = result.blob.size;
+            result.dpi = writeDensity ? dpi : null;
+            
+            // Upright size of the input, for reports
+            const original = this.orientedSize(source.width, source.height, processOptions.orientation);
+            result.originalWidth = original.width;
+            result.originalHeight = original.height;
+            if (options.targetSize) result.targetSize = options.targetSize;
+            
+            result.metadata = metadata ? {
+                tags: metadata.tags,
+                hasGps: metadata.hasGps,
+                preserved: preserveMetadata && jpegOutput
+            } : null;
+            
+            return result;
+        } finally {
+            if (source.close) source.close();
+        }
+    },
+    
+    // Animated GIF/WebP, resized frame by frame (see AnimatedImage)
+    // options.animation: { kind, format ('gif' | 'webp'), colors, frameStep } from FileOptimizer.optimizeImage
+    async processAnimation(file, options) {
+        const { maxWidth = null, maxHeight = null, resize = null, dpi = null, edits = null, resample = 'browser', sharpen = 0 } = options;
+        const padding = resize && resize.mode === 'exact' ? (resize.background || '#ffffff') : null;
+        let size = null;
+        
+        const result = await AnimatedImage.convert(file, {
+            ...options.animation,
+            quality: options.quality,
+            targetSize: options.targetSize,
+            render: (frame) => {
+                if (!size) {
+                    const edited = this.editedSize(frame.width, frame.height, 1, edits);
+                    size = this.resolveSize(edited.width, edited.height, { maxWidth, maxHeight, resize, dpi });
+                }
+                return this.render(frame, size.width, size.height, { padding, edits, resample, sharpen });
+            }
+        });
+        
+        result.dpi = null;
+        result.metadata = null;
+        if (options.targetSize) result.targetSize = options.targetSize;
+        return result;
+    },
+    
+    // Resize and encode a decoded image (ImageBitmap or <img>)
+    // output: { mimeType, lossless, alpha } as listed in FileOptimizer.outputFormats
+    async process(source, options = {}) {
+        const {
+            quality = 0.8,
+            maxWidth = null,
+            maxHeight = null,
+            targetSize = null, // bytes
+            resize = null, // other resize modes, see resolveSize
+            dpi = null,
+            orientation = 1,
+            edits = null,
+            resample = 'browser',
+            sharpen = 0,
+            output = { mimeType: 'image/jpeg', lossless: false, alpha: false }
+        } = options;
+        
+        const edited = this.editedSize(source.width, source.height, orientation, edits);
+        const { width, height } = this.resolveSize(edited.width, edited.height, { maxWidth, maxHeight, resize, dpi });
+        const renderOptions = {
+            background: output.alpha ? null : '#ffffff',
+            padding: resize && resize.mode === 'exact' ? (resize.background || '#ffffff') : null,
+            orientation,
+            edits,
+            resample,
+            sharpen
+        };
+        
+        if (targetSize) {
+            return this.fitToTargetSize(source, width, height, targetSize, quality, output, renderOptions);
+        }
+        
+        const canvas = this.render(source, width, height, renderOptions);
+        const blob = await this.encode(canvas, output.mimeType, quality);
+        
+        return { blob, width, height, quality, size: blob.size, fits: true };
+    },
+    
+    // Run a recipe (see Recipe) on a decoded image and encode the result
+    // Output format, quality and target size come from the recipe via the caller's options
+    async processRecipe(source, recipe, options = {}) {
+        const {
+            quality = 0.8,
+            targetSize = null, // bytes
+            orientation = 1,
+            resample = 'browser',
+            output = { mimeType: 'image/jpeg', lossless: false, alpha: false }
+        } = options;
+        
+        let canvas = this.drawOriented(source, source.width, source.height);
+        Recipe.pixelSteps(recipe).forEach(step => {
+            canvas = this.applyRecipeStep(canvas, step, { orientation, resample });
+        });
+        
+        const { width, height } = canvas;
+        const renderOptions = { background: output.alpha ? null : '#ffffff' };
+        
+        if (targetSize) {
+            return this.fitToTargetSize(canvas, width, height, targetSize, quality, output, renderOptions);
+        }
+        
+        const blob = await this.encode(this.render(canvas, width, height, renderOptions), output.mimeType, quality);
+        return { blob, width, height, quality, size: blob.size, fits: true };
+    },
+    
+    // One pixel step of a recipe; returns the new canvas
+    // Until an autoOrient step the pixels stay in stored order, as on the server
+    applyRecipeStep(canvas, step, { orientation = 1, resample = 'browser' } = {}) {
+        const { width, height } = canvas;
+        
+        switch (step.type) {
+            case 'autoOrient': {
+                const upright = this.orientedSize(width, height, orientation);
+                return this.drawOriented(canvas, upright.width, upright.height, orientation);
+            }
+            case 'rotate': {
+                const edits = { rotate: step.angle };
+                const rotated = this.rotatedSize(width, height, edits);
+                return this.drawOriented(canvas, rotated.width, rotated.height, 1, true, edits);
+            }
+            case 'flip':
+                return this.drawOriented(canvas, width, height, 1, true, { flipH: step.horizontal, flipV: step.vertical });
+            case 'crop': {
+                const rect = Recipe.aspectCrop(width, height, step.aspect);
+                const crop = { x: rect.x / width, y: rect.y / height, width: rect.width / width, height: rect.height / height };
+                return this.drawOriented(canvas, rect.width, rect.height, 1, true, { crop });
+            }
+            case 'resize': {
+                // Step fields match resolveSize's resize spec; 'fit' uses the max width/height
+                const size = this.resolveSize(width, height, { maxWidth: step.width, maxHeight: step.height, resize: step });
+                return this.render(canvas, size.width, size.height, {
+                    padding: step.mode === 'exact' ? step.background : null,
+                    resample
+                });
+            }
+            case 'sharpen':
+                return Resampling.unsharpMask(canvas, { amount: step.amount / 100 });
+            case 'watermark':
+                this.drawWatermark(canvas, step);
+                return canvas;
+            default:
+                return canvas;
+        }
+    },
+    
+    // Text watermark sized relative to the image width
+    drawWatermark(canvas, { text, position = 'bottom-right', size = 4, opacity = 60, color = '#ffffff' }) {
+        if (!text) return;
+        
+        const ctx = canvas.getContext('2d');
+        const fontSize = Math.max(8, Math.round(canvas.width * size / 100));
+        const margin = Math.round(fontSize * 0.75);
+        const [vertical, horizontal] = position === 'center' ? ['middle', 'center'] : position.split('-');
+        const x = horizontal === 'left' ? margin : horizontal === 'right' ? canvas.width - margin : canvas.width / 2;
+        const y = vertical === 'top' ? margin : vertical === 'bottom' ? canvas.height - margin : canvas.height / 2;
+        
+        ctx.save();
+        ctx.globalAlpha = opacity / 100;
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textAlign = horizontal;
+        ctx.textBaseline = vertical;
+        // A faint outline keeps light text readable on bright photos
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.lineWidth = Math.max(1, fontSize / 16);
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+        ctx.restore();
+    },
+    
+    // Search quality, then dimensions, until the output fits under targetSize
+    async fitToTargetSize(source, width, height, targetSize, maxQuality = 0.92, output, renderOptions = {}) {
+        const { mimeType, lossless } = output;
+        const minQuality = lossless ? maxQuality : 0.1;
+        const minDimension = 16;
+        let smallest = null;
+        
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const canvas = this.render(source, width, height, renderOptions);
+            let low = minQuality;
+            let high = maxQuality;
+            let best = null;
+            
+            // Try the upper bound first - it often fits already
+            let blob = await this.encode(canvas, mimeType, high);
+            if (blob.size <= targetSize) {
+                best = { blob, quality: high };
+            } else if (!lossless) {
+                for (let step = 0; step < 7; step++) {
+                    const mid = (low + high) / 2;
+                    blob = await this.encode(canvas, mimeType, mid);
+                    
+                    if (blob.size <= targetSize) {
+                        best = { blob, quality: mid };
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                
+                if (!best) {
+                    blob = await this.encode(canvas, mimeType, minQuality);
+                    if (blob.size <= targetSize) {
+                        best = { blob, quality: minQuality };
+                    }
+                }
+            }
+            
+            if (best) {
+                return {
+                    blob: best.blob,
+                    width,
+                    height,
+                    quality: Math.round(best.quality * 100) / 100,
+                    size: best.blob.size,
+                    targetSize,
+                    fits: true
+                };
+            }
+            
+            if (!smallest || blob.size < smallest.blob.size) {
+                smallest = { blob, width, height, quality: minQuality };
+            }
+            
+            // Lowest quality is still too big - shrink dimensions and retry
+            const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(targetSize / blob.size) * 0.95));
+            const nextWidth = Math.round(width * scale);
+            const nextHeight = Math.round(height * scale);
+            if (nextWidth < minDimension || nextHeight < minDimension) break;
+            width = nextWidth;
+            height = nextHeight;
+        }
+        
+        return {
+            blob: smallest.blob,
+            width: smallest.width,
+            height: smallest.height,
+            quality: smallest.quality,
+            size: smallest.blob.size,
+            targetSize,
+            fits: false
+        };
+    }
+};
+
+// Make available to pages and workers
+self.ImageProcessing = ImageProcessing;
@@ -1,14 +1,37 @@
 // image-resizer.js - Image Resizer Tool
 class ImageResizer {
     constructor() {
-        this.images = [];
-        this.resizedImages = [];
+        this.images = []; // { id, file, url, width, height, overrides, edits, result, error }
+        this.selectedId = null;
+        this.nextId = 1;
+        this.maxImages = 20;
+        this.comparisonViewer = null;
+        this.imageEditor = null;
+        this.palettePanel = null;
+        this.qualityPreviewTimer = null;
         this.currentSettings = {
             quality: 80,
-            maxWidth: null,
+            resizeMode: 'fit', // fit, percent, longEdge, physical, exact
+            maxWidth: null, // px, or print size in printUnit
             maxHeight: null,
+            percent: 50,
+            longEdge: 2048, // px
+            printUnit: 'cm',
+            padColor: '#ffffff', // or 'transparent'
+            dpi: null,
+            targetSize: null, // KB
             format: 'jpeg',
-            maintainAspect: true
+            maintainAspect: true,
+            preserveMetadata: false,
+            resample: 'browser',
+            sharpen: 0, // %
+            keepAnimation: true, // animated GIF/WebP stay animated
+            animationFrameStep: 1, // keep every Nth frame
+            animationColors: 256, // GIF palette size
+            animationFormat: 'auto', // auto, gif, webp
+            svgMode: 'rasterize', // rasterize, minify
+            svgScale: 1, // render scale over the SVG's own size
+            svgPrecision: 3 // decimal places kept when minifying
         };
         this.init();
     }
@@ -16,6 +39,16 @@ class ImageResizer {
     init() {
         this.setupEventListeners();
         this.setupSliders();
+        this.setupFormatOptions();
+        
+        const viewer = document.getElementById('comparisonViewer');
+        if (viewer) this.comparisonViewer = new ComparisonViewer(viewer);
+        
+        const editor = document.getElementById('imageEditor');
+        if (editor) this.imageEditor = new ImageEditor(editor);
+        
+        const palette = document.getElementById('palettePanel');
+        if (palette) this.palettePanel = new PalettePanel(palette);
     }
     
     setupEventListeners() {
@@ -39,6 +72,12 @@ class ImageResizer {
             downloadBtn.addEventListener('click', () => this.downloadImage());
         }
         
+        // Download all button
+        const downloadAllBtn = document.getElementById('downloadAllImagesBtn');
+        if (downloadAllBtn) {
+            downloadAllBtn.addEventListener('click', () => this.downloadAll());
+        }
+        
         // Reset button
         const resetBtn = document.getElementById('resetImageBtn');
         if (resetBtn) {
@@ -55,14 +94,24 @@ class ImageResizer {
             qualitySlider.addEventListener('input', (e) => {
                 this.currentSettings.quality = parseInt(e.target.value);
                 qualityValue.textContent = `${this.currentSettings.quality}%`;
+                this.scheduleQualityPreview();
             });
         }
         
-        // Width input
+        // Resize mode select
+        const resizeMode = document.getElementById('resizeMode');
+        if (resizeMode) {
+            resizeMode.addEventListener('change', (e) => {
+                this.currentSettings.resizeMode = e.target.value;
+                this.updateResizeFields();
+            });
+        }
+        
+        // Width input (max px, print size or exact px depending on the mode)
         const widthInput = document.getElementById('widthInput');
         if (widthInput) {
             widthInput.addEventListener('input', (e) => {
-                this.currentSettings.maxWidth = e.target.value ? parseInt(e.target.value) : null;
+                this.currentSettings.maxWidth = e.target.value ? parseFloat(e.target.value) : null;
             });
         }
         
@@ -70,7 +119,59 @@ class ImageResizer {
         const heightInput = document.getElementById('heightInput');
         if (heightInput) {
             heightInput.addEventListener('input', (e) => {
-                this.currentSettings.maxHeight = e.target.value ? parseInt(e.target.value) : null;
+                this.currentSettings.maxHeight = e.target.value ? parseFloat(e.target.value) : null;
+            });
+        }
+        
+        // Percentage / long edge inputs
+        const percentInput = document.getElementById('resizePercent');
+        if (percentInput) {
+            percentInput.addEventListener('input', (e) => {
+                this.currentSettings.percent = e.target.value ? parseFloat(e.target.value) : 100;
+            });
+        }
+        
+        const longEdgeInput = document.getElementById('longEdgeInput');
+        if (longEdgeInput) {
+            longEdgeInput.addEventListener('input', (e) => {
+                this.currentSettings.longEdge = e.target.value ? parseInt(e.target.value) : null;
+            });
+        }
+        
+        // Print unit select
+        const printUnit = document.getElementById('printUnit');
+        if (printUnit) {
+            printUnit.addEventListener('change', (e) => {
+                this.currentSettings.printUnit = e.target.value;
+                this.updateResizeFields();
+            });
+        }
+        
+        // Padding colour
+        const padColor = document.getElementById('padColor');
+        const padTransparent = document.getElementById('padTransparent');
+        if (padColor && padTransparent) {
+            const updatePadColor = () => {
+                this.currentSettings.padColor = padTransparent.checked ? 'transparent' : padColor.value;
+                padColor.disabled = padTransparent.checked;
+            };
+            padColor.addEventListener('input', updatePadColor);
+            padTransparent.addEventListener('change', updatePadColor);
+        }
+        
+        // DPI input
+        const dpiInput = document.getElementById('dpiInput');
+        if (dpiInput) {
+            dpiInput.addEventListener('input', (e) => {
+                this.currentSettings.dpi = e.target.value ? parseInt(e.target.value) : null;
+            });
+        }
+        
+        // Target size select
+        const sizeTarget = document.getElementById('sizeTarget');
+        if (sizeTarget) {
+            sizeTarget.addEventListener('change', (e) => {
+                this.currentSettings.targetSize = e.target.value ? parseInt(e.target.value) : null;
             });
         }
         
@@ -82,6 +183,24 @@ class ImageResizer {
             });
         }
         
+        // Resampling select
+        const resampleSelect = document.getElementById('resampleSelect');
+        if (resampleSelect) {
+            resampleSelect.addEventListener('change', (e) => {
+                this.currentSettings.resample = e.target.value;
+            });
+        }
+        
+        // Sharpen slider
+        const sharpenSlider = document.getElementById('sharpenSlider');
+        const sharpenValue = document.getElementById('sharpenValue');
+        if (sharpenSlider && sharpenValue) {
+            sharpenSlider.addEventListener('input', (e) => {
+                this.currentSettings.sharpen = parseInt(e.target.value);
+                sharpenValue.textContent = this.currentSettings.sharpen ? `${this.currentSettings.sharpen}%` : 'Off';
+            });
+        }
+        
         // Aspect ratio checkbox
         const aspectCheckbox = document.getElementById('maintainAspect');
         if (aspectCheckbox) {
@@ -89,186 +208,659 @@ class ImageResizer {
                 this.currentSettings.maintainAspect = e.target.checked;
             });
         }
+        
+        // Metadata checkbox (EXIF/XMP; the colour profile is always kept)
+        const metadataCheckbox = document.getElementById('preserveMetadata');
+        if (metadataCheckbox) {
+            metadataCheckbox.addEventListener('change', (e) => {
+                this.currentSettings.preserveMetadata = e.target.checked;
+            });
+        }
+        
+        // Animated GIF/WebP options
+        const keepAnimation = document.getElementById('keepAnimation');
+        if (keepAnimation) {
+            keepAnimation.addEventListener('change', (e) => {
+                this.currentSettings.keepAnimation = e.target.checked;
+            });
+        }
+        
+        const animationFrames = document.getElementById('animationFrames');
+        if (animationFrames) {
+            animationFrames.addEventListener('change', (e) => {
+                this.currentSettings.animationFrameStep = parseInt(e.target.value);
+            });
+        }
+        
+        const animationColors = document.getElementById('animationColors');
+        if (animationColors) {
+            animationColors.addEventListener('change', (e) => {
+                this.currentSettings.animationColors = parseInt(e.target.value);
+            });
+        }
+        
+        const animationFormat = document.getElementById('animationFormat');
+        if (animationFormat) {
+            animationFormat.addEventListener('change', (e) => {
+                this.currentSettings.animationFormat = e.target.value;
+            });
+        }
+        
+        // SVG options
+        const svgMode = document.getElementById('svgMode');
+        if (svgMode) {
+            svgMode.addEventListener('change', (e) => {
+                this.currentSettings.svgMode = e.target.value;
+                this.updateSvgFields();
+            });
+        }
+        
+        const svgScale = document.getElementById('svgScale');
+        if (svgScale) {
+            svgScale.addEventListener('change', (e) => {
+                this.currentSettings.svgScale = parseInt(e.target.value);
+            });
+        }
+        
+        const svgPrecision = document.getElementById('svgPrecision');
+        if (svgPrecision) {
+            svgPrecision.addEventListener('change', (e) => {
+                this.currentSettings.svgPrecision = parseInt(e.target.value);
+            });
+        }
+    }
+    
+    // Show the SVG inputs used by the SVG mode (elements list their modes in data-svg-modes)
+    updateSvgFields() {
+        document.querySelectorAll('[data-svg-modes]').forEach(element => {
+            element.style.display = element.dataset.svgModes.split(' ').includes(this.currentSettings.svgMode) ? '' : 'none';
+        });
+    }
+    
+    updateResizeFields() {
+        const options = document.querySelector('.resize-options');
+        if (options) {
+            FileOptimizer.updateResizeFields(options, this.currentSettings.resizeMode, this.currentSettings.printUnit);
+        }
+    }
+    
+    setupFormatOptions() {
+        // Only offer AVIF where the browser can encode it
+        const avifOption = document.querySelector('#formatSelect option[value="avif"]');
+        if (avifOption && !FileOptimizer.supportsEncoding('image/avif')) {
+            avifOption.disabled = true;
+            avifOption.textContent += ' - not supported by this browser';
+        }
     }
     
-    handleImages(fileList) {
-        const files = Array.from(fileList);
-        const imageFiles = files.filter(file => file.type.startsWith('image/'));
+    async handleImages(fileList) {
+        const files = Array.from(fileList).filter(file => ImageDecoders.isImage(file));
+        
+        // HEIC, TIFF and the like become PNGs the pipeline can decode
+        const { files: imageFiles, problems } = await ImageDecoders.prepare(files);
+        problems.forEach(problem => FileOptimizer.showNotification(`${problem.path}: ${problem.error}`, 'error'));
         
         if (imageFiles.length === 0) {
-            FileOptimizer.showNotification('Please select image files', 'error');
+            if (problems.length === 0) FileOptimizer.showNotification('Please select image files', 'error');
             return;
         }
         
-        // For now, handle only first image (single image mode)
-        const imageFile = imageFiles[0];
-        this.images = [imageFile];
+        // Check limits
+        const available = this.maxImages - this.images.length;
+        if (available <= 0) {
+            FileOptimizer.showNotification(`Maximum ${this.maxImages} images allowed`, 'error');
+            return;
+        }
+        if (imageFiles.length > available) {
+            FileOptimizer.showNotification(`Only the first ${available} image(s) were added (max ${this.maxImages})`, 'warning');
+        }
         
-        // Show preview
-        this.showPreview(imageFile);
+        const entries = imageFiles.slice(0, available).map(file => this.createImageEntry(file));
+        this.images = [...this.images, ...entries];
         
-        // Enable process button
-        const processBtn = document.getElementById('processImageBtn');
-        if (processBtn) processBtn.disabled = false;
+        // Load dimensions for the info line
+        entries.forEach(entry => this.loadImageInfo(entry));
+        
+        this.renderImageList();
+        this.updateProcessButton();
     }
     
-    async showPreview(file) {
-        const preview = document.getElementById('imagePreview');
-        const previewSize = document.getElementById('previewSize');
-        const previewDimensions = document.getElementById('previewDimensions');
-        const previewFormat = document.getElementById('previewFormat');
-        
-        if (!preview) return;
-        
+    createImageEntry(file) {
+        return {
+            id: this.nextId++,
+            file: file,
+            url: URL.createObjectURL(file),
+            width: null,
+            height: null,
+            overrides: {},
+            edits: null, // crop/rotate/flip from the editor
+            comparisonSource: null, // original with edits applied, for the viewer
+            result: null,
+            error: null
+        };
+    }
+    
+    async loadImageInfo(entry) {
         try {
-            const dataUrl = await FileOptimizer.readFileAsDataURL(file);
-            preview.src = dataUrl;
-            preview.style.display = 'block';
-            
-            // Update info
-            if (previewSize) {
-                previewSize.textContent = FileOptimizer.formatFileSize(file.size);
-            }
-            
-            if (previewDimensions) {
-                const img = new Image();
-                img.onload = () => {
-                    previewDimensions.textContent = `${img.width} × ${img.height}`;
-                };
-                img.src = dataUrl;
-            }
-            
-            if (previewFormat) {
-                previewFormat.textContent = file.type.split('/')[1].toUpperCase();
-            }
+            // An SVG's size comes from its attributes; drawn as an <img> it may fall back to 300 x 150
+            const img = SvgTools.isSvg(entry.file)
+                ? await SvgTools.readSize(entry.file)
+                : await FileOptimizer.loadImage(entry.file);
+            entry.width = img.width;
+            entry.height = img.height;
             
+            const dimensions = document.querySelector(`.image-card[data-id="${entry.id}"] .image-card-dimensions`);
+            if (dimensions) dimensions.textContent = `${img.width} × ${img.height}`;
         } catch (error) {
             console.error('Preview error:', error);
-            FileOptimizer.showNotification('Failed to load image preview', 'error');
+            entry.error = 'Failed to load image preview';
+            this.renderImageList();
         }
     }
     
+    getImage(id) {
+        return this.images.find(entry => entry.id === id);
+    }
+    
+    // Global settings with the image's own overrides applied
+    getEffectiveSettings(entry) {
+        const settings = { ...this.currentSettings };
+        Object.keys(entry.overrides).forEach(key => {
+            if (entry.overrides[key] !== null && entry.overrides[key] !== '') {
+                settings[key] = entry.overrides[key];
+            }
+        });
+        return settings;
+    }
+    
+    renderImageList() {
+        const preview = document.getElementById('imagePreview');
+        const imageList = document.getElementById('imageList');
+        if (!imageList) return;
+        
+        imageList.innerHTML = '';
+        this.images.forEach(entry => imageList.appendChild(this.createImageCard(entry)));
+        
+        if (preview) {
+            preview.classList.toggle('has-images', this.images.length > 0);
+        }
+    }
+    
+    createImageCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'image-card';
+        card.dataset.id = entry.id;
+        
+        const overrides = entry.overrides;
+        const format = entry.file.type.split('/')[1] || '';
+        let status = '';
+        if (entry.error) {
+            status = `<div class="file-status file-error"><i class="fas fa-exclamation-circle"></i> ${entry.error}</div>`;
+        } else if (entry.result) {
+            status = `<div class="file-status"><i class="fas fa-check"></i> ${FileOptimizer.formatFileSize(entry.result.size)}</div>`;
+        }
+        
+        card.innerHTML = `
+            <img class="image-card-thumb" src="${entry.url}" alt="${entry.file.name}">
+            <div class="image-card-body">
+                <div class="file-name" title="${entry.file.name}">${entry.file.name}</div>
+                <div class="file-size">
+                    ${FileOptimizer.formatFileSize(entry.file.size)}
+                    · <span class="image-card-dimensions">${entry.width ? `${entry.width} × ${entry.height}` : '-'}</span>
+                    · ${format.toUpperCase()}
+                    ${ImageProcessing.hasEdits(entry.edits) ? '· <span class="image-card-edited"><i class="fas fa-crop-alt"></i> Edited</span>' : ''}
+                </div>
+                ${status}
+                <details class="image-card-overrides">
+                    <summary><i class="fas fa-sliders-h"></i> Own settings</summary>
+                    <div class="override-grid">
+                        <label>Quality (%)
+                            <input type="number" min="10" max="100" data-key="quality" value="${overrides.quality ?? ''}" placeholder="${this.currentSettings.quality}">
+                        </label>
+                        <label>Width (px)
+                            <input type="number" min="0" step="any" data-key="maxWidth" value="${overrides.maxWidth ?? ''}" placeholder="Global">
+                        </label>
+                        <label>Height (px)
+                            <input type="number" min="0" step="any" data-key="maxHeight" value="${overrides.maxHeight ?? ''}" placeholder="Global">
+                        </label>
+                        <label>Format
+                            <select data-key="format">
+                                <option value="">Global</option>
+                                <option value="jpeg">JPEG</option>
+                                <option value="webp">WEBP</option>
+                                <option value="png">PNG</option>
+                                <option value="avif">AVIF</option>
+                                <option value="original">Keep Original</option>
+                            </select>
+                        </label>
+                    </div>
+                </details>
+            </div>
+            <div class="image-card-actions">
+                <button class="btn small secondary image-edit-btn" title="Crop, rotate & flip">
+                    <i class="fas fa-crop-alt"></i>
+                </button>
+                <button class="btn small secondary image-palette-btn" title="Colour palette">
+                    <i class="fas fa-palette"></i>
+                </button>
+                <button class="btn small success image-download-btn" title="Download" ${entry.result ? '' : 'disabled'}>
+                    <i class="fas fa-download"></i>
+                </button>
+                <button class="remove-file-btn" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+        
+        const formatSelect = card.querySelector('select[data-key="format"]');
+        formatSelect.value = overrides.format || '';
+        
+        // Override inputs
+        card.querySelectorAll('.override-grid [data-key]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.key;
+                const value = e.target.value;
+                if (key === 'format') {
+                    entry.overrides[key] = value || null;
+                } else if (key === 'quality') {
+                    entry.overrides[key] = value ? parseInt(value) : null;
+                } else {
+                    // Sizes keep their decimals, for print sizes in cm or inches
+                    entry.overrides[key] = value ? parseFloat(value) : null;
+                }
+            });
+        });
+        
+        // Edit / download / remove buttons
+        card.querySelector('.image-edit-btn').addEventListener('click', () => {
+            this.editImage(entry);
+        });
+        card.querySelector('.image-palette-btn').addEventListener('click', () => {
+            if (this.palettePanel) this.palettePanel.open(entry);
+        });
+        card.querySelector('.image-download-btn').addEventListener('click', () => {
+            this.downloadImage(entry);
+        });
+        card.querySelector('.remove-file-btn').addEventListener('click', () => {
+            this.removeImage(entry.id);
+        });
+        
+        // Show comparison for this image
+        card.querySelector('.image-card-thumb').addEventListener('click', () => {
+            if (entry.result) this.selectImage(entry.id);
+        });
+        
+        return card;
+    }
+    
+    editImage(entry) {
+        if (!this.imageEditor) return;
+        
+        this.imageEditor.open(entry, (edits) => {
+            entry.edits = edits;
+            entry.comparisonSource = null;
+            this.renderImageList();
+            FileOptimizer.showNotification(
+                edits ? 'Edits saved - they are applied when the image is processed' : 'Edits cleared',
+                'info'
+            );
+        });
+    }
+    
+    removeImage(id) {
+        const entry = this.getImage(id);
+        if (!entry) return;
+        
+        if (this.imageEditor && this.imageEditor.entry === entry) this.imageEditor.close();
+        if (this.palettePanel && this.palettePanel.entry === entry) this.palettePanel.close();
+        this.revokeEntry(entry);
+        this.images = this.images.filter(image => image.id !== id);
+        
+        if (this.selectedId === id) {
+            const next = this.images.find(image => image.result);
+            this.selectedId = next ? next.id : null;
+        }
+        
+        this.renderImageList();
+        this.updateProcessButton();
+        this.showResults(false);
+    }
+    
+    revokeEntry(entry) {
+        URL.revokeObjectURL(entry.url);
+        if (entry.result) URL.revokeObjectURL(entry.result.url);
+    }
+    
+    updateProcessButton() {
+        const processBtn = document.getElementById('processImageBtn');
+        if (processBtn) processBtn.disabled = this.images.length === 0;
+    }
+    
     async processImages() {
         if (this.images.length === 0) {
             FileOptimizer.showNotification('Please select an image', 'error');
             return;
         }
         
-        FileOptimizer.showLoading('Processing image...');
+        const total = this.images.length;
+        let completed = 0;
+        let failed = 0;
+        let missedTarget = 0;
         
-        try {
-            const imageFile = this.images[0];
-            const quality = this.currentSettings.quality / 100;
-            const maxWidth = this.currentSettings.maxWidth;
-            const maxHeight = this.currentSettings.maxHeight;
-            
-            // Compress image
-            const compressedDataUrl = await FileOptimizer.compressImage(
-                imageFile, 
-                quality, 
-                maxWidth, 
-                maxHeight
-            );
-            
-            // Convert to blob
-            const blob = this.dataURLToBlob(compressedDataUrl);
-            
-            this.resizedImages = [{
-                name: this.generateFilename(imageFile.name),
-                size: blob.size,
-                dataUrl: compressedDataUrl,
-                blob: blob,
-                original: imageFile
-            }];
-            
-            // Show results
-            this.showResults();
-            
-            FileOptimizer.hideLoading();
-            FileOptimizer.showNotification('Image processed successfully', 'success');
+        FileOptimizer.showLoading(total > 1 ? `Processing ${total} images...` : 'Processing image...');
+        
+        // Images are processed in parallel by the ImagePipeline worker pool
+        await Promise.all(this.images.map(async (entry) => {
+            try {
+                await this.processImage(entry);
+                if (entry.result.targetSize && !entry.result.fits) missedTarget++;
+            } catch (error) {
+                console.error(`Failed to process ${entry.file.name}:`, error);
+                entry.error = 'Failed to process image';
+                failed++;
+            }
             
-        } catch (error) {
-            FileOptimizer.hideLoading();
-            console.error('Processing error:', error);
+            completed++;
+            if (total > 1) FileOptimizer.showLoading(`Processed ${completed} of ${total} images...`);
+        }));
+        
+        FileOptimizer.hideLoading();
+        
+        if (!this.getImage(this.selectedId) || !this.getImage(this.selectedId).result) {
+            const first = this.images.find(entry => entry.result);
+            this.selectedId = first ? first.id : null;
+        }
+        
+        this.renderImageList();
+        this.showResults();
+        
+        if (failed === total) {
             FileOptimizer.showNotification('Failed to process image', 'error');
+        } else if (failed > 0) {
+            FileOptimizer.showNotification(`Processed ${total - failed} of ${total} images - ${failed} failed`, 'warning');
+        } else if (missedTarget > 0) {
+            FileOptimizer.showNotification(`${missedTarget} image(s) could not reach the target size`, 'warning');
+        } else {
+            FileOptimizer.showNotification(
+                total > 1 ? `${total} images processed successfully` : 'Image processed successfully',
+                'success'
+            );
         }
     }
     
-    dataURLToBlob(dataUrl) {
-        const arr = dataUrl.split(',');
-        const mime = arr[0].match(/:(.*?);/)[1];
-        const bstr = atob(arr[1]);
-        let n = bstr.length;
-        const u8arr = new Uint8Array(n);
+    async processImage(entry) {
+        const settings = this.getEffectiveSettings(entry);
+        const targetSize = settings.targetSize ? settings.targetSize * 1024 : null;
         
-        while (n--) {
-            u8arr[n] = bstr.charCodeAt(n);
+        if (settings.svgMode === 'minify' && SvgTools.isSvg(entry.file)) {
+            return this.minifySvg(entry, settings);
         }
         
-        return new Blob([u8arr], { type: mime });
+        // Compress image (searches quality/dimensions when a target size is set)
+        const result = await FileOptimizer.optimizeImage(entry.file, {
+            quality: settings.quality / 100,
+            maxWidth: settings.maxWidth,
+            maxHeight: settings.maxHeight,
+            resize: FileOptimizer.buildResize(settings),
+            dpi: settings.dpi,
+            targetSize,
+            format: settings.format,
+            preserveMetadata: settings.preserveMetadata,
+            resample: settings.resample,
+            sharpen: settings.sharpen / 100,
+            edits: entry.edits,
+            animation: FileOptimizer.buildAnimation(settings),
+            svgScale: settings.svgScale
+        });
+        
+        if (entry.result) URL.revokeObjectURL(entry.result.url);
+        entry.error = null;
+        entry.result = {
+            name: this.generateFilename(entry.file.name, result.extension),
+            size: result.size,
+            url: URL.createObjectURL(result.blob),
+            blob: result.blob,
+            width: result.width,
+            height: result.height,
+            quality: result.quality,
+            format: result.format,
+            mimeType: result.mimeType,
+            targetSize: targetSize,
+            fits: result.fits,
+            dpi: result.dpi,
+            metadata: result.metadata,
+            frames: result.frames || null, // animated GIF/WebP
+            colors: result.colors || null // GIF palette size
+        };
+        
+        return entry.result;
+    }
+    
+    // Keep an SVG as a vector, with its source minified
+    async minifySvg(entry, settings) {
+        const minified = SvgTools.minify(await entry.file.text(), { precision: settings.svgPrecision });
+        const blob = new Blob([minified.text], { type: 'image/svg+xml' });
+        
+        if (entry.result) URL.revokeObjectURL(entry.result.url);
+        entry.error = null;
+        entry.result = {
+            name: this.generateFilename(entry.file.name, 'svg'),
+            size: blob.size,
+            url: URL.createObjectURL(blob),
+            blob: blob,
+            width: entry.width,
+            height: entry.height,
+            quality: null,
+            format: 'svg',
+            mimeType: 'image/svg+xml',
+            targetSize: null,
+            fits: true,
+            dpi: null,
+            metadata: null,
+            frames: null,
+            colors: null,
+            saved: minified.saved // bytes
+        };
+        
+        return entry.result;
+    }
+    
+    // Re-encode the image in the viewer shortly after the quality slider stops moving
+    scheduleQualityPreview() {
+        const entry = this.getImage(this.selectedId);
+        if (!entry || !entry.result || entry.overrides.quality) return;
+        
+        clearTimeout(this.qualityPreviewTimer);
+        this.qualityPreviewTimer = setTimeout(async () => {
+            try {
+                await this.processImage(entry);
+            } catch (error) {
+                console.error(`Failed to process ${entry.file.name}:`, error);
+                return;
+            }
+            
+            // Ignore if the image was removed or deselected meanwhile
+            if (this.getImage(entry.id) !== entry) return;
+            this.renderImageList();
+            this.showResults(false);
+        }, 300);
     }
     
-    generateFilename(originalName) {
-        const ext = this.currentSettings.format === 'jpeg' ? 'jpg' : this.currentSettings.format;
+    generateFilename(originalName, ext) {
         const name = originalName.replace(/\.[^/.]+$/, "");
         return `optimized-${name}.${ext}`;
     }
     
-    showResults() {
+    selectImage(id) {
+        this.selectedId = id;
+        this.showResults();
+    }
+    
+    showResults(scroll = true) {
         const resultSection = document.getElementById('resultsSection');
+        if (!resultSection) return;
+        
+        const processed = this.images.filter(entry => entry.result);
+        if (processed.length === 0) {
+            resultSection.style.display = 'none';
+            return;
+        }
+        
+        resultSection.style.display = 'block';
+        this.renderResultsList(processed);
+        
+        const selected = this.getImage(this.selectedId);
+        if (selected && selected.result) {
+            this.showComparison(selected);
+        }
+        
+        const downloadAllBtn = document.getElementById('downloadAllImagesBtn');
+        if (downloadAllBtn) downloadAllBtn.disabled = false;
+        
+        // Scroll to results
+        if (scroll) resultSection.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    renderResultsList(processed) {
+        const resultsList = document.getElementById('resultsList');
+        if (!resultsList) return;
+        
+        resultsList.innerHTML = '';
+        resultsList.style.display = processed.length > 1 ? '' : 'none';
+        
+        processed.forEach(entry => {
+            const result = entry.result;
+            const reduction = ((entry.file.size - result.size) / entry.file.size * 100).toFixed(1);
+            
+            const item = document.createElement('div');
+            item.className = 'result-list-item';
+            item.classList.toggle('active', entry.id === this.selectedId);
+            item.innerHTML = `
+                <img src="${result.url}" alt="${result.name}">
+                <div class="file-details">
+                    <div class="file-name" title="${result.name}">${result.name}</div>
+                    <div class="file-size">
+                        ${FileOptimizer.formatFileSize(entry.file.size)} → ${FileOptimizer.formatFileSize(result.size)}
+                        <span class="reduction">(${reduction}%)</span>
+                    </div>
+                </div>
+                <button class="btn small success" title="Download">
+                    <i class="fas fa-download"></i>
+                </button>
+            `;
+            
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('button')) {
+                    this.downloadImage(entry);
+                } else {
+                    this.selectImage(entry.id);
+                }
+            });
+            
+            resultsList.appendChild(item);
+        });
+    }
+    
+    showComparison(entry) {
         const originalSize = document.getElementById('originalSize');
         const originalDimensions = document.getElementById('originalDimensions');
         const compressedSize = document.getElementById('compressedSize');
         const compressedDimensions = document.getElementById('compressedDimensions');
         const reductionPercent = document.getElementById('reductionPercent');
-        const compressedImage = document.getElementById('compressedImage');
+        const compressionStats = document.getElementById('compressionStats');
         const downloadBtn = document.getElementById('downloadImageBtn');
         
-        if (!resultSection || !this.resizedImages[0]) return;
+        const original = entry.file;
+        const compressed = entry.result;
         
-        const original = this.images[0];
-        const compressed = this.resizedImages[0];
-        
-        // Show result section
-        resultSection.style.display = 'block';
+        // Before/after viewer
+        if (this.comparisonViewer) {
+            this.getComparisonSource(entry)
+                .then(source => this.comparisonViewer.load(source, compressed.blob))
+                .catch(error => {
+                    console.error('Comparison error:', error);
+                });
+        }
         
         // Update original info
         if (originalSize) {
             originalSize.textContent = FileOptimizer.formatFileSize(original.size);
         }
         
+        if (originalDimensions && entry.width) {
+            originalDimensions.textContent = `${entry.width} × ${entry.height}`;
+        }
+        
         // Update compressed info
         if (compressedSize) {
             compressedSize.textContent = FileOptimizer.formatFileSize(compressed.size);
         }
         
+        if (compressedDimensions) {
+            compressedDimensions.textContent = `${compressed.width} × ${compressed.height}`;
+        }
+        
         // Calculate reduction
         const reduction = ((original.size - compressed.size) / original.size * 100).toFixed(1);
         if (reductionPercent) {
             reductionPercent.textContent = `${reduction}% reduction`;
         }
         
-        // Show compressed image
-        if (compressedImage) {
-            compressedImage.src = compressed.dataUrl;
+        // Show the quality/size that was picked
+        if (compressionStats) {
+            const outputFormat = FileOptimizer.outputFormats[compressed.format];
+            const qualityUsed = compressed.format === 'svg'
+                ? `Vector, ${this.getEffectiveSettings(entry).svgPrecision} decimal places`
+                : compressed.colors
+                    ? `${compressed.colors} colours`
+                    : outputFormat && outputFormat.lossless ? 'Lossless' : `${Math.round(compressed.quality * 100)}%`;
+            let stats = `<p><i class="fas fa-file-export"></i> Format: ${compressed.format.toUpperCase()}</p>`;
+            stats += `<p><i class="fas fa-tachometer-alt"></i> Quality used: ${qualityUsed}</p>`;
+            if (compressed.frames) {
+                stats += `<p><i class="fas fa-film"></i> Frames: ${compressed.frames}</p>`;
+            }
+            if (compressed.format === 'svg') {
+                stats += `<p><i class="fas fa-compress-alt"></i> Saved: ${compressed.saved.toLocaleString()} bytes (comments, metadata, editor data and rounding)</p>`;
+            }
+            if (compressed.dpi) {
+                stats += `<p><i class="fas fa-print"></i> Resolution: ${compressed.dpi} DPI</p>`;
+            }
+            if (compressed.targetSize) {
+                stats += `<p><i class="fas fa-bullseye"></i> Target: ${FileOptimizer.formatFileSize(compressed.targetSize)} - ${compressed.fits ? 'reached' : 'not reachable'}</p>`;
+            }
+            if (compressed.metadata) {
+                const metadataNote = compressed.metadata.preserved
+                    ? 'EXIF/XMP kept'
+                    : `stripped${compressed.metadata.hasGps ? ' (incl. GPS location)' : ''}`;
+                stats += `<p><i class="fas fa-info-circle"></i> Metadata: ${metadataNote}</p>`;
+            }
+            compressionStats.innerHTML = stats;
         }
         
         // Enable download button
         if (downloadBtn) {
             downloadBtn.disabled = false;
         }
+    }
+    
+    // The original as the viewer should show it: cropped/rotated like the output
+    async getComparisonSource(entry) {
+        if (!ImageProcessing.hasEdits(entry.edits)) return entry.file;
         
-        // Scroll to results
-        resultSection.scrollIntoView({ behavior: 'smooth' });
+        if (!entry.comparisonSource) {
+            const img = await FileOptimizer.loadImage(entry.file);
+            const size = ImageProcessing.editedSize(img.width, img.height, 1, entry.edits);
+            entry.comparisonSource = ImageProcessing.drawOriented(img, size.width, size.height, 1, true, entry.edits);
+        }
+        return entry.comparisonSource;
     }
     
-    downloadImage() {
-        if (this.resizedImages.length === 0) return;
+    downloadImage(entry = this.getImage(this.selectedId)) {
+        if (!entry || !entry.result) return;
         
-        const image = this.resizedImages[0];
-        const url = image.dataUrl;
+        const image = entry.result;
         const a = document.createElement('a');
-        a.href = url;
+        a.href = image.url;
         a.download = image.name;
         document.body.appendChild(a);
         a.click();
@@ -277,31 +869,71 @@ class ImageResizer {
         FileOptimizer.showNotification('Download started', 'success');
     }
     
+    async downloadAll() {
+        const processed = this.images.filter(entry => entry.result);
+        if (processed.length === 0) return;
+        
+        if (processed.length === 1) {
+            this.downloadImage(processed[0]);
+            return;
+        }
+        
+        // Fall back to individual downloads without JSZip
+        if (typeof JSZip === 'undefined') {
+            processed.forEach((entry, index) => {
+                setTimeout(() => this.downloadImage(entry), index * 100); // Stagger downloads
+            });
+            return;
+        }
+        
+        FileOptimizer.showLoading('Creating ZIP file...');
+        
+        try {
+            const zip = new JSZip();
+            processed.forEach(entry => zip.file(entry.result.name, entry.result.blob));
+            
+            const zipBlob = await zip.generateAsync({ type: 'blob' });
+            FileOptimizer.downloadFile(zipBlob, 'optimized-images.zip');
+            
+            FileOptimizer.hideLoading();
+            FileOptimizer.showNotification('ZIP download started', 'success');
+        } catch (error) {
+            FileOptimizer.hideLoading();
+            console.error('ZIP creation error:', error);
+            FileOptimizer.showNotification('Failed to create ZIP file', 'error');
+        }
+    }
+    
     reset() {
+        this.images.forEach(entry => this.revokeEntry(entry));
         this.images = [];
-        this.resizedImages = [];
+        this.selectedId = null;
         
         // Hide preview and results
-        const preview = document.getElementById('imagePreview');
         const resultSection = document.getElementById('resultsSection');
-        const processBtn = document.getElementById('processImageBtn');
         const downloadBtn = document.getElementById('downloadImageBtn');
+        const downloadAllBtn = document.getElementById('downloadAllImagesBtn');
         
-        if (preview) {
-            preview.src = '';
-            preview.style.display = 'none';
-        }
+        this.renderImageList();
+        this.updateProcessButton();
         
         if (resultSection) {
             resultSection.style.display = 'none';
         }
         
-        if (processBtn) processBtn.disabled = true;
+        clearTimeout(this.qualityPreviewTimer);
+        if (this.comparisonViewer) this.comparisonViewer.clear();
+        if (this.imageEditor) this.imageEditor.close();
+        if (this.palettePanel) this.palettePanel.close();
+        
+        const compressionStats = document.getElementById('compressionStats');
+        if (compressionStats) compressionStats.innerHTML = '';
+        
         if (downloadBtn) downloadBtn.disabled = true;
+        if (downloadAllBtn) downloadAllBtn.disabled = true;
         
         // Reset info displays
         const infoElements = [
-            'previewSize', 'previewDimensions', 'previewFormat',
             'originalSize', 'originalDimensions',
             'compressedSize', 'compressedDimensions', 'reductionPercent'
         ];
@@ -314,26 +946,88 @@ class ImageResizer {
         // Reset settings
         this.currentSettings = {
             quality: 80,
-            maxWidth: null,
+            resizeMode: 'fit', // fit, percent, longEdge, physical, exact
+            maxWidth: null, // px, or print size in printUnit
             maxHeight: null,
+            percent: 50,
+            longEdge: 2048, // px
+            printUnit: 'cm',
+            padColor: '#ffffff', // or 'transparent'
+            dpi: null,
+            targetSize: null, // KB
             format: 'jpeg',
-            maintainAspect: true
+            maintainAspect: true,
+            preserveMetadata: false,
+            resample: 'browser',
+            sharpen: 0, // %
+            keepAnimation: true,
+            animationFrameStep: 1,
+            animationColors: 256,
+            animationFormat: 'auto',
+            svgMode: 'rasterize',
+            svgScale: 1,
+            svgPrecision: 3
         };
         
         // Reset UI
         const qualitySlider = document.getElementById('qualitySlider');
         const qualityValue = document.getElementById('qualityValue');
+        const resizeMode = document.getElementById('resizeMode');
         const widthInput = document.getElementById('widthInput');
         const heightInput = document.getElementById('heightInput');
+        const percentInput = document.getElementById('resizePercent');
+        const longEdgeInput = document.getElementById('longEdgeInput');
+        const printUnit = document.getElementById('printUnit');
+        const padColor = document.getElementById('padColor');
+        const padTransparent = document.getElementById('padTransparent');
+        const dpiInput = document.getElementById('dpiInput');
+        const sizeTarget = document.getElementById('sizeTarget');
         const formatSelect = document.getElementById('formatSelect');
+        const resampleSelect = document.getElementById('resampleSelect');
+        const sharpenSlider = document.getElementById('sharpenSlider');
+        const sharpenValue = document.getElementById('sharpenValue');
         const aspectCheckbox = document.getElementById('maintainAspect');
+        const metadataCheckbox = document.getElementById('preserveMetadata');
+        const keepAnimation = document.getElementById('keepAnimation');
+        const animationFrames = document.getElementById('animationFrames');
+        const animationColors = document.getElementById('animationColors');
+        const animationFormat = document.getElementById('animationFormat');
+        const svgMode = document.getElementById('svgMode');
+        const svgScale = document.getElementById('svgScale');
+        const svgPrecision = document.getElementById('svgPrecision');
+        const fileInput = document.getElementById('imageFileInput');
         
         if (qualitySlider) qualitySlider.value = 80;
         if (qualityValue) qualityValue.textContent = '80%';
+        if (resizeMode) resizeMode.value = 'fit';
         if (widthInput) widthInput.value = '';
         if (heightInput) heightInput.value = '';
+        if (percentInput) percentInput.value = 50;
+        if (longEdgeInput) longEdgeInput.value = 2048;
+        if (printUnit) printUnit.value = 'cm';
+        if (padColor) {
+            padColor.value = '#ffffff';
+            padColor.disabled = false;
+        }
+        if (padTransparent) padTransparent.checked = false;
+        if (dpiInput) dpiInput.value = '';
+        this.updateResizeFields();
+        if (sizeTarget) sizeTarget.value = '';
         if (formatSelect) formatSelect.value = 'jpeg';
+        if (resampleSelect) resampleSelect.value = 'browser';
+        if (sharpenSlider) sharpenSlider.value = 0;
+        if (sharpenValue) sharpenValue.textContent = 'Off';
         if (aspectCheckbox) aspectCheckbox.checked = true;
+        if (metadataCheckbox) metadataCheckbox.checked = false;
+        if (keepAnimation) keepAnimation.checked = true;
+        if (animationFrames) animationFrames.value = 1;
+        if (animationColors) animationColors.value = 256;
+        if (animationFormat) animationFormat.value = 'auto';
+        if (svgMode) svgMode.value = 'rasterize';
+        if (svgScale) svgScale.value = 1;
+        if (svgPrecision) svgPrecision.value = 3;
+        this.updateSvgFields();
+        if (fileInput) fileInput.value = '';
         
         FileOptimizer.showNotification('Reset complete', 'info');
     }
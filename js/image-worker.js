@@ -0,0 +1,14 @@
+// image-worker.js - Decodes, resizes and encodes images off the main thread
+importScripts('jpeg-metadata.js', 'resampling.js', 'image-density.js', 'recipe.js', 'image-processing.js',
+    'color-quantizer.js', 'animated-image.js');
+
+self.onmessage = async (e) => {
+    const { id, file, options } = e.data;
+    
+    try {
+        const result = await ImageProcessing.processFile(file, options);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || 'Failed to process image' });
+    }
+};
@@ -0,0 +1,220 @@
+// jpeg-metadata.js - Reads and writes JPEG metadata segments (EXIF, ICC, XMP)
+const JpegMetadata = {
+    // Tags we surface from IFD0 / the EXIF sub-IFD
+    tagNames: {
+        0x010F: 'Make',
+        0x0110: 'Model',
+        0x0112: 'Orientation',
+        0x0131: 'Software',
+        0x0132: 'DateTime',
+        0x013B: 'Artist',
+        0x8298: 'Copyright',
+        0x9003: 'DateTimeOriginal',
+        0x9004: 'DateTimeDigitized'
+    },
+    
+    exifPointerTag: 0x8769,
+    gpsPointerTag: 0x8825,
+    
+    isJpeg(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+        return bytes[0] === 0xFF && bytes[1] === 0xD8;
+    },
+    
+    // List the segments before the image data (start of scan)
+    readSegments(buffer) {
+        const view = new DataView(buffer);
+        const segments = [];
+        let offset = 2;
+        
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) break;
+            
+            const marker = view.getUint8(offset + 1);
+            
+            // Fill bytes and standalone markers carry no length
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += 2;
+                continue;
+            }
+            if (marker === 0xDA || marker === 0xD9) break;
+            
+            const length = view.getUint16(offset + 2);
+            segments.push({ marker, start: offset, end: offset + 2 + length, dataStart: offset + 4 });
+            offset += 2 + length;
+        }
+        
+        return segments;
+    },
+    
+    // Check whether a segment's payload starts with an identifier string
+    hasSignature(buffer, segment, signature) {
+        if (Math.min(segment.end, buffer.byteLength) - segment.dataStart < signature.length) return false;
+        const bytes = new Uint8Array(buffer, segment.dataStart, signature.length);
+        for (let i = 0; i < signature.length; i++) {
+            if (bytes[i] !== signature.charCodeAt(i)) return false;
+        }
+        return true;
+    },
+    
+    // Read EXIF/ICC/XMP segments and the tags we care about
+    read(buffer) {
+        if (!this.isJpeg(buffer)) return null;
+        
+        const metadata = {
+            orientation: 1,
+            orientationOffset: null,
+            littleEndian: false,
+            hasGps: false,
+            tags: {},
+            exif: null,
+            icc: [],
+            xmp: []
+        };
+        
+        this.readSegments(buffer).forEach(segment => {
+            if (segment.marker === 0xE1 && this.hasSignature(buffer, segment, 'Exif\0\0')) {
+                if (!metadata.exif) {
+                    metadata.exif = segment;
+                    this.readExif(buffer, segment, metadata);
+                }
+            } else if (segment.marker === 0xE1 && this.hasSignature(buffer, segment, 'http://ns.adobe.com/')) {
+                metadata.xmp.push(segment);
+            } else if (segment.marker === 0xE2 && this.hasSignature(buffer, segment, 'ICC_PROFILE\0')) {
+                metadata.icc.push(segment);
+            }
+        });
+        
+        return metadata;
+    },
+    
+    // Malformed EXIF reads as no tags: truncated files stop at the end of the buffer,
+    // and an IFD is read once however many pointers lead back to it
+    readExif(buffer, segment, metadata) {
+        const view = new DataView(buffer);
+        const end = Math.min(segment.end, buffer.byteLength);
+        const tiffStart = segment.dataStart + 6;
+        if (tiffStart + 8 > end) return;
+        
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        metadata.littleEndian = littleEndian;
+        const visited = new Set();
+        
+        const readIfd = (ifdOffset) => {
+            const start = tiffStart + ifdOffset;
+            if (start + 2 > end || visited.has(start)) return;
+            visited.add(start);
+            
+            const count = view.getUint16(start, littleEndian);
+            for (let i = 0; i < count; i++) {
+                const entry = start + 2 + i * 12;
+                if (entry + 12 > end) return;
+                
+                const tag = view.getUint16(entry, littleEndian);
+                const type = view.getUint16(entry + 2, littleEndian);
+                const valueCount = view.getUint32(entry + 4, littleEndian);
+                
+                if (tag === 0x0112) {
+                    metadata.orientation = view.getUint16(entry + 8, littleEndian);
+                    metadata.orientationOffset = entry + 8;
+                } else if (tag === this.exifPointerTag) {
+                    readIfd(view.getUint32(entry + 8, littleEndian));
+                } else if (tag === this.gpsPointerTag) {
+                    metadata.hasGps = true;
+                }
+                
+                // ASCII values: inline when 4 bytes or less, otherwise at an offset
+                if (this.tagNames[tag] && type === 2) {
+                    const valueStart = valueCount > 4
+                        ? tiffStart + view.getUint32(entry + 8, littleEndian)
+                        : entry + 8;
+                    if (valueStart + valueCount <= end) {
+                        const bytes = new Uint8Array(buffer, valueStart, valueCount);
+                        metadata.tags[this.tagNames[tag]] = String.fromCharCode(...bytes).replace(/\0+$/, '').trim();
+                    }
+                }
+            }
+        };
+        
+        readIfd(view.getUint32(tiffStart + 4, littleEndian));
+        metadata.tags.Orientation = metadata.orientation;
+    },
+    
+    // Copy of the file with the orientation tag rewritten (pixels are untouched)
+    withOrientation(buffer, metadata, orientation = 1) {
+        const bytes = new Uint8Array(buffer.slice(0));
+        if (metadata.orientationOffset !== null) {
+            new DataView(bytes.buffer).setUint16(metadata.orientationOffset, orientation, metadata.littleEndian);
+        }
+        return bytes;
+    },
+    
+    // Raw bytes (marker + length + payload) of the segments to copy into the output
+    // oriented: the pixels were turned upright, so EXIF orientation is reset to 1; otherwise
+    // (recipes without autoOrient) they are in stored order and keep the original tag
+    collectSegments(buffer, metadata, { exif = true, icc = true, xmp = true, oriented = true } = {}) {
+        const segments = [];
+        
+        if (exif && metadata.exif) {
+            const bytes = new Uint8Array(buffer.slice(metadata.exif.start, metadata.exif.end));
+            if (oriented && metadata.orientationOffset !== null) {
+                new DataView(bytes.buffer).setUint16(
+                    metadata.orientationOffset - metadata.exif.start, 1, metadata.littleEndian
+                );
+            }
+            segments.push(bytes);
+        }
+        if (icc) {
+            metadata.icc.forEach(segment => segments.push(new Uint8Array(buffer.slice(segment.start, segment.end))));
+        }
+        if (xmp) {
+            metadata.xmp.forEach(segment => segments.push(new Uint8Array(buffer.slice(segment.start, segment.end))));
+        }
+        
+        return segments;
+    },
+    
+    // Insert segments into an encoded JPEG, after its JFIF header
+    async insertSegments(blob, segments) {
+        if (segments.length === 0) return blob;
+        
+        const buffer = await blob.arrayBuffer();
+        if (!this.isJpeg(buffer)) return blob;
+        
+        // Drop any EXIF/ICC the encoder wrote so the copied ones don't conflict
+        const existing = this.read(buffer);
+        const dropped = [existing.exif, ...existing.icc].filter(Boolean);
+        
+        let insertAt = 2;
+        const app0 = this.readSegments(buffer).find(segment => segment.marker === 0xE0);
+        if (app0 && app0.start === 2) insertAt = app0.end;
+        
+        const parts = [new Uint8Array(buffer, 0, insertAt), ...segments];
+        let offset = insertAt;
+        dropped.sort((a, b) => a.start - b.start).forEach(segment => {
+            if (segment.start >= offset) {
+                parts.push(new Uint8Array(buffer, offset, segment.start - offset));
+                offset = segment.end;
+            }
+        });
+        parts.push(new Uint8Array(buffer, offset));
+        
+        return new Blob(parts, { type: 'image/jpeg' });
+    },
+    
+    // Total bytes the segments will add to the output
+    segmentsSize(segments) {
+        return segments.reduce((sum, segment) => sum + segment.byteLength, 0);
+    }
+};
+
+// Make available to pages, workers and the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JpegMetadata;
+} else {
+    self.JpegMetadata = JpegMetadata;
+}
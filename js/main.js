@@ -38,9 +38,10 @@ const FileOptimizer = {
         
         notification.innerHTML = `
             <i class="fas fa-${icons[type] || 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="notification-close"><i class="fas fa-times"></i></button>
         `;
+        notification.querySelector('span').textContent = message;
         
         document.body.appendChild(notification);
         
@@ -58,6 +59,17 @@ const FileOptimizer = {
         }, 5000);
     },
     
+    // Text made safe to put in innerHTML; file and folder names can come from uploaded archives
+    escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    
     // Format file size
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
@@ -74,7 +86,8 @@ const FileOptimizer = {
             // Images
             'jpg': 'file-image', 'jpeg': 'file-image', 'png': 'file-image',
             'gif': 'file-image', 'webp': 'file-image', 'bmp': 'file-image',
-            'svg': 'file-image',
+            'svg': 'file-image', 'heic': 'file-image', 'heif': 'file-image',
+            'avif': 'file-image', 'tif': 'file-image', 'tiff': 'file-image',
             // Documents
             'pdf': 'file-pdf',
             'doc': 'file-word', 'docx': 'file-word',
@@ -113,7 +126,8 @@ const FileOptimizer = {
         const allowedTypes = [
             // Images
             'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 
-            'image/webp', 'image/bmp', 'image/svg+xml',
+            'image/webp', 'image/bmp', 'image/x-ms-bmp', 'image/svg+xml',
+            'image/heic', 'image/heif', 'image/avif', 'image/tiff',
             // Documents
             'application/pdf',
             'application/msword',
@@ -133,9 +147,10 @@ const FileOptimizer = {
         ];
         
         const allowedExtensions = [
-            'jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg',
+            'jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'dib', 'svg',
+            'heic', 'heif', 'avif', 'tif', 'tiff',
             'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'rtf',
-            'zip', 'rar', '7z', 'tar', 'gz'
+            'zip', 'rar', '7z', 'tar', 'gz', 'tgz'
         ];
         
         // Check file type
@@ -174,40 +189,245 @@ const FileOptimizer = {
         });
     },
     
-    // Compress image
-    async compressImage(file, quality = 0.8, maxWidth = null, maxHeight = null) {
+    // Load a file into an image element
+    loadImage(file) {
         return new Promise((resolve, reject) => {
             const img = new Image();
+            const url = URL.createObjectURL(file);
             img.onload = () => {
-                // Create canvas
-                const canvas = document.createElement('canvas');
-                let width = img.width;
-                let height = img.height;
-                
-                // Resize if needed
-                if (maxWidth && width > maxWidth) {
-                    height = Math.round(height * maxWidth / width);
-                    width = maxWidth;
-                }
-                if (maxHeight && height > maxHeight) {
-                    width = Math.round(width * maxHeight / height);
-                    height = maxHeight;
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                // Draw and compress
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-                
-                // Get compressed data URL
-                const dataUrl = canvas.toDataURL('image/jpeg', quality);
-                resolve(dataUrl);
+                URL.revokeObjectURL(url);
+                resolve(img);
             };
-            img.onerror = reject;
-            img.src = URL.createObjectURL(file);
+            img.onerror = (e) => {
+                URL.revokeObjectURL(url);
+                reject(e);
+            };
+            img.src = url;
+        });
+    },
+    
+    // Output formats the canvas encoder can produce
+    outputFormats: {
+        jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossless: false, alpha: false },
+        webp: { mimeType: 'image/webp', extension: 'webp', lossless: false, alpha: true },
+        png: { mimeType: 'image/png', extension: 'png', lossless: true, alpha: true },
+        avif: { mimeType: 'image/avif', extension: 'avif', lossless: false, alpha: true }
+    },
+    
+    encoderSupport: {},
+    
+    // Check whether the browser can encode a MIME type (unsupported types fall back to PNG)
+    supportsEncoding(mimeType) {
+        if (!(mimeType in this.encoderSupport)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            this.encoderSupport[mimeType] = canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+        }
+        return this.encoderSupport[mimeType];
+    },
+    
+    // Resolve a format setting ('jpeg', 'webp', 'png', 'avif', 'original') for a file
+    resolveOutputFormat(format, file) {
+        if (format === 'original') {
+            const originalType = file.type === 'image/jpg' ? 'image/jpeg' : file.type;
+            const match = Object.keys(this.outputFormats)
+                .find(key => this.outputFormats[key].mimeType === originalType);
+            
+            // GIF, BMP, SVG etc. can't be encoded by canvas - PNG keeps their transparency
+            format = match || 'png';
+        }
+        
+        let key = this.outputFormats[format] ? format : 'jpeg';
+        if (!this.supportsEncoding(this.outputFormats[key].mimeType)) {
+            key = this.outputFormats[key].alpha ? 'png' : 'jpeg';
+        }
+        
+        return { format: key, ...this.outputFormats[key] };
+    },
+    
+    // Output for an animated GIF/WebP: GIFs stay GIF unless WebP is asked for,
+    // either as the format setting or as the animation format ('auto', 'gif' or 'webp')
+    resolveAnimatedFormat(kind, format, preferred = 'auto') {
+        let key = preferred === 'gif' || preferred === 'webp'
+            ? preferred
+            : format === 'webp' || kind === 'webp' ? 'webp' : 'gif';
+        if (key === 'webp' && !this.supportsEncoding('image/webp')) key = 'gif';
+        
+        return { format: key, ...AnimatedImage.outputFormats[key], lossless: false, alpha: true };
+    },
+    
+    // Optimize image and report the settings that were used
+    // Decoding, resizing and encoding run in the ImagePipeline worker pool
+    async optimizeImage(file, options = {}) {
+        const {
+            quality = 0.8,
+            maxWidth = null,
+            maxHeight = null,
+            targetSize = null, // bytes
+            format = 'jpeg',
+            preserveMetadata = false,
+            resample = 'browser', // see Resampling.methods
+            sharpen = 0, // 0-1
+            edits = null, // crop/rotate/flip, see ImageProcessing.hasEdits
+            resize = null, // resize mode from buildResize; null = maxWidth/maxHeight
+            dpi = null,
+            recipe = null, // runs instead of the resize options, see Recipe
+            animation = {}, // from buildAnimation; recipes always flatten animations to one frame
+            svgScale = 1 // SVGs are drawn at their own size times this before resizing
+        } = options;
+        const kind = animation.keep !== false && !recipe ? await AnimatedImage.detect(file) : null;
+        const output = kind
+            ? this.resolveAnimatedFormat(kind, format, animation.format)
+            : this.resolveOutputFormat(format, file);
+        
+        // SVGs are drawn straight at the output size rather than scaled up from their own size
+        let input = file;
+        let sizing = { maxWidth, maxHeight, resize };
+        if (SvgTools.isSvg(file)) {
+            ({ file: input, ...sizing } = await SvgTools.prepareForResize(file, recipe
+                ? { scale: svgScale }
+                : { maxWidth, maxHeight, resize, dpi, scale: svgScale }));
+        }
+        
+        const result = await ImagePipeline.shared().process(input, {
+            quality,
+            maxWidth: sizing.maxWidth,
+            maxHeight: sizing.maxHeight,
+            targetSize,
+            preserveMetadata,
+            resample,
+            sharpen,
+            edits,
+            resize: sizing.resize,
+            dpi,
+            recipe,
+            animation: kind ? { kind, format: output.format, colors: animation.colors, frameStep: animation.frameStep } : null,
+            output: { mimeType: output.mimeType, lossless: output.lossless, alpha: output.alpha }
         });
+        
+        return {
+            ...result,
+            format: output.format,
+            mimeType: output.mimeType,
+            extension: output.extension
+        };
+    },
+    
+    // Resize spec for ImageProcessing.resolveSize from a tool's settings
+    // maxWidth/maxHeight are max pixels, print size or exact pixels depending on the mode
+    buildResize(settings) {
+        switch (settings.resizeMode) {
+            case 'percent':
+                return { mode: 'percent', percent: settings.percent };
+            case 'longEdge':
+                return { mode: 'longEdge', longEdge: settings.longEdge };
+            case 'physical':
+                return { mode: 'physical', width: settings.maxWidth, height: settings.maxHeight, unit: settings.printUnit };
+            case 'exact':
+                return { mode: 'exact', width: settings.maxWidth, height: settings.maxHeight, background: settings.padColor };
+            default:
+                return null;
+        }
+    },
+    
+    // Animation options for optimizeImage from a tool's settings
+    buildAnimation(settings) {
+        return {
+            keep: settings.keepAnimation,
+            frameStep: settings.animationFrameStep,
+            colors: settings.animationColors,
+            format: settings.animationFormat
+        };
+    },
+    
+    // Show the inputs used by a resize mode (elements list their modes in data-resize-modes)
+    updateResizeFields(container, mode, unit = 'cm') {
+        container.querySelectorAll('[data-resize-modes]').forEach(element => {
+            element.style.display = element.dataset.resizeModes.split(' ').includes(mode) ? '' : 'none';
+        });
+        container.querySelectorAll('.resize-unit').forEach(element => {
+            element.textContent = mode === 'physical' ? unit : 'px';
+        });
+        container.querySelectorAll('.resize-size-label').forEach(element => {
+            element.textContent = mode === 'fit' ? 'Max ' : '';
+        });
+    },
+    
+    // Compress image (pass options.targetSize in bytes to search for a fitting quality)
+    // Animated GIF/WebP keep their frames unless options.animation.keep is false
+    async compressImage(file, quality = 0.8, maxWidth = null, maxHeight = null, options = {}) {
+        const result = await this.optimizeImage(file, { ...options, quality, maxWidth, maxHeight });
+        return this.readFileAsDataURL(result.blob);
+    },
+    
+    // The same image at several widths in each format (in order of preference), for srcset and <picture>
+    // Every variant is compressed like compressImage; widths wider than the image are left out so nothing
+    // is scaled up, and the image's own width stands in when it is narrower than all of them
+    // Resolves with { originalWidth, originalHeight, formats, variants: [{ width, height, format, mimeType, extension, blob, size, quality }] }
+    async createResponsiveSet(file, widths, formats, options = {}) {
+        const descending = [...new Set(widths)].sort((a, b) => b - a);
+        const supported = formats.filter(format => this.outputFormats[format] && this.supportsEncoding(this.outputFormats[format].mimeType));
+        if (descending.length === 0 || supported.length === 0) {
+            throw new Error('No widths or formats to create');
+        }
+        // Responsive images are stills, whatever the input
+        const settings = { ...options, animation: { keep: false } };
+        
+        // The widest variant also tells us how wide the image is; images narrower than the
+        // widest width get a variant at their own width instead, so srcset reaches the full image
+        const first = await this.optimizeImage(file, { ...settings, format: supported[0], maxWidth: descending[0] });
+        const targets = first.originalWidth < descending[0]
+            ? [first.originalWidth, ...descending.filter(width => width < first.originalWidth)]
+            : descending;
+        
+        const variants = [];
+        for (const format of supported) {
+            for (const width of targets) {
+                const result = format === supported[0] && width === targets[0]
+                    ? first
+                    : await this.optimizeImage(file, { ...settings, format, maxWidth: width });
+                variants.push({
+                    width: result.width,
+                    height: result.height,
+                    format: result.format,
+                    mimeType: result.mimeType,
+                    extension: result.extension,
+                    blob: result.blob,
+                    size: result.size,
+                    quality: result.quality
+                });
+            }
+        }
+        
+        return { originalWidth: first.originalWidth, originalHeight: first.originalHeight, formats: supported, variants };
+    },
+    
+    // Format every browser shows: JPEG or PNG when in the set, else the last one
+    responsiveFallback(formats) {
+        return ['jpeg', 'png'].find(format => formats.includes(format)) || formats[formats.length - 1];
+    },
+    
+    // <picture> markup for a responsive set: a <source> per format and an <img> with the fallback
+    // variants need their url as well
+    pictureHtml(variants, sizes = '100vw') {
+        const formats = [...new Set(variants.map(variant => variant.format))];
+        const fallback = this.responsiveFallback(formats);
+        const ofFormat = (format) => variants
+            .filter(variant => variant.format === format)
+            .sort((a, b) => a.width - b.width);
+        const srcset = (format) => ofFormat(format).map(variant => `${encodeURI(variant.url)} ${variant.width}w`).join(', ');
+        const largest = ofFormat(fallback).pop();
+        const sizesAttribute = sizes.replace(/"/g, '&quot;');
+        
+        return [
+            '<picture>',
+            ...formats.filter(format => format !== fallback).map(format => {
+                return `    <source type="${this.outputFormats[format].mimeType}" srcset="${srcset(format)}" sizes="${sizesAttribute}">`;
+            }),
+            `    <img src="${encodeURI(largest.url)}" srcset="${srcset(fallback)}" sizes="${sizesAttribute}" ` +
+                `width="${largest.width}" height="${largest.height}" alt="" loading="lazy" decoding="async">`,
+            '</picture>'
+        ].join('\n');
     }
 };
 
@@ -0,0 +1,110 @@
+// palette-panel.js - Colour palette panel for the Image Resizer
+class PalettePanel {
+    constructor(container) {
+        this.container = container;
+        this.title = container.querySelector('.palette-title');
+        this.countSelect = container.querySelector('.palette-count');
+        this.methodSelect = container.querySelector('.palette-method');
+        this.swatches = container.querySelector('.palette-swatches');
+        
+        this.entry = null;
+        this.image = null;
+        this.palette = []; // see ColorPalette.extract
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.countSelect.addEventListener('change', () => this.extract());
+        this.methodSelect.addEventListener('change', () => this.extract());
+        
+        this.container.querySelectorAll('.palette-export').forEach(button => {
+            button.addEventListener('click', () => this.export(button.dataset.format));
+        });
+        this.container.querySelector('.palette-close').addEventListener('click', () => this.close());
+        
+        // Clicking a swatch copies its hex code
+        this.swatches.addEventListener('click', (e) => {
+            const swatch = e.target.closest('.palette-swatch');
+            if (swatch) this.copyColor(swatch.dataset.hex);
+        });
+    }
+    
+    async open(entry) {
+        try {
+            this.image = await FileOptimizer.loadImage(entry.file);
+        } catch (error) {
+            console.error('Palette error:', error);
+            FileOptimizer.showNotification('Failed to load image for the palette', 'error');
+            return;
+        }
+        
+        this.entry = entry;
+        if (this.title) this.title.textContent = entry.file.name;
+        this.container.style.display = 'block';
+        this.extract();
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    close() {
+        this.container.style.display = 'none';
+        this.entry = null;
+        this.image = null;
+        this.palette = [];
+    }
+    
+    extract() {
+        if (!this.image) return;
+        
+        this.palette = ColorPalette.extract(this.image, {
+            colors: parseInt(this.countSelect.value),
+            method: this.methodSelect.value
+        });
+        this.render();
+    }
+    
+    render() {
+        if (this.palette.length === 0) {
+            this.swatches.innerHTML = '<p class="palette-empty">No opaque pixels to take colours from</p>';
+            return;
+        }
+        
+        this.swatches.innerHTML = this.palette.map(color => `
+            <button class="palette-swatch" data-hex="${color.hex}" title="Copy ${color.hex}">
+                <span class="palette-chip" style="background: ${color.hex};"></span>
+                <span class="palette-hex">${color.hex.toUpperCase()}</span>
+                <span class="palette-percent">${ColorPalette.formatPercent(color.percent)}</span>
+            </button>
+        `).join('');
+    }
+    
+    // File name without its extension, for the palette's name and the exported files
+    getName() {
+        return this.entry.file.name.replace(/\.[^.]+$/, '');
+    }
+    
+    async export(format) {
+        if (!this.entry || this.palette.length === 0) return;
+        
+        try {
+            const name = this.getName();
+            const blob = await ColorPalette.toBlob(this.palette, format, name);
+            FileOptimizer.downloadFile(blob, `${name}-palette.${ColorPalette.formats[format].extension}`);
+        } catch (error) {
+            console.error('Palette export error:', error);
+            FileOptimizer.showNotification('Error exporting palette: ' + error.message, 'error');
+        }
+    }
+    
+    async copyColor(hex) {
+        try {
+            await navigator.clipboard.writeText(hex);
+            FileOptimizer.showNotification(`${hex} copied to clipboard!`, 'success');
+        } catch (error) {
+            FileOptimizer.showNotification('Could not copy the colour', 'error');
+        }
+    }
+}
+
+// Make available globally
+window.PalettePanel = PalettePanel;
@@ -170,10 +170,13 @@ class QRScanner {
         
         try {
             // Validate file
-            if (!file.type.startsWith('image/')) {
+            if (!ImageDecoders.isImage(file)) {
                 throw new Error('Please select a valid image file');
             }
             
+            // HEIC, TIFF and the like are decoded to PNG first
+            file = await ImageDecoders.prepareFile(file);
+            
             // Read file
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -184,7 +187,7 @@ class QRScanner {
             reader.readAsDataURL(file);
             
         } catch (error) {
-            ImageResizerUtils.showError(error.message);
+            FileOptimizer.showNotification(error.message, 'error');
         }
     }
     
@@ -290,7 +293,7 @@ class QRScanner {
     }
     
     async scanQRCodeFromImage(imageSrc) {
-        ImageResizerUtils.showLoading('Scanning QR code...');
+        FileOptimizer.showLoading('Scanning QR code...');
         
         try {
             const img = new Image();
@@ -317,23 +320,23 @@ class QRScanner {
                     this.processQRResult(code);
                     this.highlightQRCode(code.location);
                 } else {
-                    ImageResizerUtils.showError('No QR code found in the image.');
+                    FileOptimizer.showNotification('No QR code found in the image.', 'error');
                 }
                 
-                ImageResizerUtils.hideLoading();
+                FileOptimizer.hideLoading();
             };
             
             img.onerror = () => {
-                ImageResizerUtils.showError('Failed to load image.');
-                ImageResizerUtils.hideLoading();
+                FileOptimizer.showNotification('Failed to load image.', 'error');
+                FileOptimizer.hideLoading();
             };
             
             img.src = imageSrc;
             
         } catch (error) {
             console.error('Scan error:', error);
-            ImageResizerUtils.showError('Error scanning QR code: ' + error.message);
-            ImageResizerUtils.hideLoading();
+            FileOptimizer.showNotification('Error scanning QR code: ' + error.message, 'error');
+            FileOptimizer.hideLoading();
         }
     }
     
@@ -357,7 +360,7 @@ class QRScanner {
         this.textActions.style.display = !isUrl ? 'block' : 'none';
         
         // Show success message
-        ImageResizerUtils.showSuccess('QR code scanned successfully!');
+        FileOptimizer.showNotification('QR code scanned successfully!', 'success');
     }
     
     highlightQRCode(location) {
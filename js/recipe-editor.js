@@ -0,0 +1,266 @@
+// recipe-editor.js - Build, save, import and export batch recipes (see Recipe)
+class RecipeEditor {
+    constructor(container, onChange = () => {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.storageKey = 'fileOptimizerRecipes';
+        this.recipe = Recipe.create();
+        
+        this.nameInput = container.querySelector('.recipe-name');
+        this.savedSelect = container.querySelector('.recipe-saved');
+        this.stepList = container.querySelector('.recipe-steps');
+        this.typeSelect = container.querySelector('.recipe-step-type');
+        this.fileInput = container.querySelector('.recipe-file');
+        
+        this.setupEventListeners();
+        this.renderStepTypes();
+        this.renderSavedList();
+        this.render();
+    }
+    
+    setupEventListeners() {
+        this.nameInput.addEventListener('input', (e) => {
+            this.recipe.name = e.target.value;
+            this.changed();
+        });
+        
+        this.container.querySelector('.recipe-add-step').addEventListener('click', () => {
+            this.recipe.steps.push(Recipe.createStep(this.typeSelect.value));
+            this.render();
+            this.changed();
+        });
+        
+        this.savedSelect.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            const separator = e.target.value.indexOf(':');
+            const source = e.target.value.slice(0, separator);
+            const name = e.target.value.slice(separator + 1);
+            const recipe = source === 'example' ? Recipe.examples[name] : this.getSaved()[name];
+            if (recipe) this.load(recipe);
+            e.target.value = '';
+        });
+        
+        this.container.querySelector('.recipe-save').addEventListener('click', () => this.save());
+        this.container.querySelector('.recipe-delete').addEventListener('click', () => this.deleteSaved());
+        this.container.querySelector('.recipe-export').addEventListener('click', () => this.exportJSON());
+        this.container.querySelector('.recipe-copy').addEventListener('click', () => this.copyJSON());
+        this.container.querySelector('.recipe-import').addEventListener('click', () => this.fileInput.click());
+        
+        this.fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importJSON(await file.text());
+        });
+    }
+    
+    // Validated copy of the recipe; throws if a step is incomplete
+    getRecipe() {
+        return Recipe.parse(this.recipe);
+    }
+    
+    load(recipe) {
+        try {
+            this.recipe = Recipe.parse(recipe);
+        } catch (error) {
+            FileOptimizer.showNotification(error.message, 'error');
+            return false;
+        }
+        this.render();
+        this.changed();
+        return true;
+    }
+    
+    changed() {
+        this.onChange(this.recipe);
+    }
+    
+    renderStepTypes() {
+        this.typeSelect.innerHTML = Object.entries(Recipe.stepTypes)
+            .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+            .join('');
+    }
+    
+    render() {
+        this.nameInput.value = this.recipe.name;
+        this.stepList.innerHTML = '';
+        
+        if (this.recipe.steps.length === 0) {
+            this.stepList.innerHTML = '<li class="recipe-empty">No steps yet - add one below or load an example</li>';
+            return;
+        }
+        
+        this.recipe.steps.forEach((step, index) => this.stepList.appendChild(this.renderStep(step, index)));
+    }
+    
+    renderStep(step, index) {
+        const definition = Recipe.stepTypes[step.type];
+        const item = document.createElement('li');
+        item.className = 'recipe-step';
+        item.innerHTML = `
+            <div class="recipe-step-header">
+                <span class="recipe-step-summary"></span>
+                <div class="recipe-step-buttons">
+                    <button type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" data-action="down" title="Move down" ${index === this.recipe.steps.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button type="button" data-action="remove" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="recipe-step-fields"></div>
+        `;
+        
+        // Shared recipes are untrusted - keep their text out of innerHTML
+        item.querySelector('.recipe-step-summary').textContent = Recipe.describe(step);
+        
+        item.querySelectorAll('.recipe-step-buttons button').forEach(button => {
+            button.addEventListener('click', () => this.moveStep(index, button.dataset.action));
+        });
+        
+        const fields = item.querySelector('.recipe-step-fields');
+        Object.entries(definition.fields).forEach(([key, field]) => {
+            // Resize only shows the sizes its mode uses
+            if (field.modes && !field.modes.includes(step.mode)) return;
+            fields.appendChild(this.renderField(step, key, field, item));
+        });
+        
+        return item;
+    }
+    
+    renderField(step, key, field, item) {
+        const label = document.createElement('label');
+        label.className = `recipe-field recipe-field-${field.type}`;
+        label.textContent = field.label;
+        
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            input.innerHTML = field.options.map(option => `<option value="${option}">${option}</option>`).join('');
+        } else {
+            input = document.createElement('input');
+            input.type = field.type;
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+        }
+        
+        if (field.type === 'checkbox') {
+            input.checked = !!step[key];
+            label.prepend(input);
+        } else {
+            input.value = step[key] === null ? '' : step[key];
+            label.appendChild(input);
+        }
+        
+        input.addEventListener(field.type === 'select' || field.type === 'checkbox' ? 'change' : 'input', () => {
+            if (field.type === 'checkbox') {
+                step[key] = input.checked;
+            } else if (field.type === 'number') {
+                step[key] = input.value === '' ? null : Number(input.value);
+            } else if (field.type === 'select') {
+                step[key] = field.options.find(option => String(option) === input.value);
+            } else {
+                step[key] = input.value;
+            }
+            
+            if (key === 'mode') {
+                this.render();
+            } else {
+                item.querySelector('.recipe-step-summary').textContent = Recipe.describe(step);
+            }
+            this.changed();
+        });
+        
+        return label;
+    }
+    
+    moveStep(index, action) {
+        const steps = this.recipe.steps;
+        if (action === 'remove') {
+            steps.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            [steps[index], steps[target]] = [steps[target], steps[index]];
+        }
+        this.render();
+        this.changed();
+    }
+    
+    // Saved recipes live in localStorage, keyed by name
+    getSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    renderSavedList() {
+        const saved = Object.keys(this.getSaved()).sort();
+        
+        this.savedSelect.innerHTML = '';
+        this.savedSelect.add(new Option('Load a recipe…', ''));
+        Object.keys(Recipe.examples).forEach(name => this.savedSelect.add(new Option(`Example: ${name}`, `example:${name}`)));
+        saved.forEach(name => this.savedSelect.add(new Option(name, `saved:${name}`)));
+    }
+    
+    save() {
+        let recipe;
+        try {
+            recipe = this.getRecipe();
+        } catch (error) {
+            FileOptimizer.showNotification(error.message, 'error');
+            return;
+        }
+        
+        const saved = this.getSaved();
+        saved[recipe.name] = recipe;
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        this.renderSavedList();
+        FileOptimizer.showNotification(`Saved recipe "${recipe.name}"`, 'success');
+    }
+    
+    deleteSaved() {
+        const saved = this.getSaved();
+        if (!saved[this.recipe.name]) {
+            FileOptimizer.showNotification('This recipe has not been saved', 'info');
+            return;
+        }
+        
+        delete saved[this.recipe.name];
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        this.renderSavedList();
+        FileOptimizer.showNotification(`Deleted recipe "${this.recipe.name}"`, 'info');
+    }
+    
+    exportJSON() {
+        try {
+            const recipe = this.getRecipe();
+            const blob = new Blob([Recipe.toJSON(recipe)], { type: 'application/json' });
+            FileOptimizer.downloadFile(blob, `${FilenameTemplate.sanitize(recipe.name)}.recipe.json`);
+        } catch (error) {
+            FileOptimizer.showNotification(error.message, 'error');
+        }
+    }
+    
+    async copyJSON() {
+        try {
+            await navigator.clipboard.writeText(Recipe.toJSON(this.getRecipe()));
+            FileOptimizer.showNotification('Recipe JSON copied to clipboard', 'success');
+        } catch (error) {
+            FileOptimizer.showNotification(error.message || 'Could not copy to clipboard', 'error');
+        }
+    }
+    
+    importJSON(text) {
+        if (this.load(text)) {
+            FileOptimizer.showNotification(`Imported recipe "${this.recipe.name}"`, 'success');
+        }
+    }
+}
+
+// Make available globally
+window.RecipeEditor = RecipeEditor;
@@ -0,0 +1,292 @@
+// recipe.js - Multi-step processing recipes shared by the batch tool and the server
+// A recipe is plain JSON: { name, version: 1, steps: [{ type, ...fields }] }
+// Pixel steps run in order; format, compress and stripMetadata set how the result is saved
+const Recipe = {
+    version: 1,
+    
+    // Step types with their fields: { type, label, default, options, min, max }
+    stepTypes: {
+        autoOrient: {
+            label: 'Auto-orient',
+            description: 'Apply the EXIF orientation so the photo is upright',
+            fields: {}
+        },
+        rotate: {
+            label: 'Rotate',
+            fields: {
+                angle: { type: 'select', label: 'Angle', default: 90, options: [90, 180, 270] }
+            }
+        },
+        flip: {
+            label: 'Flip',
+            fields: {
+                horizontal: { type: 'checkbox', label: 'Horizontal', default: true },
+                vertical: { type: 'checkbox', label: 'Vertical', default: false }
+            }
+        },
+        crop: {
+            label: 'Crop to aspect ratio',
+            description: 'Centred crop, e.g. 4:3, 16:9 or 1:1',
+            fields: {
+                aspect: { type: 'text', label: 'Aspect', default: '4:3' }
+            }
+        },
+        resize: {
+            label: 'Resize',
+            fields: {
+                mode: { type: 'select', label: 'Mode', default: 'longEdge', options: ['fit', 'longEdge', 'percent', 'exact'] },
+                width: { type: 'number', label: 'Width (px)', default: null, min: 1, max: 20000, modes: ['fit', 'exact'] },
+                height: { type: 'number', label: 'Height (px)', default: null, min: 1, max: 20000, modes: ['fit', 'exact'] },
+                longEdge: { type: 'number', label: 'Long edge (px)', default: 1600, min: 1, max: 20000, modes: ['longEdge'] },
+                percent: { type: 'number', label: 'Percent', default: 50, min: 1, max: 1000, modes: ['percent'] },
+                background: { type: 'color', label: 'Padding', default: '#ffffff', modes: ['exact'] }
+            }
+        },
+        sharpen: {
+            label: 'Sharpen',
+            fields: {
+                amount: { type: 'number', label: 'Amount (%)', default: 30, min: 1, max: 100 }
+            }
+        },
+        watermark: {
+            label: 'Text watermark',
+            fields: {
+                text: { type: 'text', label: 'Text', default: '©' },
+                position: {
+                    type: 'select',
+                    label: 'Position',
+                    default: 'bottom-right',
+                    options: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center']
+                },
+                size: { type: 'number', label: 'Size (% of width)', default: 4, min: 1, max: 50 },
+                opacity: { type: 'number', label: 'Opacity (%)', default: 60, min: 1, max: 100 },
+                color: { type: 'color', label: 'Colour', default: '#ffffff' }
+            }
+        },
+        format: {
+            label: 'Convert format',
+            fields: {
+                format: { type: 'select', label: 'Format', default: 'webp', options: ['jpeg', 'png', 'webp', 'avif'] },
+                quality: { type: 'number', label: 'Quality (%)', default: 80, min: 1, max: 100 }
+            }
+        },
+        compress: {
+            label: 'Compress to max size',
+            fields: {
+                maxSize: { type: 'number', label: 'Max size (KB)', default: 500, min: 1, max: 100000 }
+            }
+        },
+        stripMetadata: {
+            label: 'Strip metadata',
+            description: 'Remove EXIF and XMP (camera, GPS, dates); kept otherwise',
+            fields: {}
+        }
+    },
+    
+    // Steps that only change how the result is saved
+    outputSteps: ['format', 'compress', 'stripMetadata'],
+    
+    examples: {
+        'Web gallery': {
+            name: 'Web gallery',
+            version: 1,
+            steps: [
+                { type: 'autoOrient' },
+                { type: 'crop', aspect: '4:3' },
+                { type: 'resize', mode: 'longEdge', longEdge: 1600 },
+                { type: 'watermark', text: '©', position: 'bottom-right', size: 4, opacity: 60, color: '#ffffff' },
+                { type: 'format', format: 'webp', quality: 80 },
+                { type: 'stripMetadata' }
+            ]
+        }
+    },
+    
+    create(name = 'Untitled recipe') {
+        return { name, version: this.version, steps: [] };
+    },
+    
+    // New step of a type with its default field values
+    createStep(type) {
+        const definition = this.stepTypes[type];
+        if (!definition) throw new Error(`Unknown step type "${type}"`);
+        
+        const step = { type };
+        Object.entries(definition.fields).forEach(([key, field]) => {
+            step[key] = field.default;
+        });
+        return step;
+    },
+    
+    // Validate a recipe (object or JSON text) and return a clean copy
+    // Throws an Error naming the first problem
+    parse(input) {
+        let recipe = input;
+        if (typeof input === 'string') {
+            try {
+                recipe = JSON.parse(input);
+            } catch (error) {
+                throw new Error('Recipe is not valid JSON');
+            }
+        }
+        
+        if (!recipe || typeof recipe !== 'object' || !Array.isArray(recipe.steps)) {
+            throw new Error('Recipe must be an object with a "steps" list');
+        }
+        if (recipe.version && recipe.version > this.version) {
+            throw new Error(`Recipe version ${recipe.version} is newer than this tool supports`);
+        }
+        
+        return {
+            name: typeof recipe.name === 'string' && recipe.name.trim() ? recipe.name.trim() : 'Untitled recipe',
+            version: this.version,
+            steps: recipe.steps.map((step, index) => this.parseStep(step, index))
+        };
+    },
+    
+    parseStep(step, index) {
+        const where = `Step ${index + 1}`;
+        if (!step || typeof step !== 'object') throw new Error(`${where} must be an object`);
+        
+        const definition = this.stepTypes[step.type];
+        if (!definition) throw new Error(`${where}: unknown type "${step.type}"`);
+        
+        const clean = { type: step.type };
+        Object.entries(definition.fields).forEach(([key, field]) => {
+            clean[key] = this.parseField(step[key], field, `${where} (${definition.label}) ${field.label}`);
+        });
+        
+        if (step.type === 'crop' && !this.parseAspect(clean.aspect)) {
+            throw new Error(`${where}: aspect must look like 4:3`);
+        }
+        if (step.type === 'resize') {
+            const needed = {
+                fit: clean.width || clean.height,
+                exact: clean.width && clean.height,
+                longEdge: clean.longEdge,
+                percent: clean.percent
+            };
+            if (!needed[clean.mode]) throw new Error(`${where}: resize "${clean.mode}" is missing its size`);
+        }
+        
+        return clean;
+    },
+    
+    parseField(value, field, where) {
+        if (value === undefined || value === null || value === '') return field.default;
+        
+        switch (field.type) {
+            case 'number': {
+                const number = Number(value);
+                if (!isFinite(number)) throw new Error(`${where} must be a number`);
+                if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                    throw new Error(`${where} must be between ${field.min} and ${field.max}`);
+                }
+                return number;
+            }
+            case 'checkbox':
+                return value === true || value === 'true';
+            case 'select': {
+                const option = field.options.find(option => String(option) === String(value));
+                if (option === undefined) throw new Error(`${where} must be one of ${field.options.join(', ')}`);
+                return option;
+            }
+            case 'color':
+                if (!/^#[0-9a-f]{6}$/i.test(value)) throw new Error(`${where} must be a #rrggbb colour`);
+                return value;
+            default:
+                return String(value);
+        }
+    },
+    
+    // "4:3" -> 1.333..., null if it isn't a ratio
+    parseAspect(aspect) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/.exec(aspect || '');
+        if (!match || !Number(match[1]) || !Number(match[2])) return null;
+        return Number(match[1]) / Number(match[2]);
+    },
+    
+    // Centred crop of a width x height image to an aspect ratio, in pixels
+    aspectCrop(width, height, aspect) {
+        const ratio = this.parseAspect(aspect);
+        if (!ratio) return { x: 0, y: 0, width, height };
+        
+        const cropWidth = Math.min(width, Math.round(height * ratio));
+        const cropHeight = Math.min(height, Math.round(width / ratio));
+        return {
+            x: Math.round((width - cropWidth) / 2),
+            y: Math.round((height - cropHeight) / 2),
+            width: Math.max(1, cropWidth),
+            height: Math.max(1, cropHeight)
+        };
+    },
+    
+    // Steps that change pixels, in order
+    pixelSteps(recipe) {
+        return recipe.steps.filter(step => !this.outputSteps.includes(step.type));
+    },
+    
+    // Whether the pixels end up upright; without autoOrient they stay in stored order
+    orients(recipe) {
+        return recipe.steps.some(step => step.type === 'autoOrient');
+    },
+    
+    // How the result is saved; later steps override earlier ones
+    // { format: null keeps the input's format, quality (0-100), maxSize (KB), stripMetadata }
+    outputSettings(recipe) {
+        const output = { format: null, quality: 80, maxSize: null, stripMetadata: false };
+        recipe.steps.forEach(step => {
+            if (step.type === 'format') {
+                output.format = step.format;
+                output.quality = step.quality;
+            } else if (step.type === 'compress') {
+                output.maxSize = step.maxSize;
+            } else if (step.type === 'stripMetadata') {
+                output.stripMetadata = true;
+            }
+        });
+        return output;
+    },
+    
+    // One-line summary of a step, e.g. "Resize: long edge 1600px"
+    describe(step) {
+        const definition = this.stepTypes[step.type];
+        switch (step.type) {
+            case 'rotate':
+                return `Rotate ${step.angle}°`;
+            case 'flip':
+                return `Flip ${[step.horizontal && 'horizontal', step.vertical && 'vertical'].filter(Boolean).join(' + ') || '(none)'}`;
+            case 'crop':
+                return `Crop to ${step.aspect}`;
+            case 'resize': {
+                const sizes = {
+                    fit: `fit within ${step.width || 'any'} × ${step.height || 'any'}px`,
+                    exact: `exactly ${step.width} × ${step.height}px`,
+                    longEdge: `long edge ${step.longEdge}px`,
+                    percent: `${step.percent}%`
+                };
+                return `Resize: ${sizes[step.mode]}`;
+            }
+            case 'sharpen':
+                return `Sharpen ${step.amount}%`;
+            case 'watermark':
+                return `Watermark "${step.text}" (${step.position})`;
+            case 'format':
+                return `Convert to ${step.format.toUpperCase()} at ${step.quality}%`;
+            case 'compress':
+                return `Compress to ${step.maxSize} KB`;
+            default:
+                return definition ? definition.label : step.type;
+        }
+    },
+    
+    toJSON(recipe) {
+        return JSON.stringify(recipe, null, 2);
+    }
+};
+
+// Make available to pages, workers and the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recipe;
+} else {
+    self.Recipe = Recipe;
+}
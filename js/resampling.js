@@ -0,0 +1,224 @@
+// resampling.js - High-quality resize filters and sharpening for canvas images
+const Resampling = {
+    // Options shown in the tool settings
+    methods: {
+        browser: 'Browser default',
+        stepwise: 'Stepwise halving',
+        lanczos3: 'Lanczos3 (sharpest)',
+        bicubic: 'Bicubic',
+        nearest: 'Nearest neighbour (pixel art)'
+    },
+    
+    // Filter kernels: support radius and weight function
+    kernels: {
+        lanczos3: {
+            support: 3,
+            weight(x) {
+                if (x === 0) return 1;
+                if (x <= -3 || x >= 3) return 0;
+                const px = Math.PI * x;
+                return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+            }
+        },
+        bicubic: {
+            support: 2,
+            weight(x) {
+                // Keys cubic with a = -0.5 (Catmull-Rom)
+                const a = -0.5;
+                x = Math.abs(x);
+                if (x <= 1) return (a + 2) * x * x * x - (a + 3) * x * x + 1;
+                if (x < 2) return a * x * x * x - 5 * a * x * x + 8 * a * x - 4 * a;
+                return 0;
+            }
+        }
+    },
+    
+    isConvolution(method) {
+        return method in this.kernels;
+    },
+    
+    // Halve with the browser's smoothing until within 2x of the target, then finish
+    // Avoids the aliasing of one big drawImage reduction (e.g. 6000px -> 800px)
+    stepwise(canvas, width, height) {
+        let current = canvas;
+        
+        while (current.width / 2 >= width && current.height / 2 >= height) {
+            const next = ImageProcessing.createCanvas(Math.round(current.width / 2), Math.round(current.height / 2));
+            const ctx = next.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(current, 0, 0, next.width, next.height);
+            current = next;
+        }
+        
+        if (current.width === width && current.height === height) return current;
+        
+        const output = ImageProcessing.createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(current, 0, 0, width, height);
+        return output;
+    },
+    
+    // Separable convolution resize (Lanczos3 / bicubic)
+    convolve(canvas, width, height, method = 'lanczos3') {
+        const kernel = this.kernels[method];
+        const srcWidth = canvas.width;
+        const srcHeight = canvas.height;
+        const src = canvas.getContext('2d').getImageData(0, 0, srcWidth, srcHeight).data;
+        
+        // Premultiply alpha so transparent pixels don't bleed colour
+        const premultiplied = new Float32Array(src.length);
+        for (let i = 0; i < src.length; i += 4) {
+            const alpha = src[i + 3] / 255;
+            premultiplied[i] = src[i] * alpha;
+            premultiplied[i + 1] = src[i + 1] * alpha;
+            premultiplied[i + 2] = src[i + 2] * alpha;
+            premultiplied[i + 3] = src[i + 3];
+        }
+        
+        // Horizontal pass: srcWidth x srcHeight -> width x srcHeight
+        const horizontal = new Float32Array(width * srcHeight * 4);
+        const xWeights = this.computeWeights(srcWidth, width, kernel);
+        for (let y = 0; y < srcHeight; y++) {
+            const row = y * srcWidth * 4;
+            for (let x = 0; x < width; x++) {
+                const { start, weights } = xWeights[x];
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const i = row + (start + k) * 4;
+                    const w = weights[k];
+                    r += premultiplied[i] * w;
+                    g += premultiplied[i + 1] * w;
+                    b += premultiplied[i + 2] * w;
+                    a += premultiplied[i + 3] * w;
+                }
+                const o = (y * width + x) * 4;
+                horizontal[o] = r;
+                horizontal[o + 1] = g;
+                horizontal[o + 2] = b;
+                horizontal[o + 3] = a;
+            }
+        }
+        
+        // Vertical pass: width x srcHeight -> width x height
+        const output = ImageProcessing.createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const dst = imageData.data;
+        const yWeights = this.computeWeights(srcHeight, height, kernel);
+        for (let y = 0; y < height; y++) {
+            const { start, weights } = yWeights[y];
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const i = ((start + k) * width + x) * 4;
+                    const w = weights[k];
+                    r += horizontal[i] * w;
+                    g += horizontal[i + 1] * w;
+                    b += horizontal[i + 2] * w;
+                    a += horizontal[i + 3] * w;
+                }
+                const o = (y * width + x) * 4;
+                const alpha = Math.min(255, Math.max(0, a));
+                const scale = alpha > 0 ? 255 / alpha : 0;
+                dst[o] = r * scale;
+                dst[o + 1] = g * scale;
+                dst[o + 2] = b * scale;
+                dst[o + 3] = alpha;
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return output;
+    },
+    
+    // Normalised filter taps for each output pixel along one axis
+    computeWeights(srcSize, dstSize, kernel) {
+        const ratio = srcSize / dstSize;
+        const filterScale = Math.max(ratio, 1); // widen the kernel when downscaling
+        const support = kernel.support * filterScale;
+        const result = new Array(dstSize);
+        
+        for (let i = 0; i < dstSize; i++) {
+            const center = (i + 0.5) * ratio - 0.5;
+            const start = Math.max(0, Math.ceil(center - support));
+            const end = Math.min(srcSize - 1, Math.floor(center + support));
+            const weights = new Float32Array(end - start + 1);
+            let total = 0;
+            
+            for (let j = start; j <= end; j++) {
+                const w = kernel.weight((j - center) / filterScale);
+                weights[j - start] = w;
+                total += w;
+            }
+            if (total !== 0) {
+                for (let k = 0; k < weights.length; k++) weights[k] /= total;
+            }
+            
+            result[i] = { start, weights };
+        }
+        
+        return result;
+    },
+    
+    // Unsharp mask: add back the difference to a blurred copy
+    // amount 0-1+, radius in px, threshold 0-255 skips low-contrast noise
+    unsharpMask(canvas, { amount = 0.5, radius = 1, threshold = 0 } = {}) {
+        if (amount <= 0) return canvas;
+        
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+        const blurred = this.boxBlur(data, canvas.width, canvas.height, Math.max(1, Math.round(radius)));
+        
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                const diff = data[i + c] - blurred[i + c];
+                if (Math.abs(diff) >= threshold) {
+                    data[i + c] = Math.min(255, Math.max(0, data[i + c] + diff * amount));
+                }
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    },
+    
+    // Separable box blur of the RGB channels
+    boxBlur(data, width, height, radius) {
+        const temp = new Float32Array(data.length);
+        const out = new Float32Array(data.length);
+        const size = radius * 2 + 1;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const sx = Math.min(width - 1, Math.max(0, x + k));
+                        sum += data[(y * width + sx) * 4 + c];
+                    }
+                    temp[(y * width + x) * 4 + c] = sum / size;
+                }
+            }
+        }
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const sy = Math.min(height - 1, Math.max(0, y + k));
+                        sum += temp[(sy * width + x) * 4 + c];
+                    }
+                    out[(y * width + x) * 4 + c] = sum / size;
+                }
+            }
+        }
+        
+        return out;
+    }
+};
+
+// Make available to pages and workers
+self.Resampling = Resampling;
@@ -0,0 +1,117 @@
+// run-control.js - Pause, resume and cancel for long multi-file runs
+class RunControl {
+    // container holds .run-pause, .run-resume and .run-cancel buttons and a .run-state label
+    constructor(container) {
+        this.container = container;
+        this.state = 'idle'; // idle | running | paused | cancelled
+        this.waiting = [];
+        
+        if (container) {
+            this.pauseBtn = container.querySelector('.run-pause');
+            this.resumeBtn = container.querySelector('.run-resume');
+            this.cancelBtn = container.querySelector('.run-cancel');
+            this.stateLabel = container.querySelector('.run-state');
+            
+            this.pauseBtn.addEventListener('click', () => this.pause());
+            this.resumeBtn.addEventListener('click', () => this.resume());
+            this.cancelBtn.addEventListener('click', () => this.cancel());
+        }
+        
+        this.updateControls();
+    }
+    
+    get cancelled() {
+        return this.state === 'cancelled';
+    }
+    
+    start() {
+        this.state = 'running';
+        this.updateControls();
+    }
+    
+    pause() {
+        if (this.state !== 'running') return;
+        this.state = 'paused';
+        this.updateControls();
+    }
+    
+    resume() {
+        if (this.state !== 'paused') return;
+        this.state = 'running';
+        this.release();
+        this.updateControls();
+    }
+    
+    cancel() {
+        if (this.state !== 'running' && this.state !== 'paused') return;
+        this.state = 'cancelled';
+        this.release();
+        this.updateControls();
+    }
+    
+    // Returns true if the run was cancelled
+    finish() {
+        const cancelled = this.cancelled;
+        this.state = 'idle';
+        this.release();
+        this.updateControls();
+        return cancelled;
+    }
+    
+    // Call between files: waits while paused, false once cancelled
+    async checkpoint() {
+        while (this.state === 'paused') {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        return this.state !== 'cancelled';
+    }
+    
+    release() {
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(resolve => resolve());
+    }
+    
+    // Run task(item, index) for each item, at most `concurrency` at a time
+    // Items not started before a cancel are left alone; returns true if cancelled
+    async run(items, task, concurrency = 1) {
+        this.start();
+        let next = 0;
+        
+        const lane = async () => {
+            while (next < items.length && await this.checkpoint()) {
+                const index = next++;
+                await task(items[index], index);
+            }
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+        } catch (error) {
+            this.finish();
+            throw error;
+        }
+        return this.finish();
+    }
+    
+    updateControls() {
+        if (!this.container) return;
+        
+        const active = this.state === 'running' || this.state === 'paused';
+        this.container.style.display = active ? '' : 'none';
+        this.pauseBtn.style.display = this.state === 'running' ? '' : 'none';
+        this.resumeBtn.style.display = this.state === 'paused' ? '' : 'none';
+        this.cancelBtn.disabled = !active;
+        
+        // Let the surrounding overlay stop its spinner while paused
+        this.container.classList.toggle('paused', this.state === 'paused');
+        if (this.stateLabel) {
+            this.stateLabel.textContent = this.state === 'paused'
+                ? 'Paused - files already started will finish'
+                : '';
+        }
+    }
+}
+
+// Make available globally
+window.RunControl = RunControl;
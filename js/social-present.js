@@ -5,7 +5,18 @@ class SocialPresets {
         this.selectedPresets = new Set();
         this.customPresets = [];
         this.currentImage = null;
+        this.currentFile = null;
+        this.animation = null; // 'gif' or 'webp' when the upload is animated, see AnimatedImage.detect
         this.generatedImages = [];
+        this.resizeSettings = {
+            resample: 'browser', // see Resampling.methods
+            sharpen: 0, // %
+            keepAnimation: true,
+            animationFrameStep: 1, // keep every Nth frame
+            animationColors: 256, // GIF palette size
+            animationFormat: 'auto' // auto, gif, webp
+        };
+        this.partial = false; // last run was cancelled part-way
         
         this.initializeElements();
         this.initializeEventListeners();
@@ -31,6 +42,15 @@ class SocialPresets {
         this.ratioButtons = document.querySelectorAll('.ratio-btn');
         this.addCustomPresetBtn = document.getElementById('addCustomPreset');
         
+        // Resize Quality Elements
+        this.resampleSelect = document.getElementById('socialResampleSelect');
+        this.sharpenSlider = document.getElementById('socialSharpenSlider');
+        this.sharpenValue = document.getElementById('socialSharpenValue');
+        this.keepAnimationCheckbox = document.getElementById('socialKeepAnimation');
+        this.animationFramesSelect = document.getElementById('socialAnimationFrames');
+        this.animationColorsSelect = document.getElementById('socialAnimationColors');
+        this.animationFormatSelect = document.getElementById('socialAnimationFormat');
+        
         // Batch Elements
         this.batchPresets = document.getElementById('batchPresets');
         this.processBatchSocialBtn = document.getElementById('processBatchSocial');
@@ -41,6 +61,10 @@ class SocialPresets {
         this.socialResultsGrid = document.getElementById('socialResultsGrid');
         this.downloadAllSocialBtn = document.getElementById('downloadAllSocial');
         this.downloadIndividualSocialBtn = document.getElementById('downloadIndividualSocial');
+        
+        // Run Elements
+        this.socialProgress = document.getElementById('socialProgress');
+        this.runControl = new RunControl(document.getElementById('runControls'));
     }
     
     initializeEventListeners() {
@@ -90,6 +114,33 @@ class SocialPresets {
             this.addCustomPreset();
         });
         
+        // Resize Quality
+        this.resampleSelect.addEventListener('change', (e) => {
+            this.resizeSettings.resample = e.target.value;
+        });
+        
+        this.sharpenSlider.addEventListener('input', (e) => {
+            this.resizeSettings.sharpen = parseInt(e.target.value);
+            this.sharpenValue.textContent = this.resizeSettings.sharpen ? `${this.resizeSettings.sharpen}%` : 'Off';
+        });
+        
+        // Animated GIF/WebP
+        this.keepAnimationCheckbox.addEventListener('change', (e) => {
+            this.resizeSettings.keepAnimation = e.target.checked;
+        });
+        
+        this.animationFramesSelect.addEventListener('change', (e) => {
+            this.resizeSettings.animationFrameStep = parseInt(e.target.value);
+        });
+        
+        this.animationColorsSelect.addEventListener('change', (e) => {
+            this.resizeSettings.animationColors = parseInt(e.target.value);
+        });
+        
+        this.animationFormatSelect.addEventListener('change', (e) => {
+            this.resizeSettings.animationFormat = e.target.value;
+        });
+        
         // Batch Processing
         this.processBatchSocialBtn.addEventListener('click', () => {
             this.processBatchSocial();
@@ -109,20 +160,26 @@ class SocialPresets {
         });
     }
     
-    handleFileUpload(file) {
+    async handleFileUpload(file) {
         if (!file) return;
         
         try {
             // Validate file
-            if (!file.type.startsWith('image/')) {
+            if (!ImageDecoders.isImage(file)) {
                 throw new Error('Please select a valid image file');
             }
             
+            // HEIC, TIFF and the like are decoded to PNG first
+            file = await ImageDecoders.prepareFile(file);
+            
             // Check file size
             if (file.size > 10 * 1024 * 1024) {
                 throw new Error('File size must be less than 10MB');
             }
             
+            this.currentFile = file;
+            this.animation = await AnimatedImage.detect(file);
+            
             // Show preview
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -138,10 +195,13 @@ class SocialPresets {
             };
             reader.readAsDataURL(file);
             
-            ImageResizerUtils.showSuccess('Image uploaded successfully!');
+            FileOptimizer.showNotification(
+                this.animation ? 'Animated image uploaded - presets keep the animation' : 'Image uploaded successfully!',
+                'success'
+            );
             
         } catch (error) {
-            ImageResizerUtils.showError(error.message);
+            FileOptimizer.showNotification(error.message, 'error');
         }
     }
     
@@ -352,12 +412,12 @@ class SocialPresets {
         const name = this.customName.value || `Custom ${width}×${height}`;
         
         if (!width || !height) {
-            ImageResizerUtils.showError('Please enter both width and height');
+            FileOptimizer.showNotification('Please enter both width and height', 'error');
             return;
         }
         
         if (width > 5000 || height > 5000) {
-            ImageResizerUtils.showError('Dimensions too large. Max 5000px');
+            FileOptimizer.showNotification('Dimensions too large. Max 5000px', 'error');
             return;
         }
         
@@ -390,7 +450,7 @@ class SocialPresets {
         this.customHeight.value = '';
         this.customName.value = '';
         
-        ImageResizerUtils.showSuccess('Custom preset added!');
+        FileOptimizer.showNotification('Custom preset added!', 'success');
     }
     
     greatestCommonDivisor(a, b) {
@@ -409,16 +469,16 @@ class SocialPresets {
         this.batchPresets.innerHTML = '';
         this.updateBatchButton();
         
-        ImageResizerUtils.showSuccess('Selection cleared!');
+        FileOptimizer.showNotification('Selection cleared!', 'success');
     }
     
     async processBatchSocial() {
         if (!this.currentImage || this.selectedPresets.size === 0) {
-            ImageResizerUtils.showError('Please select an image and at least one preset');
+            FileOptimizer.showNotification('Please select an image and at least one preset', 'error');
             return;
         }
         
-        ImageResizerUtils.showLoading(`Processing ${this.selectedPresets.size} images...`);
+        FileOptimizer.showLoading(`Processing ${this.selectedPresets.size} images...`);
         
         try {
             this.generatedImages = [];
@@ -433,68 +493,63 @@ class SocialPresets {
                 return preset;
             }).filter(Boolean);
             
-            // Process each preset
-            for (let i = 0; i < selectedPresetData.length; i++) {
-                const preset = selectedPresetData[i];
-                
-                // Update progress
-                const progress = ((i + 1) / selectedPresetData.length) * 100;
-                ImageResizerUtils.updateProgress(progress);
-                
+            // Process each preset; pause and cancel take effect between presets
+            const cancelled = await this.runControl.run(selectedPresetData, async (preset, i) => {
                 // Resize image for this preset
                 const resizedImage = await this.resizeImageForPreset(preset);
                 
                 if (resizedImage) {
+                    const extension = { 'image/gif': 'gif', 'image/webp': 'webp' }[resizedImage.type] || 'png';
                     this.generatedImages.push({
                         ...preset,
                         blob: resizedImage,
-                        filename: `${preset.name.replace(/\s+/g, '-').toLowerCase()}-${preset.width}x${preset.height}.png`
+                        filename: `${preset.name.replace(/\s+/g, '-').toLowerCase()}-${preset.width}x${preset.height}.${extension}`
                     });
                 }
-            }
+                
+                // Update progress
+                const progress = ((i + 1) / selectedPresetData.length) * 100;
+                if (this.socialProgress) this.socialProgress.style.width = `${progress}%`;
+            });
+            this.partial = cancelled;
             
             // Display results
             this.displayResults();
-            ImageResizerUtils.hideLoading();
-            ImageResizerUtils.showSuccess(`Successfully generated ${this.generatedImages.length} images!`);
+            FileOptimizer.hideLoading();
+            if (cancelled) {
+                FileOptimizer.showNotification(`Cancelled - ${this.generatedImages.length} of ${selectedPresetData.length} images generated`, 'warning');
+            } else {
+                FileOptimizer.showNotification(`Successfully generated ${this.generatedImages.length} images!`, 'success');
+            }
             
         } catch (error) {
             console.error('Batch processing error:', error);
-            ImageResizerUtils.showError('Error processing images: ' + error.message);
-            ImageResizerUtils.hideLoading();
+            FileOptimizer.showNotification('Error processing images: ' + error.message, 'error');
+            FileOptimizer.hideLoading();
         }
     }
     
     async resizeImageForPreset(preset) {
+        // Animations get the same crop on every frame
+        if (this.animation && this.resizeSettings.keepAnimation) {
+            const output = FileOptimizer.resolveAnimatedFormat(this.animation, 'original', this.resizeSettings.animationFormat);
+            const result = await AnimatedImage.convert(this.currentFile, {
+                kind: this.animation,
+                format: output.format,
+                quality: 0.95,
+                colors: this.resizeSettings.animationColors,
+                frameStep: this.resizeSettings.animationFrameStep,
+                render: (frame) => this.coverPreset(frame, preset)
+            });
+            return result.blob;
+        }
+        
         return new Promise((resolve, reject) => {
             const img = new Image();
             
             img.onload = () => {
                 try {
-                    // Create canvas with preset dimensions
-                    const canvas = document.createElement('canvas');
-                    canvas.width = preset.width;
-                    canvas.height = preset.height;
-                    
-                    const ctx = canvas.getContext('2d');
-                    ctx.imageSmoothingEnabled = true;
-                    ctx.imageSmoothingQuality = 'high';
-                    
-                    // Calculate scaling to fill the preset dimensions while maintaining aspect ratio
-                    const scale = Math.max(
-                        preset.width / img.width,
-                        preset.height / img.height
-                    );
-                    
-                    const scaledWidth = img.width * scale;
-                    const scaledHeight = img.height * scale;
-                    
-                    // Center the image
-                    const x = (preset.width - scaledWidth) / 2;
-                    const y = (preset.height - scaledHeight) / 2;
-                    
-                    // Draw image
-                    ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
+                    const canvas = this.coverPreset(img, preset);
                     
                     // Convert to blob
                     canvas.toBlob((blob) => {
@@ -518,6 +573,40 @@ class SocialPresets {
         });
     }
     
+    // Canvas of the preset size filled by the image, keeping its aspect ratio
+    coverPreset(source, preset) {
+        // Create canvas with preset dimensions
+        const canvas = document.createElement('canvas');
+        canvas.width = preset.width;
+        canvas.height = preset.height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        
+        // Calculate scaling to fill the preset dimensions while maintaining aspect ratio
+        const scale = Math.max(
+            preset.width / source.width,
+            preset.height / source.height
+        );
+        
+        const scaledWidth = source.width * scale;
+        const scaledHeight = source.height * scale;
+        
+        // Center the image
+        const x = (preset.width - scaledWidth) / 2;
+        const y = (preset.height - scaledHeight) / 2;
+        
+        // Resample to the cover size with the chosen filter, then centre-crop
+        const resized = ImageProcessing.render(source, Math.round(scaledWidth), Math.round(scaledHeight), {
+            resample: this.resizeSettings.resample,
+            sharpen: this.resizeSettings.sharpen / 100
+        });
+        ctx.drawImage(resized, Math.round(x), Math.round(y));
+        
+        return canvas;
+    }
+    
     displayResults() {
         this.socialResults.style.display = 'block';
         this.socialResultsGrid.innerHTML = '';
@@ -584,15 +673,15 @@ class SocialPresets {
     downloadSingleImage(index) {
         if (index >= 0 && index < this.generatedImages.length) {
             const image = this.generatedImages[index];
-            ImageResizerUtils.downloadFile(image.blob, image.filename);
-            ImageResizerUtils.showSuccess(`Downloaded ${image.name}!`);
+            FileOptimizer.downloadFile(image.blob, image.filename);
+            FileOptimizer.showNotification(`Downloaded ${image.name}!`, 'success');
         }
     }
     
     async downloadAllSocial() {
         if (this.generatedImages.length === 0) return;
         
-        ImageResizerUtils.showLoading('Creating ZIP file...');
+        FileOptimizer.showLoading('Creating ZIP file...');
         
         try {
             const zip = new JSZip();
@@ -606,15 +695,15 @@ class SocialPresets {
             const zipBlob = await zip.generateAsync({ type: 'blob' });
             
             // Download
-            saveAs(zipBlob, `social-media-images-${Date.now()}.zip`);
+            saveAs(zipBlob, `social-media-images${this.partial ? '-partial' : ''}-${Date.now()}.zip`);
             
-            ImageResizerUtils.showSuccess('ZIP file downloaded successfully!');
+            FileOptimizer.showNotification('ZIP file downloaded successfully!', 'success');
             
         } catch (error) {
             console.error('ZIP creation error:', error);
-            ImageResizerUtils.showError('Error creating ZIP file: ' + error.message);
+            FileOptimizer.showNotification('Error creating ZIP file: ' + error.message, 'error');
         } finally {
-            ImageResizerUtils.hideLoading();
+            FileOptimizer.hideLoading();
         }
     }
     
@@ -628,7 +717,7 @@ class SocialPresets {
             }, index * 100); // Stagger downloads
         });
         
-        ImageResizerUtils.showSuccess('Downloads started...');
+        FileOptimizer.showNotification('Downloads started...', 'success');
     }
 }
 
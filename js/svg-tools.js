@@ -0,0 +1,310 @@
+// svg-tools.js - Draws SVGs at the size they are needed, and minifies SVG source to keep it as a vector
+const SvgTools = {
+    // CSS pixels per unit for absolute lengths in width/height
+    units: { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6 },
+    
+    // Namespaces written by editors that browsers ignore
+    editorNamespaces: [
+        'http://www.inkscape.org/namespaces/inkscape',
+        'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd',
+        'http://ns.adobe.com/AdobeIllustrator/10.0/',
+        'http://ns.adobe.com/AdobeSVGViewerExtensions/3.0/',
+        'http://ns.adobe.com/Extensibility/1.0/',
+        'http://ns.adobe.com/Graphs/1.0/',
+        'http://ns.adobe.com/Variables/1.0/',
+        'http://ns.adobe.com/SaveForWeb/1.0/',
+        'http://ns.adobe.com/ImageReplacement/1.0/',
+        'http://ns.adobe.com/GenericCustomNamespace/1.0/',
+        'http://ns.adobe.com/XPath/1.0/',
+        'http://www.bohemiancoding.com/sketch/ns',
+        'http://www.serif.com/',
+        'http://www.vector.evolution.com/',
+        'http://purl.org/dc/elements/1.1/',
+        'http://creativecommons.org/ns#',
+        'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+    ],
+    
+    // Attributes holding numbers that are safe to round
+    numericAttributes: [
+        'd', 'points', 'viewBox', 'transform', 'gradientTransform', 'patternTransform',
+        'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy',
+        'width', 'height', 'offset', 'stroke-width', 'stroke-dasharray', 'stroke-dashoffset',
+        'stroke-miterlimit', 'font-size', 'opacity', 'fill-opacity', 'stroke-opacity', 'stop-opacity'
+    ],
+    
+    isSvg(file) {
+        return file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+    },
+    
+    // XML document of an SVG's source; throws if it isn't a well-formed SVG
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'svg') {
+            throw new Error('Not a valid SVG file');
+        }
+        return doc;
+    },
+    
+    // Size the SVG asks for, in pixels: width/height in absolute units, else from the viewBox,
+    // else the 300 x 150 browsers use for replaced elements
+    intrinsicSize(svg) {
+        let width = this.toPixels(svg.getAttribute('width'));
+        let height = this.toPixels(svg.getAttribute('height'));
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            const ratio = viewBox[2] / viewBox[3];
+            if (!width && !height) {
+                width = viewBox[2];
+                height = viewBox[3];
+            } else if (!width) {
+                width = height * ratio;
+            } else if (!height) {
+                height = width / ratio;
+            }
+        }
+        
+        return { width: width || 300, height: height || 150 };
+    },
+    
+    // Pixels for an absolute length; null for percentages, font-relative units and junk
+    toPixels(value) {
+        const match = /^\s*(\d*\.?\d+(?:e[-+]?\d+)?)\s*(px|pt|pc|in|cm|mm|q)?\s*$/i.exec(value || '');
+        return match ? parseFloat(match[1]) * this.units[(match[2] || 'px').toLowerCase()] : null;
+    },
+    
+    async readSize(file) {
+        const { width, height } = this.intrinsicSize(this.parse(await file.text()).documentElement);
+        return { width: Math.round(width), height: Math.round(height) };
+    },
+    
+    // Canvas with the SVG drawn at width x height
+    // The SVG's own preserveAspectRatio decides how it fills a box of another shape
+    async renderCanvas(file, width, height) {
+        const doc = this.parse(await file.text());
+        const svg = doc.documentElement;
+        const size = this.intrinsicSize(svg);
+        
+        // Without a viewBox the drawing wouldn't scale with the new width and height
+        if (!svg.hasAttribute('viewBox')) {
+            svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+        }
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        
+        const blob = new Blob([new XMLSerializer().serializeToString(doc)], { type: 'image/svg+xml' });
+        const image = await FileOptimizer.loadImage(blob).catch(() => {
+            throw new Error('The SVG could not be drawn (it may link to external files)');
+        });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        return canvas;
+    },
+    
+    // PNG File of the SVG at width x height, for the image pipeline
+    async rasterize(file, width, height) {
+        const canvas = await this.renderCanvas(file, width, height);
+        const blob = await ImageProcessing.encode(canvas, 'image/png');
+        const name = file.name.replace(/\.svg$/i, '') + '.png';
+        return new File([blob], name, { type: 'image/png', lastModified: file.lastModified });
+    },
+    
+    // Rasterize at the size the resize settings will give, so nothing is scaled up from the SVG's own size
+    // scale multiplies the SVG's size first (2 = double density)
+    // Resolves with the PNG and the resize options still to apply to it
+    async prepareForResize(file, { maxWidth = null, maxHeight = null, resize = null, dpi = null, scale = 1 } = {}) {
+        const size = await this.readSize(file);
+        const scaled = ImageProcessing.scaleSize(size.width, size.height, scale || 1);
+        const target = ImageProcessing.resolveSize(scaled.width, scaled.height, { maxWidth, maxHeight, resize, dpi });
+        
+        return {
+            file: await this.rasterize(file, target.width, target.height),
+            // Already at the output size; exact sizes still pad to their box
+            maxWidth: null,
+            maxHeight: null,
+            resize: resize && resize.mode === 'exact' ? resize : null
+        };
+    },
+    
+    // Minified SVG source: drops comments, metadata, editor data and unused IDs,
+    // rounds coordinates to precision decimals and removes formatting whitespace
+    // Returns { text, originalBytes, bytes, saved }
+    minify(text, { precision = 3 } = {}) {
+        const doc = this.parse(text);
+        const svg = doc.documentElement;
+        // Styles, scripts and animation timing can refer to IDs without a #id we could find
+        const keepIds = ['style', 'script', 'animate', 'animateMotion', 'animateTransform', 'set']
+            .some(tag => svg.getElementsByTagName(tag).length > 0);
+        const references = keepIds ? null : this.collectReferences(svg);
+        
+        this.cleanNode(svg, { precision, references });
+        
+        const minified = new XMLSerializer().serializeToString(svg);
+        const originalBytes = new TextEncoder().encode(text).length;
+        const bytes = new TextEncoder().encode(minified).length;
+        return { text: minified, originalBytes, bytes, saved: originalBytes - bytes };
+    },
+    
+    // IDs mentioned as #id in any attribute: href, and url(#id) in fill, clip-path, filter...
+    collectReferences(svg) {
+        const references = new Set();
+        const elements = [svg, ...svg.getElementsByTagName('*')];
+        elements.forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                const pattern = /#([^\s)"';,]+)/g;
+                let match;
+                while ((match = pattern.exec(attribute.value))) references.add(match[1]);
+            });
+        });
+        return references;
+    },
+    
+    cleanNode(element, options) {
+        Array.from(element.childNodes).forEach(child => {
+            if (child.nodeType === Node.COMMENT_NODE || child.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+                child.remove();
+            } else if (child.nodeType === Node.TEXT_NODE) {
+                // Whitespace between elements is formatting, except inside text and styles
+                if (!child.nodeValue.trim() && !this.keepsWhitespace(element)) child.remove();
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                if (child.localName === 'metadata' || this.editorNamespaces.includes(child.namespaceURI)) {
+                    child.remove();
+                    return;
+                }
+                this.cleanNode(child, options);
+                
+                // Empty groups and defs draw nothing
+                if ((child.localName === 'g' || child.localName === 'defs') && !child.hasChildNodes()) {
+                    child.remove();
+                }
+            }
+        });
+        
+        this.cleanAttributes(element, options);
+    },
+    
+    keepsWhitespace(element) {
+        return ['text', 'tspan', 'textPath', 'style', 'script', 'title', 'desc'].includes(element.localName) ||
+            element.closest('text') !== null;
+    },
+    
+    cleanAttributes(element, { precision, references }) {
+        Array.from(element.attributes).forEach(attribute => {
+            const { name, namespaceURI, value } = attribute;
+            
+            // Editor attributes and their xmlns declarations
+            if (this.editorNamespaces.includes(namespaceURI) ||
+                (namespaceURI === 'http://www.w3.org/2000/xmlns/' && this.editorNamespaces.includes(value))) {
+                element.removeAttributeNode(attribute);
+                return;
+            }
+            
+            // Symbols and views can be linked from other files, so their IDs stay
+            if (name === 'id' && references && !references.has(value) && !['symbol', 'view'].includes(element.localName)) {
+                element.removeAttribute('id');
+                return;
+            }
+            
+            if (!namespaceURI && this.numericAttributes.includes(name)) {
+                element.setAttribute(name, this.roundNumbers(value, precision, name === 'd'));
+            }
+        });
+    },
+    
+    // Round every number in an attribute value
+    // Numbers written back to back ("1.0004.5") get a space where rounding would merge them
+    roundNumbers(value, precision, pathData = false) {
+        if (pathData) return this.roundPath(value, precision);
+        
+        let rounded = '';
+        let previous = null;
+        let at = 0;
+        for (const match of value.matchAll(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi)) {
+            const number = this.formatNumber(match[0], precision);
+            const between = value.slice(at, match.index);
+            if (between) {
+                rounded += between;
+            } else if (previous !== null && this.needsSeparator(previous, number)) {
+                rounded += ' ';
+            }
+            rounded += number;
+            previous = number;
+            at = match.index + match[0].length;
+        }
+        return (rounded + value.slice(at)).replace(/\s+/g, ' ').trim();
+    },
+    
+    // Path data rounded token by token, following the path grammar, with only the spaces it needs
+    // Arc flags are single characters: "a5 5 0 011 1" is flags 0 and 1, then 1 - not the number 011
+    // Path data we can't read is left as it was
+    roundPath(value, precision) {
+        const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/iy;
+        let rounded = '';
+        let previous = null; // last number written since the last command letter
+        let command = '';
+        let parameter = 0;
+        let at = 0;
+        
+        while (at < value.length) {
+            const char = value[at];
+            if (/[\s,]/.test(char)) {
+                at++;
+                continue;
+            }
+            
+            if (/[MmZzLlHhVvCcSsQqTtAa]/.test(char)) {
+                rounded += char;
+                command = char.toLowerCase();
+                parameter = 0;
+                previous = null;
+                at++;
+                continue;
+            }
+            
+            let token;
+            if (command === 'a' && (parameter % 7 === 3 || parameter % 7 === 4)) {
+                if (char !== '0' && char !== '1') return value;
+                token = char;
+                at++;
+            } else {
+                numberPattern.lastIndex = at;
+                const match = numberPattern.exec(value);
+                if (!match) return value;
+                token = this.formatNumber(match[0], precision);
+                at += match[0].length;
+            }
+            
+            if (previous !== null && this.needsSeparator(previous, token)) rounded += ' ';
+            rounded += token;
+            previous = token;
+            parameter++;
+        }
+        return rounded;
+    },
+    
+    // Whether two numbers written back to back need a space to stay two numbers:
+    // a minus sign always starts a new one, a dot only when the one before has its own
+    needsSeparator(previous, next) {
+        if (next.startsWith('-')) return false;
+        if (next.startsWith('.')) return !previous.includes('.') || /e/i.test(previous);
+        return true;
+    },
+    
+    // Shortest form of a number at precision decimals: 0.500 -> .5, -0.0001 -> 0
+    formatNumber(number, precision) {
+        let text = String(parseFloat(Number(number).toFixed(precision)));
+        if (text === '-0') text = '0';
+        return text.replace(/^(-?)0\./, '$1.');
+    },
+    
+    // An .svg File holding minified source
+    toFile(text, name) {
+        return new File([text], name, { type: 'image/svg+xml' });
+    }
+};
+
+// Make available globally
+window.SvgTools = SvgTools;
@@ -186,10 +186,15 @@ class TextExtractor {
         
         try {
             // Validate file
-            if (!file.type.startsWith('image/') && !file.type.includes('pdf')) {
+            if (!ImageDecoders.isImage(file) && !file.type.includes('pdf')) {
                 throw new Error('Please select a valid image or PDF file');
             }
             
+            // HEIC, TIFF and the like are decoded to PNG first
+            if (!file.type.includes('pdf')) {
+                file = await ImageDecoders.prepareFile(file);
+            }
+            
             // Check file size (max 10MB for images, 20MB for PDF)
             const maxSize = file.type.includes('pdf') ? 20 * 1024 * 1024 : 10 * 1024 * 1024;
             if (file.size > maxSize) {
@@ -214,10 +219,10 @@ class TextExtractor {
                 this.extractTextBtn.disabled = false;
             }
             
-            ImageResizerUtils.showSuccess('File uploaded successfully!');
+            FileOptimizer.showNotification('File uploaded successfully!', 'success');
             
         } catch (error) {
-            ImageResizerUtils.showError(error.message);
+            FileOptimizer.showNotification(error.message, 'error');
         }
     }
     
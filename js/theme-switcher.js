@@ -158,11 +158,12 @@ class ThemeSwitcher {
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="notification-close">
                 <i class="fas fa-times"></i>
             </button>
         `;
+        notification.querySelector('span').textContent = message;
         
         // Add to page
         document.body.appendChild(notification);
@@ -0,0 +1,58 @@
+// zip-download-sw.js - Service worker that turns a ZipStream into a browser download
+// The page registers a download over a MessagePort, then opens its URL in a hidden frame;
+// the response body is pulled from the page one chunk at a time
+const downloads = new Map(); // id -> { stream, filename }
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'zip-download') return;
+    
+    const port = event.ports[0];
+    let pending = null; // pull waiting for the page's next chunk
+    
+    const stream = new ReadableStream({
+        pull(controller) {
+            return new Promise(resolve => {
+                pending = { controller, resolve };
+                port.postMessage({ type: 'pull' });
+            });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+        }
+    });
+    
+    port.onmessage = ({ data }) => {
+        if (!pending) return;
+        const { controller, resolve } = pending;
+        pending = null;
+        
+        if (data.type === 'chunk') {
+            controller.enqueue(data.chunk);
+        } else if (data.type === 'end') {
+            controller.close();
+        } else if (data.type === 'error') {
+            controller.error(new Error(data.message));
+        }
+        resolve();
+    };
+    
+    downloads.set(event.data.id, { stream, filename: event.data.filename });
+    port.postMessage({ type: 'ready' });
+});
+
+self.addEventListener('fetch', (event) => {
+    const match = /\/zip-download\/([^/]+)\//.exec(new URL(event.request.url).pathname);
+    const download = match && downloads.get(match[1]);
+    if (!download) return;
+    
+    downloads.delete(match[1]);
+    event.respondWith(new Response(download.stream, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`
+        }
+    }));
+});
@@ -0,0 +1,253 @@
+// zip-stream.js - Writes ZIP archives as a stream, straight to disk where the browser allows
+// Entries are stored uncompressed: the outputs are already compressed images,
+// and storing lets each file pass through in chunks instead of being held in memory
+const ZipStream = {
+    crcTable: null,
+    workerUrl: 'js/zip-download-sw.js',
+    workerScope: 'js/zip-download/',
+    
+    // ReadableStream of a ZIP holding entries [{ name, blob, date }]; names may contain folders
+    create(entries) {
+        const encoder = new TextEncoder();
+        const central = [];
+        let index = 0;
+        let offset = 0;
+        let current = null; // entry being written
+        
+        return new ReadableStream({
+            pull: async (controller) => {
+                if (current) {
+                    const { done, value } = await current.reader.read();
+                    if (!done) {
+                        current.crc = this.crc32(value, current.crc);
+                        current.size += value.length;
+                        controller.enqueue(value);
+                        return;
+                    }
+                    
+                    // Sizes and CRC follow the data, so nothing has to be read twice
+                    current.crc = (current.crc ^ 0xFFFFFFFF) >>> 0;
+                    controller.enqueue(this.dataDescriptor(current));
+                    central.push(current);
+                    offset += current.headerSize + current.size + 16;
+                    current = null;
+                    return;
+                }
+                
+                if (index < entries.length) {
+                    const entry = entries[index++];
+                    const name = encoder.encode(entry.name);
+                    if (offset > 0xFFFFFFFF) throw new Error('ZIP files over 4 GB are not supported');
+                    
+                    current = {
+                        name,
+                        date: entry.date || new Date(),
+                        offset,
+                        headerSize: 30 + name.length,
+                        crc: 0xFFFFFFFF,
+                        size: 0,
+                        reader: entry.blob.stream().getReader()
+                    };
+                    controller.enqueue(this.localHeader(current));
+                    return;
+                }
+                
+                controller.enqueue(this.centralDirectory(central, offset));
+                controller.close();
+            },
+            cancel: () => {
+                if (current) current.reader.cancel();
+            }
+        });
+    },
+    
+    crc32(bytes, crc = 0xFFFFFFFF) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    },
+    
+    // MS-DOS date and time words
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+    
+    // Flags: bit 3 = sizes in a data descriptor, bit 11 = UTF-8 names
+    localHeader(entry) {
+        const bytes = new Uint8Array(30 + entry.name.length);
+        const view = new DataView(bytes.buffer);
+        const { time, date } = this.dosDateTime(entry.date);
+        
+        view.setUint32(0, 0x04034B50, true);
+        view.setUint16(4, 20, true); // version needed
+        view.setUint16(6, 0x0808, true);
+        view.setUint16(8, 0, true); // stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        // CRC and sizes (14-25) are zero here and given in the data descriptor
+        view.setUint16(26, entry.name.length, true);
+        view.setUint16(28, 0, true);
+        bytes.set(entry.name, 30);
+        return bytes;
+    },
+    
+    dataDescriptor(entry) {
+        const bytes = new Uint8Array(16);
+        const view = new DataView(bytes.buffer);
+        
+        view.setUint32(0, 0x08074B50, true);
+        view.setUint32(4, entry.crc, true);
+        view.setUint32(8, entry.size, true);
+        view.setUint32(12, entry.size, true);
+        return bytes;
+    },
+    
+    centralDirectory(entries, offset) {
+        const size = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(size + 22);
+        const view = new DataView(bytes.buffer);
+        let position = 0;
+        
+        if (entries.length > 0xFFFF || offset > 0xFFFFFFFF) {
+            throw new Error('ZIP files over 4 GB or 65535 files are not supported');
+        }
+        
+        entries.forEach(entry => {
+            const { time, date } = this.dosDateTime(entry.date);
+            view.setUint32(position, 0x02014B50, true);
+            view.setUint16(position + 4, 20, true); // version made by
+            view.setUint16(position + 6, 20, true); // version needed
+            view.setUint16(position + 8, 0x0808, true);
+            view.setUint16(position + 10, 0, true);
+            view.setUint16(position + 12, time, true);
+            view.setUint16(position + 14, date, true);
+            view.setUint32(position + 16, entry.crc, true);
+            view.setUint32(position + 20, entry.size, true);
+            view.setUint32(position + 24, entry.size, true);
+            view.setUint16(position + 28, entry.name.length, true);
+            // Extra field, comment, disk number and attributes (30-41) stay zero
+            view.setUint32(position + 42, entry.offset, true);
+            bytes.set(entry.name, position + 46);
+            position += 46 + entry.name.length;
+        });
+        
+        // End of central directory record
+        view.setUint32(position, 0x06054B50, true);
+        view.setUint16(position + 8, entries.length, true);
+        view.setUint16(position + 10, entries.length, true);
+        view.setUint32(position + 12, size, true);
+        view.setUint32(position + 16, offset, true);
+        return bytes;
+    },
+    
+    // Save entries as a ZIP; resolves with how it was saved:
+    // 'disk' (File System Access), 'worker' (service worker download) or 'memory' (Blob fallback)
+    // Must be called straight from a click, before any other await, for the save dialog to open
+    // Rejects with an AbortError if the save dialog is dismissed
+    async save(entries, filename) {
+        if (window.showSaveFilePicker) {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+            await this.create(entries).pipeTo(await handle.createWritable());
+            return 'disk';
+        }
+        
+        const worker = await this.getWorker();
+        if (worker) {
+            await this.saveThroughWorker(worker, this.create(entries), filename);
+            return 'worker';
+        }
+        
+        const blob = await new Response(this.create(entries)).blob();
+        FileOptimizer.downloadFile(blob, filename);
+        return 'memory';
+    },
+    
+    // Active download worker, or null where service workers aren't available (file://, private modes)
+    async getWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+        
+        try {
+            const registration = await navigator.serviceWorker.register(this.workerUrl, { scope: this.workerScope });
+            const worker = registration.active || registration.installing || registration.waiting;
+            if (worker.state !== 'activated') {
+                await new Promise((resolve, reject) => {
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'activated') resolve();
+                        if (worker.state === 'redundant') reject(new Error('Download worker failed to start'));
+                    });
+                });
+            }
+            return worker;
+        } catch (error) {
+            console.error('Download worker unavailable:', error);
+            return null;
+        }
+    },
+    
+    // The worker answers a download URL with a stream it pulls from us chunk by chunk,
+    // so the browser writes the file to disk as it is produced
+    saveThroughWorker(worker, stream, filename) {
+        const channel = new MessageChannel();
+        const reader = stream.getReader();
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const frame = document.createElement('iframe');
+        
+        return new Promise((resolve, reject) => {
+            const finish = (error) => {
+                channel.port1.close();
+                setTimeout(() => frame.remove(), 1000);
+                if (error) reject(error);
+                else resolve();
+            };
+            
+            channel.port1.onmessage = async ({ data }) => {
+                if (data.type === 'ready') {
+                    frame.hidden = true;
+                    frame.src = `${this.workerScope}${id}/${encodeURIComponent(filename)}`;
+                    document.body.appendChild(frame);
+                } else if (data.type === 'pull') {
+                    try {
+                        const { done, value } = await reader.read();
+                        if (done) {
+                            channel.port1.postMessage({ type: 'end' });
+                            finish();
+                        } else {
+                            // Copy so only this chunk's bytes are transferred
+                            const chunk = value.slice();
+                            channel.port1.postMessage({ type: 'chunk', chunk }, [chunk.buffer]);
+                        }
+                    } catch (error) {
+                        channel.port1.postMessage({ type: 'error', message: error.message });
+                        finish(error);
+                    }
+                } else if (data.type === 'cancel') {
+                    reader.cancel();
+                    finish(new DOMException('Download cancelled', 'AbortError'));
+                }
+            };
+            
+            worker.postMessage({ type: 'zip-download', id, filename }, [channel.port2]);
+        });
+    }
+};
+
+// Make available globally
+window.ZipStream = ZipStream;
@@ -0,0 +1,102 @@
+// server/__tests__/api-recipe.test.js - POST /api/recipe
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../api');
+
+describe('POST /api/recipe', () => {
+    let png;
+    
+    beforeAll(async () => {
+        png = await sharp({
+            create: { width: 40, height: 30, channels: 3, background: '#ff0000' }
+        }).png().toBuffer();
+    });
+    
+    test('responds 400 without images', async () => {
+        const response = await request(app)
+            .post('/api/recipe')
+            .field('recipe', JSON.stringify({ steps: [] }));
+        
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('No images provided');
+    });
+    
+    test('responds 400 with the problem for an invalid recipe', async () => {
+        const response = await request(app)
+            .post('/api/recipe')
+            .field('recipe', JSON.stringify({ steps: [{ type: 'blur' }] }))
+            .attach('images', png, { filename: 'red.png', contentType: 'image/png' });
+        
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'Invalid recipe', details: 'Step 1: unknown type "blur"' });
+    });
+    
+    test('responds 400 when the recipe is missing', async () => {
+        const response = await request(app)
+            .post('/api/recipe')
+            .attach('images', png, { filename: 'red.png', contentType: 'image/png' });
+        
+        expect(response.status).toBe(400);
+        expect(response.body.details).toBe('Recipe is not valid JSON');
+    });
+    
+    test('responds 400 when a step would make the image too big', async () => {
+        const recipe = { steps: [{ type: 'resize', mode: 'exact', width: 20000, height: 20000 }] };
+        const response = await request(app)
+            .post('/api/recipe')
+            .field('recipe', JSON.stringify(recipe))
+            .attach('images', png, { filename: 'red.png', contentType: 'image/png' });
+        
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ error: 'Image too large for this recipe', filename: 'red.png' });
+        expect(response.body.details).toBe('Step 1 (Resize) would be 20000 × 20000 pixels; the limit is 50 megapixels');
+    });
+    
+    test('checks sizes step by step, after rotations and crops', async () => {
+        const large = await sharp({
+            create: { width: 2400, height: 1600, channels: 3, background: '#0000ff' }
+        }).png().toBuffer();
+        const recipe = {
+            steps: [
+                { type: 'crop', aspect: '1:1' },
+                { type: 'resize', mode: 'percent', percent: 500 }
+            ]
+        };
+        const response = await request(app)
+            .post('/api/recipe')
+            .field('recipe', JSON.stringify(recipe))
+            .attach('images', large, { filename: 'blue.png', contentType: 'image/png' });
+        
+        expect(response.status).toBe(400);
+        expect(response.body.details).toBe('Step 2 (Resize) would be 8000 × 8000 pixels; the limit is 50 megapixels');
+    });
+    
+    test('runs the recipe on every image', async () => {
+        const recipe = {
+            name: 'Half size WebP',
+            steps: [
+                { type: 'resize', mode: 'percent', percent: 50 },
+                { type: 'format', format: 'webp', quality: 70 }
+            ]
+        };
+        const response = await request(app)
+            .post('/api/recipe')
+            .field('recipe', JSON.stringify(recipe))
+            .attach('images', png, { filename: 'red.png', contentType: 'image/png' })
+            .attach('images', png, { filename: 'copy.png', contentType: 'image/png' });
+        
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, recipe: 'Half size WebP', processed: 2 });
+        
+        const [result] = response.body.results;
+        expect(result).toMatchObject({
+            filename: 'red.png',
+            mimetype: 'image/webp',
+            processed: { width: 20, height: 15, format: 'webp', quality: 70, fits: true }
+        });
+        
+        const metadata = await sharp(Buffer.from(result.buffer, 'base64')).metadata();
+        expect(metadata).toMatchObject({ format: 'webp', width: 20, height: 15 });
+        expect(result.processed.size).toBe(Buffer.from(result.buffer, 'base64').length);
+    });
+});
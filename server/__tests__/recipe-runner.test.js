@@ -0,0 +1,32 @@
+// server/__tests__/recipe-runner.test.js - RecipeRunner output metadata
+const sharp = require('sharp');
+const RecipeRunner = require('../recipe-runner');
+const Recipe = require('../../js/recipe.js');
+
+describe('RecipeRunner', () => {
+    const runner = new RecipeRunner();
+    let rotatedJpeg;
+    
+    beforeAll(async () => {
+        // Stored 40 x 30, shown 30 x 40 by EXIF orientation 6
+        rotatedJpeg = await sharp({
+            create: { width: 40, height: 30, channels: 3, background: '#00ff00' }
+        }).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    });
+    
+    test('resets the orientation tag once autoOrient has turned the pixels', async () => {
+        const recipe = Recipe.parse({ steps: [{ type: 'autoOrient' }, { type: 'format', format: 'jpeg' }] });
+        const output = await runner.run(rotatedJpeg, recipe);
+        const metadata = await sharp(output.buffer).metadata();
+        
+        expect(metadata).toMatchObject({ width: 30, height: 40, orientation: 1 });
+    });
+    
+    test('keeps the orientation tag when the pixels stay in stored order', async () => {
+        const recipe = Recipe.parse({ steps: [{ type: 'resize', mode: 'percent', percent: 50 }, { type: 'format', format: 'jpeg' }] });
+        const output = await runner.run(rotatedJpeg, recipe);
+        const metadata = await sharp(output.buffer).metadata();
+        
+        expect(metadata).toMatchObject({ width: 20, height: 15, orientation: 6 });
+    });
+});
@@ -0,0 +1,53 @@
+// server/__tests__/recipe.test.js - Recipe.parse validation, as used by /api/recipe
+const Recipe = require('../../js/recipe.js');
+
+describe('Recipe.parse', () => {
+    test('accepts JSON text and fills in defaults', () => {
+        const recipe = Recipe.parse(JSON.stringify({
+            name: '  Thumbnails  ',
+            steps: [
+                { type: 'resize', mode: 'percent', percent: '25' },
+                { type: 'format', format: 'webp' }
+            ]
+        }));
+        
+        expect(recipe).toEqual({
+            name: 'Thumbnails',
+            version: 1,
+            steps: [
+                { type: 'resize', mode: 'percent', width: null, height: null, longEdge: 1600, percent: 25, background: '#ffffff' },
+                { type: 'format', format: 'webp', quality: 80 }
+            ]
+        });
+    });
+    
+    test('accepts a recipe object and names it when unnamed', () => {
+        const recipe = Recipe.parse({ steps: [{ type: 'autoOrient' }] });
+        expect(recipe.name).toBe('Untitled recipe');
+        expect(recipe.steps).toEqual([{ type: 'autoOrient' }]);
+    });
+    
+    test('parses the example recipes', () => {
+        Object.values(Recipe.examples).forEach(example => {
+            expect(() => Recipe.parse(example)).not.toThrow();
+        });
+    });
+    
+    test.each([
+        ['text that is not JSON', '{ steps: ', 'Recipe is not valid JSON'],
+        ['an empty string', '', 'Recipe is not valid JSON'],
+        ['a recipe without steps', { name: 'Empty' }, 'Recipe must be an object with a "steps" list'],
+        ['a newer version', { version: 2, steps: [] }, 'Recipe version 2 is newer than this tool supports'],
+        ['a step that is not an object', { steps: ['resize'] }, 'Step 1 must be an object'],
+        ['an unknown step type', { steps: [{ type: 'autoOrient' }, { type: 'blur' }] }, 'Step 2: unknown type "blur"'],
+        ['a number out of range', { steps: [{ type: 'sharpen', amount: 500 }] }, 'Step 1 (Sharpen) Amount (%) must be between 1 and 100'],
+        ['a value that is not a number', { steps: [{ type: 'compress', maxSize: 'big' }] }, 'Step 1 (Compress to max size) Max size (KB) must be a number'],
+        ['an option that is not listed', { steps: [{ type: 'rotate', angle: 45 }] }, 'Step 1 (Rotate) Angle must be one of 90, 180, 270'],
+        ['a colour that is not #rrggbb', { steps: [{ type: 'watermark', color: 'white' }] }, 'Step 1 (Text watermark) Colour must be a #rrggbb colour'],
+        ['a crop without a ratio', { steps: [{ type: 'crop', aspect: 'wide' }] }, 'Step 1: aspect must look like 4:3'],
+        ['a fit resize without a size', { steps: [{ type: 'resize', mode: 'fit' }] }, 'Step 1: resize "fit" is missing its size'],
+        ['an exact resize with one side', { steps: [{ type: 'resize', mode: 'exact', width: 100 }] }, 'Step 1: resize "exact" is missing its size']
+    ])('rejects %s', (description, input, message) => {
+        expect(() => Recipe.parse(input)).toThrow(message);
+    });
+});
@@ -6,6 +6,8 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const RecipeRunner = require('./recipe-runner');
+const Recipe = require('../js/recipe.js');
 
 // Initialize Express app
 const app = express();
@@ -38,7 +40,7 @@ const upload = multer({
 const uploadDir = 'uploads';
 fs.mkdir(uploadDir, { recursive: true }).catch(console.error);
 
-// Cleanup old files (runs every hour)
+// Cleanup old files (runs every hour); the timer alone doesn't keep the process alive
 setInterval(async () => {
     try {
         const files = await fs.readdir(uploadDir);
@@ -57,7 +59,7 @@ setInterval(async () => {
     } catch (error) {
         console.error('Cleanup error:', error);
     }
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 // ==================== API ROUTES ====================
 
@@ -492,6 +494,81 @@ app.post('/api/watermark', upload.fields([{ name: 'image' }, { name: 'watermark'
     }
 });
 
+// 10. Recipe Processing (same recipe JSON as the batch tool)
+const recipeRunner = new RecipeRunner();
+
+app.post('/api/recipe', upload.array('images', 10), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No images provided' });
+        }
+        
+        let recipe;
+        try {
+            recipe = Recipe.parse(req.body.recipe || '');
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid recipe', details: error.message });
+        }
+        
+        // Refuse the request before any work if an image, or a step on it, would be too big
+        for (const file of req.files) {
+            try {
+                await recipeRunner.checkInput(file.buffer, recipe);
+            } catch (error) {
+                if (error.tooLarge) {
+                    return res.status(400).json({ error: 'Image too large for this recipe', filename: file.originalname, details: error.message });
+                }
+                // Unreadable images fail on their own below
+            }
+        }
+        
+        const results = [];
+        
+        for (const file of req.files) {
+            try {
+                const output = await recipeRunner.run(file.buffer, recipe);
+                
+                results.push({
+                    filename: file.originalname,
+                    original: {
+                        size: file.size
+                    },
+                    processed: {
+                        size: output.size,
+                        width: output.width,
+                        height: output.height,
+                        format: output.format,
+                        quality: output.quality,
+                        fits: output.fits
+                    },
+                    reduction: ((file.size - output.size) / file.size * 100).toFixed(2),
+                    buffer: output.buffer.toString('base64'),
+                    mimetype: output.mimetype
+                });
+                
+            } catch (error) {
+                console.error(`Failed to process ${file.originalname}:`, error);
+                results.push({
+                    filename: file.originalname,
+                    error: 'Processing failed',
+                    details: error.message
+                });
+            }
+        }
+        
+        res.json({
+            success: true,
+            recipe: recipe.name,
+            processed: results.length,
+            results: results
+        });
+        
+    } catch (error) {
+        console.error('Recipe processing error:', error);
+        res.status(500).json({ error: 'Recipe processing failed', details: error.message });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -515,10 +592,12 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📁 API endpoints available at http://localhost:${PORT}/api`);
-});
+// Start server when run directly; the tests use the exported app
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📁 API endpoints available at http://localhost:${PORT}/api`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,288 @@
+// server/recipe-runner.js - Runs batch recipes (see js/recipe.js) with Sharp
+const sharp = require('sharp');
+const Recipe = require('../js/recipe.js');
+const JpegMetadata = require('../js/jpeg-metadata.js');
+
+class RecipeRunner {
+    constructor() {
+        this.formats = ['jpeg', 'png', 'webp', 'avif'];
+        
+        // Largest image, in pixels, a request may decode or any step may produce
+        // Steps are held as raw RGBA, so this is about 200 MB per copy
+        this.maxPixels = 50 * 1000 * 1000;
+    }
+    
+    // Metadata of the input, once its size and every step's output size are within maxPixels
+    // Throws an Error with tooLarge set otherwise, before any pixels are decoded
+    async checkInput(inputBuffer, recipe) {
+        const metadata = await sharp(inputBuffer).metadata(); // reads the header only
+        this.checkPixels(metadata.width, metadata.height, 'The image');
+        
+        let size = { width: metadata.width, height: metadata.height };
+        recipe.steps.forEach((step, index) => {
+            if (Recipe.outputSteps.includes(step.type)) return;
+            size = this.stepSize(size, step, metadata.orientation || 1);
+            this.checkPixels(size.width, size.height, `Step ${index + 1} (${Recipe.stepTypes[step.type].label})`);
+        });
+        
+        return metadata;
+    }
+    
+    checkPixels(width, height, what) {
+        if (width * height <= this.maxPixels) return;
+        const error = new Error(`${what} would be ${width} × ${height} pixels; the limit is ${this.maxPixels / 1000000} megapixels`);
+        error.tooLarge = true;
+        throw error;
+    }
+    
+    // Size a pixel step turns width x height into, as applyStep does it
+    stepSize({ width, height }, step, orientation) {
+        const swapped = { width: height, height: width };
+        switch (step.type) {
+            case 'autoOrient':
+                return orientation >= 5 ? swapped : { width, height };
+            case 'rotate':
+                return step.angle === 180 ? { width, height } : swapped;
+            case 'crop': {
+                const rect = Recipe.aspectCrop(width, height, step.aspect);
+                return { width: rect.width, height: rect.height };
+            }
+            case 'resize': {
+                // Fit never enlarges, so it can't grow past the current size
+                const options = this.resizeOptions(width, height, step);
+                return options.fit === 'inside' ? { width, height } : { width: options.width, height: options.height };
+            }
+            default:
+                return { width, height };
+        }
+    }
+    
+    // Run a recipe already checked by Recipe.parse on an image buffer
+    // Resolves with { buffer, format, mimetype, width, height, size, quality, fits }
+    async run(inputBuffer, recipe) {
+        const output = Recipe.outputSettings(recipe);
+        const metadata = await this.checkInput(inputBuffer, recipe);
+        const format = output.format || (this.formats.includes(metadata.format) ? metadata.format : 'png');
+        
+        // Each step is materialised to raw pixels so steps apply in recipe order,
+        // not Sharp's fixed pipeline order
+        let image = { data: inputBuffer, info: null };
+        for (const step of Recipe.pixelSteps(recipe)) {
+            image = await this.applyStep(image, step, metadata.orientation || 1);
+        }
+        if (!image.info) {
+            image = await this.load(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        }
+        
+        // EXIF/XMP/ICC are copied for JPEG to JPEG, like the browser tools
+        const segments = this.collectSegments(inputBuffer, format, output.stripMetadata, Recipe.orients(recipe));
+        const headerSize = segments.reduce((sum, segment) => sum + segment.byteLength, 0);
+        const targetSize = output.maxSize ? Math.max(output.maxSize * 1024 - headerSize, 1) : null;
+        
+        const encoded = targetSize
+            ? await this.encodeToSize(image, format, output.quality, targetSize)
+            : await this.encode(image, format, output.quality);
+        const buffer = this.insertSegments(encoded.buffer, segments);
+        
+        return {
+            buffer,
+            format,
+            mimetype: `image/${format}`,
+            width: encoded.width,
+            height: encoded.height,
+            size: buffer.length,
+            quality: encoded.quality,
+            fits: encoded.fits
+        };
+    }
+    
+    // Sharp instance for the current pixels
+    load({ data, info }) {
+        return info
+            ? sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels }, limitInputPixels: this.maxPixels })
+            : sharp(data, { limitInputPixels: this.maxPixels });
+    }
+    
+    async applyStep(image, step, orientation) {
+        let pipeline = this.load(image);
+        const { width, height } = image.info || await pipeline.metadata();
+        
+        switch (step.type) {
+            case 'autoOrient':
+                pipeline = this.orient(pipeline, orientation);
+                break;
+            case 'rotate':
+                pipeline = pipeline.rotate(step.angle);
+                break;
+            case 'flip':
+                if (step.horizontal) pipeline = pipeline.flop();
+                if (step.vertical) pipeline = pipeline.flip();
+                break;
+            case 'crop': {
+                const rect = Recipe.aspectCrop(width, height, step.aspect);
+                pipeline = pipeline.extract({ left: rect.x, top: rect.y, width: rect.width, height: rect.height });
+                break;
+            }
+            case 'resize':
+                pipeline = pipeline.resize(this.resizeOptions(width, height, step));
+                break;
+            case 'sharpen':
+                // Close to the browser's radius-1 unsharp mask
+                pipeline = pipeline.sharpen({ sigma: 1, m1: 0, m2: step.amount / 50 });
+                break;
+            case 'watermark':
+                pipeline = pipeline.composite([{ input: this.watermarkSvg(width, height, step), top: 0, left: 0 }]);
+                break;
+        }
+        
+        return pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    }
+    
+    // EXIF orientations 2-8; Sharp mirrors before it rotates
+    orient(pipeline, orientation) {
+        switch (orientation) {
+            case 2: return pipeline.flop();
+            case 3: return pipeline.rotate(180);
+            case 4: return pipeline.flip();
+            case 5: return pipeline.rotate(270).flop();
+            case 6: return pipeline.rotate(90);
+            case 7: return pipeline.rotate(90).flop();
+            case 8: return pipeline.rotate(270);
+            default: return pipeline;
+        }
+    }
+    
+    // Same sizes as ImageProcessing.resolveSize in the browser
+    resizeOptions(width, height, step) {
+        const scaled = (scale) => ({
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale)),
+            fit: 'fill'
+        });
+        
+        switch (step.mode) {
+            case 'percent':
+                return scaled(step.percent / 100);
+            case 'longEdge':
+                return scaled(step.longEdge / Math.max(width, height));
+            case 'exact':
+                return { width: step.width, height: step.height, fit: 'contain', background: step.background };
+            default:
+                return { width: step.width || null, height: step.height || null, fit: 'inside', withoutEnlargement: true };
+        }
+    }
+    
+    // Full-size SVG overlay with the watermark text placed like the browser's canvas text
+    watermarkSvg(width, height, { text, position, size, opacity, color }) {
+        const fontSize = Math.max(8, Math.round(width * size / 100));
+        const margin = Math.round(fontSize * 0.75);
+        const [vertical, horizontal] = position === 'center' ? ['middle', 'center'] : position.split('-');
+        const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin : width / 2;
+        const y = vertical === 'top' ? margin + fontSize * 0.8 : vertical === 'bottom' ? height - margin - fontSize * 0.2 : height / 2 + fontSize * 0.35;
+        const anchor = { left: 'start', center: 'middle', right: 'end' }[horizontal];
+        const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        
+        return Buffer.from(`
+            <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+                <text x="${x}" y="${y}" font-family="sans-serif" font-size="${fontSize}" text-anchor="${anchor}"
+                    fill="${color}" opacity="${opacity / 100}" stroke="rgba(0, 0, 0, 0.4)"
+                    stroke-width="${Math.max(1, fontSize / 16)}" paint-order="stroke">${escaped}</text>
+            </svg>
+        `);
+    }
+    
+    async encode(image, format, quality) {
+        let pipeline = this.load(image);
+        
+        switch (format) {
+            case 'png':
+                pipeline = pipeline.png({ compressionLevel: 9 });
+                break;
+            case 'webp':
+                pipeline = pipeline.webp({ quality });
+                break;
+            case 'avif':
+                pipeline = pipeline.avif({ quality });
+                break;
+            default:
+                // JPEG has no alpha - flatten onto white like the browser tools
+                pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality });
+                break;
+        }
+        
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        return { buffer: data, width: info.width, height: info.height, quality, fits: true };
+    }
+    
+    // Search quality, then dimensions, until the output fits under targetSize bytes
+    async encodeToSize(image, format, maxQuality, targetSize) {
+        const lossless = format === 'png';
+        let smallest = null;
+        
+        for (let attempt = 0; attempt < 8; attempt++) {
+            let best = null;
+            let result = await this.encode(image, format, maxQuality);
+            
+            if (result.buffer.length <= targetSize) {
+                best = result;
+            } else if (!lossless) {
+                let low = 10;
+                let high = maxQuality;
+                for (let step = 0; step < 7 && high - low > 1; step++) {
+                    const mid = Math.round((low + high) / 2);
+                    result = await this.encode(image, format, mid);
+                    if (result.buffer.length <= targetSize) {
+                        best = result;
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+            }
+            
+            if (best) return best;
+            if (!smallest || result.buffer.length < smallest.buffer.length) {
+                smallest = { ...result, fits: false };
+            }
+            
+            // Still too big - shrink and try again
+            const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(targetSize / result.buffer.length) * 0.95));
+            const width = Math.round(image.info.width * scale);
+            const height = Math.round(image.info.height * scale);
+            if (width < 16 || height < 16) break;
+            image = await this.load(image).resize(width, height).raw().toBuffer({ resolveWithObject: true });
+        }
+        
+        return smallest;
+    }
+    
+    // oriented: whether the recipe turned the pixels upright (see JpegMetadata.collectSegments)
+    collectSegments(inputBuffer, format, strip, oriented) {
+        const buffer = inputBuffer.buffer.slice(inputBuffer.byteOffset, inputBuffer.byteOffset + inputBuffer.length);
+        if (format !== 'jpeg' || !JpegMetadata.isJpeg(buffer)) return [];
+        
+        return JpegMetadata.collectSegments(buffer, JpegMetadata.read(buffer), {
+            exif: !strip,
+            icc: true,
+            xmp: !strip,
+            oriented
+        });
+    }
+    
+    // Sharp writes no EXIF/ICC by default, so the segments go straight after the JFIF header
+    insertSegments(outputBuffer, segments) {
+        if (segments.length === 0) return outputBuffer;
+        
+        const buffer = outputBuffer.buffer.slice(outputBuffer.byteOffset, outputBuffer.byteOffset + outputBuffer.length);
+        const app0 = JpegMetadata.readSegments(buffer).find(segment => segment.marker === 0xE0);
+        const insertAt = app0 && app0.start === 2 ? app0.end : 2;
+        
+        return Buffer.concat([
+            outputBuffer.subarray(0, insertAt),
+            ...segments.map(segment => Buffer.from(segment)),
+            outputBuffer.subarray(insertAt)
+        ]);
+    }
+}
+
+module.exports = RecipeRunner;